@@ -0,0 +1,608 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, readdir, mkdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import {
+  encrypt, decrypt, inspect, decodeWav, encodePng, decodePng, readTileHeader, DEFAULT_KDF, DEFAULT_ENCODING,
+  AUDIO_FORMATS, DEFAULT_AUDIO_FORMAT, encodeAudio, FEC_LEVELS, generateKeyFile, MAX_KEY_FILE_SIZE,
+  CURVES, generateKeyPair, exportKey, importPublicKey, importPrivateKey, publicKeyFingerprint,
+  SIGNING_CURVES, generateSigningKeyPair, importSigningPublicKey, importSigningPrivateKey, describeSigningKey,
+  estimateStrength, MIN_PASSPHRASE_SCORE, generatePassphrase, passphraseEntropyBits, DEFAULT_PASSPHRASE_WORDS,
+} from '../src/js/audioencrypt.js';
+
+const USAGE = `Usage:
+  audioencrypt encrypt [options] <audio.wav | glob>...
+  audioencrypt decrypt [options] <image.png | glob>...
+  audioencrypt inspect <image.png | glob>...
+  audioencrypt keygen [options] <name>
+  audioencrypt keyfile [options] <file>
+  audioencrypt passphrase [--words <n>]
+
+Encrypts WAV files into PNG images, or decrypts PNG images back into WAV or FLAC
+files, using the same image format as the web page. Tiles of a tiled image are found
+among the inputs and reassembled automatically. inspect checks images for damage
+without the key and reports what is wrong with them. keygen writes a key pair for
+public-key mode (or, with --signing, for signing images) to <name>.pub.<format> and
+<name>.key.<format>. keyfile writes a
+random key file. passphrase prints a random diceware passphrase.
+
+Options:
+  -o, --out-dir <dir>          Write outputs to this directory (default: next to each input)
+  -f, --force                  Overwrite existing output files
+      --passphrase-env <name>  Read the passphrase from this environment variable
+                               (default: AUDIOENCRYPT_PASSPHRASE)
+      --passphrase-file <path> Read the passphrase from the first line of a file
+                               Without either, the passphrase is prompted for.
+      --key-file <path>        Also require this file (any file) to unlock the images
+      --no-passphrase          Use the key file alone, without a passphrase
+  -h, --help                   Show this help
+
+Encrypt options:
+      --kdf <pbkdf2|scrypt>    Key derivation function (default: ${DEFAULT_KDF.algorithm})
+      --iterations <n>         PBKDF2 iterations (default: ${DEFAULT_KDF.iterations})
+      --scrypt-log-n <n>       scrypt cost as log2 N (default: 15)
+      --scrypt-r <n>           scrypt block size (default: 8)
+      --scrypt-p <n>           scrypt parallelism (default: 1)
+      --sample-format <fmt>    float32, pcm16 or mulaw (default: ${DEFAULT_ENCODING.sampleFormat})
+      --no-compress            Store the samples without deflate compression
+      --cover <image.png>      Hide the payload in this PNG cover image (non-interlaced
+                               8-bit RGB or RGBA; convert palette, greyscale, 16-bit and
+                               interlaced PNGs first)
+      --bits <1-4>             Bits per colour channel used in the cover image (default: 2)
+      --max-tile-size <px>     Split images larger than this many pixels per side into
+                               numbered tiles (name-tile1of3.png, ...)
+      --error-correction <lvl> Add Reed-Solomon error correction: low, medium or high
+                               (+7%, +14% or +34% size) to survive damaged pixels
+      --title <text>           Title stored (encrypted) with each recording
+      --notes <text>           Notes stored (encrypted) with each recording
+      --attach <file>          Encrypt this file (a transcript, document, ...) along with
+                               each recording; repeat for several. Without audio inputs,
+                               the attachments alone go into <first attachment>.png
+      --recipient <key file>   Encrypt for this public key (PEM or JWK) instead of a
+                               passphrase; repeat for several recipients
+      --deniable               Use the deniable layout, which does not show whether the
+                               image also holds a decoy (passphrase only)
+      --decoy <audio.wav>      Also store this recording, which a second passphrase opens
+                               instead of the real one; implies --deniable
+      --decoy-passphrase-file <path>
+                               Read the decoy passphrase from the first line of a file
+                               (default: AUDIOENCRYPT_DECOY_PASSPHRASE, or a prompt)
+      --sign <key file>        Sign each image with this private signing key (PEM or
+                               JWK, from keygen --signing); not with --deniable
+
+Decrypt options:
+      --private-key <file>     Decrypt images made for recipients with this private key
+      --trusted <key file>     Public signing key of a trusted sender, named after its
+                               file; repeat for several. Signed images are reported as
+                               signed by that name or by an unknown signer, and images
+                               whose signature does not match are not decrypted
+      --audio-format <fmt>     ${Object.keys(AUDIO_FORMATS).join(', ')} (default: ${DEFAULT_AUDIO_FORMAT});
+                               title, notes and date are written as tags. Attachments
+                               are written to a folder named like the audio file
+
+Passphrase options:
+      --words <n>              Number of words (default: ${DEFAULT_PASSPHRASE_WORDS})
+
+Keygen options:
+      --signing                Write a key pair for signing images instead
+      --curve <type>           P-256 or X25519, or with --signing P-256 or Ed25519
+                               (default: P-256)
+      --key-format <pem|jwk>   Key file format (default: pem)
+`;
+
+const OPTIONS = {
+  'out-dir': { type: 'string', short: 'o' },
+  force: { type: 'boolean', short: 'f' },
+  'passphrase-env': { type: 'string', default: 'AUDIOENCRYPT_PASSPHRASE' },
+  'passphrase-file': { type: 'string' },
+  'key-file': { type: 'string' },
+  'no-passphrase': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  kdf: { type: 'string', default: DEFAULT_KDF.algorithm },
+  iterations: { type: 'string', default: String(DEFAULT_KDF.iterations) },
+  'scrypt-log-n': { type: 'string', default: '15' },
+  'scrypt-r': { type: 'string', default: '8' },
+  'scrypt-p': { type: 'string', default: '1' },
+  'sample-format': { type: 'string', default: DEFAULT_ENCODING.sampleFormat },
+  'no-compress': { type: 'boolean' },
+  cover: { type: 'string' },
+  bits: { type: 'string', default: '2' },
+  'max-tile-size': { type: 'string' },
+  'error-correction': { type: 'string' },
+  title: { type: 'string' },
+  notes: { type: 'string' },
+  attach: { type: 'string', multiple: true },
+  recipient: { type: 'string', multiple: true },
+  deniable: { type: 'boolean' },
+  decoy: { type: 'string' },
+  'decoy-passphrase-file': { type: 'string' },
+  sign: { type: 'string' },
+  'private-key': { type: 'string' },
+  trusted: { type: 'string', multiple: true },
+  'audio-format': { type: 'string', default: DEFAULT_AUDIO_FORMAT },
+  curve: { type: 'string', default: 'P-256' },
+  'key-format': { type: 'string', default: 'pem' },
+  signing: { type: 'boolean' },
+  words: { type: 'string', default: String(DEFAULT_PASSPHRASE_WORDS) },
+};
+
+const DECOY_PASSPHRASE_ENV = 'AUDIOENCRYPT_DECOY_PASSPHRASE';
+// MIME types stored for attachments with these extensions; others are stored without one.
+const ATTACHMENT_TYPES = {
+  '.txt': 'text/plain', '.md': 'text/markdown', '.srt': 'application/x-subrip', '.vtt': 'text/vtt',
+  '.json': 'application/json', '.pdf': 'application/pdf', '.png': 'image/png', '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg', '.wav': 'audio/wav', '.flac': 'audio/flac', '.mp3': 'audio/mpeg',
+};
+
+class UsageError extends Error {}
+
+function parseInteger(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n)) throw new UsageError(`--${name} must be an integer.`);
+  return n;
+}
+
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+async function walk(dir) {
+  const files = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await walk(full));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+// Shells usually expand globs, but quoted patterns (and Windows shells) pass them
+// through, so `*`, `?` and `**` are expanded here as well.
+async function expandInputs(patterns) {
+  const files = new Set();
+  for (const pattern of patterns) {
+    const normalized = pattern.split(path.sep).join('/');
+    if (!/[*?]/.test(normalized)) {
+      files.add(pattern);
+      continue;
+    }
+    const parts = normalized.split('/');
+    const firstGlob = parts.findIndex(part => /[*?]/.test(part));
+    const base = parts.slice(0, firstGlob).join('/') || '.';
+    const matcher = globToRegExp(parts.slice(firstGlob).join('/'));
+    const matches = (await walk(base)).filter(file => matcher.test(path.relative(base, file).split(path.sep).join('/')));
+    if (!matches.length) throw new UsageError(`No files match ${pattern}`);
+    matches.sort().forEach(file => files.add(file));
+  }
+  return [...files];
+}
+
+function promptHidden(question, notInteractive = 'No passphrase given. Set AUDIOENCRYPT_PASSPHRASE, use --passphrase-file, or run in a terminal.') {
+  return new Promise((resolve, reject) => {
+    const { stdin, stderr } = process;
+    if (!stdin.isTTY) {
+      reject(new UsageError(notInteractive));
+      return;
+    }
+    stderr.write(question);
+    let input = '';
+    const cleanup = () => {
+      stdin.off('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stderr.write('\n');
+    };
+    const onData = (chunk) => {
+      for (const ch of chunk) {
+        if (ch === '\r' || ch === '\n') { cleanup(); resolve(input); return; }
+        if (ch === '\u0003') { cleanup(); reject(new UsageError('Cancelled.')); return; }
+        if (ch === '\u007f' || ch === '\b') input = input.slice(0, -1);
+        else input += ch;
+      }
+    };
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.on('data', onData);
+    stdin.resume();
+  });
+}
+
+// The passphrase from --passphrase-file or the environment, or null without either.
+async function readGivenPassphrase(values, file = values['passphrase-file'], envName = values['passphrase-env']) {
+  if (file) {
+    const text = await readFile(file, 'utf8');
+    return text.split(/\r?\n/)[0].trim();
+  }
+  const fromEnv = process.env[envName];
+  return fromEnv ? fromEnv.trim() : null;
+}
+
+async function readPassphrase(values, confirm) {
+  const given = await readGivenPassphrase(values);
+  if (given !== null) return given;
+  const pass = (await promptHidden('Passphrase: ')).trim();
+  if (confirm && (await promptHidden('Repeat passphrase: ')).trim() !== pass) {
+    throw new UsageError('Passphrases do not match.');
+  }
+  return pass;
+}
+
+async function readDecoyPassphrase(values) {
+  const given = await readGivenPassphrase(values, values['decoy-passphrase-file'], DECOY_PASSPHRASE_ENV);
+  if (given !== null) return given;
+  const notInteractive = `No decoy passphrase given. Set ${DECOY_PASSPHRASE_ENV}, use --decoy-passphrase-file, or run in a terminal.`;
+  const pass = (await promptHidden('Decoy passphrase: ', notInteractive)).trim();
+  if ((await promptHidden('Repeat decoy passphrase: ', notInteractive)).trim() !== pass) {
+    throw new UsageError('Decoy passphrases do not match.');
+  }
+  return pass;
+}
+
+async function readKey(file, importKey) {
+  try {
+    return await importKey(await readFile(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`${file}: ${error.message}`);
+  }
+}
+
+async function keygen([name, ...extra], values) {
+  if (!name || extra.length) throw new UsageError('keygen takes exactly one output name.');
+  const curves = values.signing ? SIGNING_CURVES : CURVES;
+  if (!curves.includes(values.curve)) throw new UsageError(`Unknown --curve ${values.curve}. Use ${curves.join(' or ')}.`);
+  const format = values['key-format'];
+  if (format !== 'pem' && format !== 'jwk') throw new UsageError(`Unknown --key-format ${format}. Use pem or jwk.`);
+  const base = path.join(values['out-dir'] || '.', name);
+  const publicFile = `${base}.pub.${format}`;
+  const privateFile = `${base}.key.${format}`;
+  await checkWritable(publicFile, values.force);
+  await checkWritable(privateFile, values.force);
+  if (values['out-dir']) await mkdir(values['out-dir'], { recursive: true });
+  const { publicKey, privateKey } = await (values.signing ? generateSigningKeyPair : generateKeyPair)(values.curve);
+  await writeFile(publicFile, await exportKey(publicKey, format));
+  await writeFile(privateFile, await exportKey(privateKey, format), { mode: 0o600 });
+  process.stderr.write(`wrote ${publicFile} and ${privateFile} (fingerprint ${await publicKeyFingerprint(publicKey)})\n`);
+  return 0;
+}
+
+async function keyfile([file, ...extra], values) {
+  if (!file || extra.length) throw new UsageError('keyfile takes exactly one output file.');
+  const output = path.join(values['out-dir'] || '.', file);
+  await checkWritable(output, values.force);
+  if (values['out-dir']) await mkdir(values['out-dir'], { recursive: true });
+  await writeFile(output, generateKeyFile(), { mode: 0o600 });
+  process.stderr.write(`wrote ${output}; keep a copy, images locked with it cannot be decrypted without it\n`);
+  return 0;
+}
+
+function passphrase(extra, values) {
+  if (extra.length) throw new UsageError('passphrase takes no arguments.');
+  const words = parseInteger(values.words, 'words');
+  let phrase;
+  try {
+    phrase = generatePassphrase(words);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  process.stdout.write(`${phrase}\n`);
+  process.stderr.write(`${words} words, about ${Math.round(passphraseEntropyBits(words))} bits of entropy\n`);
+  return 0;
+}
+
+async function readKeyFileBytes(file) {
+  const { size } = await stat(file).catch((error) => { throw new UsageError(`${file}: ${error.message}`); });
+  if (!size) throw new UsageError(`${file}: The key file is empty.`);
+  if (size > MAX_KEY_FILE_SIZE) throw new UsageError(`${file}: Key files larger than ${MAX_KEY_FILE_SIZE / (1024 * 1024)} MiB are not supported.`);
+  return new Uint8Array(await readFile(file));
+}
+
+async function encryptOptions(values) {
+  const options = {
+    encoding: { sampleFormat: values['sample-format'], compression: values['no-compress'] ? 'none' : 'deflate' },
+  };
+  if (values.kdf === 'scrypt') {
+    options.kdf = {
+      algorithm: 'scrypt',
+      logN: parseInteger(values['scrypt-log-n'], 'scrypt-log-n'),
+      r: parseInteger(values['scrypt-r'], 'scrypt-r'),
+      p: parseInteger(values['scrypt-p'], 'scrypt-p'),
+    };
+  } else if (values.kdf === 'pbkdf2') {
+    options.kdf = { algorithm: 'pbkdf2', iterations: parseInteger(values.iterations, 'iterations') };
+  } else {
+    throw new UsageError(`Unknown --kdf ${values.kdf}. Use pbkdf2 or scrypt.`);
+  }
+  if (values.cover) {
+    options.cover = await decodePng(new Uint8Array(await readFile(values.cover)));
+    options.bitsPerChannel = parseInteger(values.bits, 'bits');
+  }
+  if (values.recipient) {
+    options.recipients = [];
+    for (const file of values.recipient) options.recipients.push(await readKey(file, importPublicKey));
+  }
+  if (values['max-tile-size']) options.maxTileSize = parseInteger(values['max-tile-size'], 'max-tile-size');
+  if (values['error-correction']) {
+    if (!Object.hasOwn(FEC_LEVELS, values['error-correction'])) {
+      throw new UsageError(`Unknown --error-correction ${values['error-correction']}. Use ${Object.keys(FEC_LEVELS).join(', ')}.`);
+    }
+    options.errorCorrection = values['error-correction'];
+  }
+  if (values.deniable || values.decoy) {
+    if (values.recipient || values['key-file'] || values['no-passphrase']) {
+      throw new UsageError('--deniable and --decoy work with a passphrase alone, not with --recipient, --key-file or --no-passphrase.');
+    }
+    options.deniable = true;
+  }
+  if (values.sign) {
+    if (options.deniable) throw new UsageError('--sign cannot be combined with --deniable or --decoy.');
+    options.signingKey = await readKey(values.sign, importSigningPrivateKey);
+  }
+  if (values.attach) {
+    options.attachments = [];
+    for (const file of values.attach) {
+      const name = path.basename(file);
+      if (options.attachments.some((attachment) => attachment.name === name)) {
+        throw new UsageError(`--attach ${file}: another attachment is already named ${name}.`);
+      }
+      options.attachments.push({
+        name,
+        mimeType: ATTACHMENT_TYPES[path.extname(file).toLowerCase()],
+        bytes: new Uint8Array(await readFile(file)),
+      });
+    }
+  }
+  if (values.decoy) {
+    options.decoy = {
+      ...decodeWav(new Uint8Array(await readFile(values.decoy))),
+      metadata: { filename: path.basename(values.decoy), mimeType: 'audio/wav', recordedAt: (await stat(values.decoy)).mtime },
+    };
+  }
+  return options;
+}
+
+const TILE_SUFFIX = /-tile\d+of\d+$/;
+
+function outputPath(input, extension, outDir) {
+  const name = path.basename(input, path.extname(input)).replace(TILE_SUFFIX, '') + extension;
+  return path.join(outDir || path.dirname(input), name);
+}
+
+function tilePath(output, index, count) {
+  const extension = path.extname(output);
+  return `${output.slice(0, -extension.length)}-tile${index + 1}of${count}${extension}`;
+}
+
+async function exists(file) {
+  try {
+    await stat(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function checkWritable(output, force) {
+  if (!force && await exists(output)) {
+    throw new Error(`${output} already exists (use --force to overwrite)`);
+  }
+}
+
+// input is null for an image of the attachments alone, which is named after the first one.
+async function encryptFile(input, pass, values, options) {
+  const output = outputPath(input ?? values.attach[0], '.png', values['out-dir']);
+  const metadata = { title: values.title, notes: values.notes };
+  if (input) {
+    Object.assign(metadata, { filename: path.basename(input), mimeType: 'audio/wav', recordedAt: (await stat(input)).mtime });
+  }
+  const audio = input ? decodeWav(new Uint8Array(await readFile(input))) : null;
+  const result = await encrypt(audio, pass, { ...options, metadata });
+  const images = Array.isArray(result) ? result : [result];
+  const outputs = images.length > 1 ? images.map((_, i) => tilePath(output, i, images.length)) : [output];
+  for (const file of outputs) await checkWritable(file, values.force);
+  for (let i = 0; i < images.length; i++) await writeFile(outputs[i], await encodePng(images[i]));
+  return outputs.join(', ');
+}
+
+// Attachment names come from inside the image, so they are kept to a plain file name.
+function attachmentFileName(name) {
+  const base = name.replace(/^.*[\\/]/, '').replace(/[\u0000-\u001f<>:"|?*]/g, '_').trim();
+  return base && base !== '.' && base !== '..' ? base : 'attachment';
+}
+
+// Reads the --trusted keys into a map from the whole public key (not its short fingerprint,
+// which a made-up key could match) to a name taken from the file name.
+async function readTrustedSigners(files = []) {
+  const signers = new Map();
+  for (const file of files) {
+    const { publicKey } = await describeSigningKey(await readKey(file, importSigningPublicKey));
+    signers.set(publicKey, path.basename(file).replace(/(\.pub)?\.(pem|jwk)$/, ''));
+  }
+  return signers;
+}
+
+function describeSignature(signature, trustedSigners) {
+  if (!signature) return '';
+  const name = trustedSigners.get(signature.publicKey);
+  return name ? `signed by ${name}` : `unknown signer ${signature.fingerprint}`;
+}
+
+// Numbers repeated names as "notes (2).txt", ... Images from other tools, or names that only differ
+// in characters attachmentFileName() replaces, could otherwise overwrite each other. Names are
+// compared without case, as some file systems do.
+function uniqueFileNames(names) {
+  const used = new Set();
+  return names.map((name) => {
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = name.replace(/(\.[^.]*)?$/, ` (${n})$1`);
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+async function decryptImages(input, images, pass, values, options) {
+  const format = values['audio-format'];
+  const output = outputPath(input, `.${AUDIO_FORMATS[format].extension}`, values['out-dir']);
+  await checkWritable(output, values.force);
+  const audio = await decrypt(images.length > 1 ? images : images[0], pass, options);
+  if (audio.signature && !audio.signature.valid) {
+    throw new Error(`The signature does not match (claimed signer ${audio.signature.fingerprint}); the image was altered or not signed by that key.`);
+  }
+  const written = [];
+  if (audio.pcm) {
+    await writeFile(output, encodeAudio(audio, format, { metadata: audio.metadata }));
+    written.push(output);
+  }
+  if (audio.attachments.length) {
+    const folder = outputPath(input, '', values['out-dir']);
+    const files = uniqueFileNames(audio.attachments.map(({ name }) => attachmentFileName(name))).map((name) => path.join(folder, name));
+    for (const file of files) await checkWritable(file, values.force);
+    await mkdir(folder, { recursive: true });
+    for (let i = 0; i < files.length; i++) await writeFile(files[i], audio.attachments[i].bytes);
+    written.push(...files);
+  }
+  const notes = [describeSignature(audio.signature, options.trustedSigners)];
+  if (audio.correctedBytes) notes.push(`repaired ${audio.correctedBytes} damaged byte${audio.correctedBytes === 1 ? '' : 's'}`);
+  const note = notes.filter(Boolean).join(', ');
+  return note ? `${written.join(', ')} (${note})` : written.join(', ');
+}
+
+// Decodes every input image and groups the tiles of each tiled image into one job,
+// named after its first input. Plain images are jobs of their own.
+async function collectDecryptJobs(inputs) {
+  const jobs = [];
+  const sessions = new Map();
+  for (const input of inputs) {
+    try {
+      const image = await decodePng(new Uint8Array(await readFile(input)));
+      const tile = readTileHeader(image);
+      if (!tile) {
+        jobs.push({ input, images: [image] });
+      } else if (sessions.has(tile.sessionId)) {
+        const job = sessions.get(tile.sessionId);
+        job.images.push(image);
+        job.files.push(input);
+      } else {
+        const job = { input, images: [image], files: [input] };
+        sessions.set(tile.sessionId, job);
+        jobs.push(job);
+      }
+    } catch (error) {
+      jobs.push({ input, error });
+    }
+  }
+  return jobs;
+}
+
+// Prints one report per image (or tiled image); fails when any of them has errors.
+async function inspectImages(patterns) {
+  if (!patterns.length) throw new UsageError('No input files given to inspect.');
+  let failures = 0;
+  for (const job of await collectDecryptJobs(await expandInputs(patterns))) {
+    const label = job.files ? job.files.join(', ') : job.input;
+    const report = job.error ? null : inspect(job.images);
+    process.stdout.write(`${label}:\n`);
+    if (!report) process.stdout.write(`  [error] ${job.error.message}\n`);
+    for (const { status, label: name, detail } of report?.checks || []) {
+      process.stdout.write(`  [${status}] ${name}: ${detail}\n`);
+    }
+    if (!report?.ok) failures++;
+  }
+  return failures ? 1 : 0;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...patterns] = positionals;
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (command === 'keygen') return keygen(patterns, values);
+  if (command === 'keyfile') return keyfile(patterns, values);
+  if (command === 'passphrase') return passphrase(patterns, values);
+  if (command === 'inspect') return inspectImages(patterns);
+  if (command !== 'encrypt' && command !== 'decrypt') throw new UsageError(`Unknown command: ${command}`);
+  if (!patterns.length && !(command === 'encrypt' && values.attach)) throw new UsageError(`No input files given to ${command}.`);
+  if (!Object.hasOwn(AUDIO_FORMATS, values['audio-format'])) {
+    throw new UsageError(`Unknown --audio-format ${values['audio-format']}. Use ${Object.keys(AUDIO_FORMATS).join(', ')}.`);
+  }
+
+  const inputs = await expandInputs(patterns);
+  const options = command === 'encrypt'
+    ? await encryptOptions(values)
+    : {
+      privateKey: values['private-key'] ? await readKey(values['private-key'], importPrivateKey) : null,
+      trustedSigners: await readTrustedSigners(values.trusted),
+    };
+  if (values['key-file']) {
+    if (options.recipients) throw new UsageError('--key-file cannot be combined with --recipient.');
+    options.keyFile = await readKeyFileBytes(values['key-file']);
+  }
+  if (values['no-passphrase'] && !options.keyFile && !options.privateKey && !options.recipients) {
+    throw new UsageError('--no-passphrase needs --key-file.');
+  }
+  // Public-key mode needs no passphrase. With a private key, decrypt still uses a given
+  // passphrase for any passphrase-locked images among the inputs, but never prompts.
+  const needsPassphrase = command === 'encrypt'
+    ? !options.recipients && !values['no-passphrase']
+    : !options.privateKey && !values['no-passphrase'];
+  let pass = null;
+  if (needsPassphrase) pass = await readPassphrase(values, command === 'encrypt');
+  else if (command === 'decrypt' && !values['no-passphrase']) pass = await readGivenPassphrase(values);
+  if (needsPassphrase && !pass) throw new UsageError('The passphrase is empty.');
+  if (command === 'encrypt' && pass && !options.keyFile) {
+    const strength = estimateStrength(pass);
+    if (strength.score < MIN_PASSPHRASE_SCORE) {
+      process.stderr.write(`warning: the passphrase is ${strength.label.toLowerCase()} and could be guessed in ${strength.crackTime}. ` +
+        `${[strength.warning, ...strength.suggestions].filter(Boolean).join(' ')}\n`);
+    }
+  }
+  if (command === 'encrypt' && options.decoy) {
+    options.decoy.passphrase = await readDecoyPassphrase(values);
+    if (!options.decoy.passphrase) throw new UsageError('The decoy passphrase is empty.');
+    if (options.decoy.passphrase === pass) throw new UsageError('The decoy passphrase must differ from the real one.');
+  }
+  if (values['out-dir']) await mkdir(values['out-dir'], { recursive: true });
+
+  let jobs = command === 'encrypt' ? inputs.map(input => ({ input })) : await collectDecryptJobs(inputs);
+  if (command === 'encrypt' && !patterns.length) jobs = [{ input: null }];
+  let failures = 0;
+  for (const job of jobs) {
+    const label = job.files ? job.files.join(', ') : job.input ?? values.attach.join(', ');
+    try {
+      if (job.error) throw job.error;
+      const output = command === 'encrypt'
+        ? await encryptFile(job.input, pass, values, options)
+        : await decryptImages(job.input, job.images, pass, values, options);
+      process.stderr.write(`${command}ed ${label} -> ${output}\n`);
+    } catch (error) {
+      failures++;
+      process.stderr.write(`error: ${label}: ${error.message}\n`);
+    }
+    job.images = null; // let decoded images be collected before the next job
+  }
+  if (jobs.length > 1) process.stderr.write(`${jobs.length - failures} of ${jobs.length} files ${command}ed.\n`);
+  return failures ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, error => {
+  process.stderr.write(`error: ${error.message}\n`);
+  if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) process.stderr.write('Run with --help for usage.\n');
+  process.exitCode = 2;
+});
@@ -0,0 +1,84 @@
+// Service worker: keeps the page working offline and receives files shared from other apps
+// through the Web Share Target API (see share_target in manifest.webmanifest). Requests go to
+// the network first, so an updated page is picked up on the next load, and fall back to the
+// cached copy when offline.
+const CACHE_NAME = 'audioencrypt-v1';
+// Shared files wait here until the page takes them; script.js reads the same cache.
+const SHARED_FILES_CACHE = 'audioencrypt-shared';
+const SHARE_TARGET_PATH = 'share-target';
+
+// Everything the page loads. Add new modules and assets here so they work offline.
+const APP_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'src/css/styles.css',
+  'src/icons/icon-192.png',
+  'src/icons/icon-512.png',
+  'src/vendor/fontawesome/css/fontawesome.min.css',
+  'src/vendor/fontawesome/css/solid.min.css',
+  'src/vendor/fontawesome/webfonts/fa-solid-900.woff2',
+  ...[
+    'archive', 'audioencrypt', 'audioformats', 'cipher', 'container', 'crc32', 'deniable', 'diceware', 'encoding',
+    'fec', 'flac', 'inspect', 'kdf', 'keyfile', 'metadata', 'pixels', 'png', 'recipients', 'script', 'signing',
+    'strength', 'tiles', 'wav', 'wordlists', 'worker', 'zip', 'zlib',
+  ].map((name) => `src/js/${name}.js`),
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_FILES);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name !== CACHE_NAME && name !== SHARED_FILES_CACHE) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Stores the shared files, replacing any the page has not taken yet, and opens the page,
+// which picks them up because of the "shared" query parameter.
+async function receiveSharedFiles(request) {
+  const form = await request.formData();
+  const files = form.getAll('files').filter((file) => file instanceof File);
+  await caches.delete(SHARED_FILES_CACHE);
+  const cache = await caches.open(SHARED_FILES_CACHE);
+  for (let i = 0; i < files.length; i++) {
+    await cache.put(new URL(`${SHARE_TARGET_PATH}/${i}`, self.registration.scope), new Response(files[i], {
+      headers: {
+        'X-File-Name': encodeURIComponent(files[i].name),
+        'X-Last-Modified': String(files[i].lastModified),
+      },
+    }));
+  }
+  return Response.redirect(new URL('./?shared', self.registration.scope).href, 303);
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok && !new URL(request.url).search) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method === 'POST' && url.href === new URL(SHARE_TARGET_PATH, self.registration.scope).href) {
+    event.respondWith(receiveSharedFiles(request));
+  } else if (request.method === 'GET' && url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  }
+});
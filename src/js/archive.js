@@ -0,0 +1,130 @@
+// Attachments: with them, or without audio, the plaintext after the metadata block is an
+// archive of entries instead of bare samples: an entry count (Uint16), then per entry
+// kind (1 byte) | flags (1 byte) | name length (Uint16) | UTF-8 name | MIME type length (1 byte) |
+// MIME type | data length (Uint32) | data.
+// The audio track, if any, holds the encoded samples the header describes and has no
+// name of its own (the metadata names the recording). Every other entry is a file,
+// deflated when that makes it smaller.
+import { deflate, inflate } from './zlib.js';
+
+export const MAX_ATTACHMENTS = 100;
+const KIND_AUDIO_TRACK = 0;
+const KIND_FILE = 1;
+const FLAG_DEFLATED = 0x01;
+const COUNT_BYTES = 2;
+const ENTRY_HEADER_BYTES = 1 + 1 + 2 + 1 + 4;
+const MAX_NAME_BYTES = 1000;
+const MAX_MIME_TYPE_LENGTH = 255;
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+const TRUNCATED = 'Corrupted data: The attachments archive is truncated.';
+
+/**
+ * Checks attachments given to encrypt() and fills in missing MIME types.
+ *
+ * @param {Array<{name: string, mimeType?: string, bytes: Uint8Array}>} attachments
+ * @returns {Array<{name: string, mimeType: string, bytes: Uint8Array}>}
+ */
+export function validateAttachments(attachments) {
+  if (!Array.isArray(attachments)) throw new Error('Attachments must be an array.');
+  if (attachments.length > MAX_ATTACHMENTS) throw new Error(`Up to ${MAX_ATTACHMENTS} attachments are supported.`);
+  const encoder = new TextEncoder();
+  const names = new Set();
+  return attachments.map(({ name, mimeType = '', bytes }) => {
+    if (typeof name !== 'string' || !name) throw new Error('Every attachment needs a name.');
+    // They are written out under their names, where a second one would replace the first.
+    if (names.has(name)) throw new Error(`Two attachments are named "${name}". Rename one of them.`);
+    names.add(name);
+    if (encoder.encode(name).length > MAX_NAME_BYTES) throw new Error(`The attachment name "${name.slice(0, 40)}..." is too long.`);
+    if (typeof mimeType !== 'string' || mimeType.length > MAX_MIME_TYPE_LENGTH || !/^[\x20-\x7e]*$/.test(mimeType)) {
+      throw new Error(`The attachment "${name}" has an invalid MIME type.`);
+    }
+    if (!(bytes instanceof Uint8Array)) throw new Error(`The contents of the attachment "${name}" must be a Uint8Array.`);
+    return { name, mimeType: mimeType || DEFAULT_MIME_TYPE, bytes };
+  });
+}
+
+// track is the encoded audio payload, or null for an image of attachments only.
+export async function encodeArchive(track, files, compression) {
+  const encoder = new TextEncoder();
+  const entries = [];
+  if (track) entries.push({ kind: KIND_AUDIO_TRACK, flags: 0, name: new Uint8Array(0), mimeType: new Uint8Array(0), data: track });
+  for (const { name, mimeType, bytes } of files) {
+    let data = bytes, flags = 0;
+    if (compression === 'deflate') {
+      const deflated = await deflate(bytes);
+      if (deflated.length < bytes.length) {
+        data = deflated;
+        flags = FLAG_DEFLATED;
+      }
+    }
+    entries.push({ kind: KIND_FILE, flags, name: encoder.encode(name), mimeType: encoder.encode(mimeType), data });
+  }
+  const length = entries.reduce((sum, e) => sum + ENTRY_HEADER_BYTES + e.name.length + e.mimeType.length + e.data.length, COUNT_BYTES);
+  const archive = new Uint8Array(length);
+  const view = new DataView(archive.buffer);
+  view.setUint16(0, entries.length, false);
+  let offset = COUNT_BYTES;
+  for (const { kind, flags, name, mimeType, data } of entries) {
+    view.setUint8(offset, kind);
+    view.setUint8(offset + 1, flags);
+    view.setUint16(offset + 2, name.length, false);
+    archive.set(name, offset + 4); offset += 4 + name.length;
+    view.setUint8(offset, mimeType.length);
+    archive.set(mimeType, offset + 1); offset += 1 + mimeType.length;
+    view.setUint32(offset, data.length, false);
+    archive.set(data, offset + 4); offset += 4 + data.length;
+  }
+  return archive;
+}
+
+/**
+ * @returns {Promise<{track: Uint8Array|null, files: Array<{name: string, mimeType: string, bytes: Uint8Array}>}>}
+ *   track is the encoded audio payload; each file has a buffer of its own.
+ */
+export async function decodeArchive(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const need = (offset, count) => {
+    if (offset + count > bytes.length) throw new Error(TRUNCATED);
+  };
+  need(0, COUNT_BYTES);
+  const count = view.getUint16(0, false);
+  let offset = COUNT_BYTES, track = null;
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    need(offset, 4);
+    const kind = view.getUint8(offset);
+    const flags = view.getUint8(offset + 1);
+    const nameLength = view.getUint16(offset + 2, false);
+    offset += 4;
+    if (kind > KIND_FILE || flags & ~FLAG_DEFLATED) {
+      throw new Error('This image holds an attachment this version of AudioEncrypt cannot read.');
+    }
+    need(offset, nameLength + 1);
+    const name = decoder.decode(bytes.subarray(offset, offset + nameLength)); offset += nameLength;
+    const mimeTypeLength = view.getUint8(offset); offset += 1;
+    need(offset, mimeTypeLength + 4);
+    const mimeType = decoder.decode(bytes.subarray(offset, offset + mimeTypeLength)); offset += mimeTypeLength;
+    const dataLength = view.getUint32(offset, false); offset += 4;
+    need(offset, dataLength);
+    const data = bytes.subarray(offset, offset + dataLength); offset += dataLength;
+    if (kind === KIND_AUDIO_TRACK) {
+      if (track) throw new Error('Corrupted data: The attachments archive holds two audio tracks.');
+      track = data;
+      continue;
+    }
+    let fileBytes;
+    if (flags & FLAG_DEFLATED) {
+      try {
+        fileBytes = await inflate(data);
+      } catch (error) {
+        if (typeof DecompressionStream === 'undefined') throw error; // reports the missing API
+        throw new Error(`Corrupted data: The attachment "${name}" could not be decompressed.`);
+      }
+    } else {
+      fileBytes = data.slice();
+    }
+    files.push({ name, mimeType: mimeType || DEFAULT_MIME_TYPE, bytes: fileBytes });
+  }
+  return { track, files };
+}
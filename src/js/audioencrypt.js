@@ -0,0 +1,363 @@
+import { DEFAULT_KDF, deriveKey, validateKdf } from './kdf.js';
+import {
+  DEFAULT_ENCODING, encodeSamples, decodeSamples, compressPayload, decompressPayload, validatePayloadEncoding,
+} from './encoding.js';
+import {
+  SALT_LENGTH, IV_LENGTH, MAX_CHANNELS, MAX_SAMPLE_RATE, MAX_HEADER_LENGTH, buildContainerHeader, parseContainerHeader,
+  hasFormatMagic,
+} from './container.js';
+import {
+  DEFAULT_CHUNK_SIZE, chunkCount, chunkedCiphertextLength, encryptChunks, decryptChunks, decryptSingle,
+  validateChunkSize,
+} from './cipher.js';
+import {
+  BYTES_PER_PIXEL, createPayloadImage, writePayloadBytes, embedBytesInCover, openContainer, validateImage, fillRandom,
+} from './pixels.js';
+import { buildMetadata, encodeMetadata, decodeMetadata, validateMetadata } from './metadata.js';
+import { generateContentKey, wrapContentKey, unwrapContentKey, toHex } from './recipients.js';
+import { validateKeyFile, keyFactorsOf, keyMaterial, describeMissingFactors } from './keyfile.js';
+import { createTiledImages, openTiledContainer, readTileHeader, validateTileSize } from './tiles.js';
+import {
+  FEC_PREAMBLE_LENGTH, encodeFec, decodeFec, fecEncodedLength, readFecPreamble, validateErrorCorrection,
+} from './fec.js';
+import { planDeniableContainer, openSlot } from './deniable.js';
+import { validateAttachments, encodeArchive, decodeArchive } from './archive.js';
+import { SIGNATURE_LENGTH, describeSigner, sign, verify } from './signing.js';
+
+export { DEFAULT_KDF } from './kdf.js';
+export { DEFAULT_ENCODING } from './encoding.js';
+export { DEFAULT_CHUNK_SIZE } from './cipher.js';
+export { MAX_STEGO_BITS } from './pixels.js';
+export { readTileHeader } from './tiles.js';
+export { FEC_LEVELS } from './fec.js';
+export { MAX_ATTACHMENTS } from './archive.js';
+export { KEY_FILE_LENGTH, MAX_KEY_FILE_SIZE, generateKeyFile } from './keyfile.js';
+export { estimateStrength, formatCrackTime, MIN_PASSPHRASE_SCORE, SCORE_LABELS } from './strength.js';
+export {
+  generatePassphrase, passphraseEntropyBits, DEFAULT_PASSPHRASE_WORDS, MIN_PASSPHRASE_WORDS, MAX_PASSPHRASE_WORDS,
+} from './diceware.js';
+export {
+  CURVES, generateKeyPair, exportKey, importPublicKey, importPrivateKey, publicKeyFingerprint,
+} from './recipients.js';
+export {
+  SIGNING_CURVES, generateSigningKeyPair, importSigningPublicKey, importSigningPrivateKey, describeSigningKey,
+} from './signing.js';
+export { encodeWav, decodeWav } from './wav.js';
+export { encodeFlac } from './flac.js';
+export { AUDIO_FORMATS, DEFAULT_AUDIO_FORMAT, encodeAudio } from './audioformats.js';
+export { metadataToTags } from './metadata.js';
+export { encodePng, decodePng, UNSUPPORTED_PNG } from './png.js';
+export { createZip, readZip } from './zip.js';
+export { inspect } from './inspect.js';
+
+function toPlanar(pcm, sampleRate) {
+  const numChannels = pcm.length;
+  if (numChannels < 1 || numChannels > MAX_CHANNELS) {
+    throw new Error(`Unsupported channel count (${numChannels}). Up to ${MAX_CHANNELS} channels are supported.`);
+  }
+  if (!Number.isInteger(sampleRate) || sampleRate <= 0 || sampleRate > MAX_SAMPLE_RATE) {
+    throw new Error(`Unsupported sample rate (${sampleRate}Hz). Up to ${MAX_SAMPLE_RATE}Hz is supported.`);
+  }
+  const frameCount = pcm[0].length;
+  const planarSamples = new Float32Array(frameCount * numChannels);
+  for (let c = 0; c < numChannels; c++) {
+    if (pcm[c].length !== frameCount) throw new Error('All channels must have the same number of samples.');
+    planarSamples.set(pcm[c], c * frameCount);
+  }
+  return planarSamples;
+}
+
+// The plaintext of one recording: the metadata block, then the encoded samples, or an
+// archive of the samples and the attachments. Images without attachments keep the plain
+// layout, so versions without attachment support can still read them.
+async function encodePayload(audio, attachments, encoding, metadata) {
+  const numChannels = audio ? audio.pcm.length : 0;
+  const sampleRate = audio ? audio.sampleRate : 0;
+  const sampleBytes = audio
+    ? await compressPayload(encodeSamples(toPlanar(audio.pcm, sampleRate), numChannels, encoding), encoding.compression)
+    : null;
+  const metadataBytes = encodeMetadata(buildMetadata(metadata, audio && { frameCount: audio.pcm[0].length, sampleRate, numChannels }));
+  const hasArchive = !audio || attachments.length > 0;
+  const body = hasArchive ? await encodeArchive(sampleBytes, attachments, encoding.compression) : sampleBytes;
+  const payload = new Uint8Array(metadataBytes.length + body.length);
+  payload.set(metadataBytes);
+  payload.set(body, metadataBytes.length);
+  return { payload, sampleRate, numChannels, hasArchive };
+}
+
+function validateDecoy(decoy, passphrase) {
+  const { pcm, sampleRate, channels = pcm?.length, passphrase: decoyPassphrase, metadata = {} } = decoy;
+  if (!Array.isArray(pcm)) throw new Error('The decoy needs audio samples.');
+  if (channels !== pcm.length) throw new Error(`Expected ${channels} channels of decoy samples but got ${pcm.length}.`);
+  if (!decoyPassphrase) throw new Error('The decoy needs its own secret key.');
+  if (decoyPassphrase === passphrase) throw new Error('The decoy secret key must differ from the real one.');
+  validateMetadata(metadata);
+  return { pcm, sampleRate, passphrase: decoyPassphrase, metadata };
+}
+
+/**
+ * Encrypts audio, attached files or both into RGBA pixels.
+ *
+ * @param {{pcm: Float32Array[], sampleRate: number, channels?: number}|null} audio One sample array per
+ *   channel, or null for an image of attachments only.
+ * @param {string|null} passphrase Must be empty when encrypting for recipients.
+ * @param {{kdf?: object, encoding?: object, cover?: {pixels, width, height}, bitsPerChannel?: number,
+ *   chunkSize?: number, maxTileSize?: number, recipients?: CryptoKey[], keyFile?: Uint8Array, metadata?: object,
+ *   attachments?: Array<{name: string, mimeType?: string, bytes: Uint8Array}>,
+ *   errorCorrection?: 'low'|'medium'|'high', deniable?: boolean,
+ *   decoy?: {pcm: Float32Array[], sampleRate: number, channels?: number, passphrase: string, metadata?: object},
+ *   signingKey?: CryptoKey, onProgress?: function}} [options]
+ *   metadata may hold title, filename, mimeType, recordedAt and notes; it is encrypted with the
+ *   audio, together with the duration, channel count and sample rate.
+ *   attachments (transcripts, notes or any other files) are encrypted along with the audio,
+ *   each under its name and MIME type, and deflated unless encoding.compression is 'none'.
+ *   With recipients (ECDH P-256 or X25519 public keys), the audio is locked with a random key that
+ *   only the matching private keys can unwrap, instead of with the passphrase.
+ *   With keyFile (the contents of any file, e.g. from generateKeyFile()), the image needs that
+ *   file to decrypt: together with the passphrase, or alone when the passphrase is empty.
+ *   Without a cover the payload fills a new square image; with one it is hidden in the cover's low bits.
+ *   With maxTileSize, no image is wider or taller than that many pixels: the payload is split
+ *   across numbered tiles when it does not fit in one, and an array of images is returned.
+ *   errorCorrection adds Reed-Solomon check bytes (about 7%, 14% or 34% more data) so that
+ *   decrypt() can repair scattered damage to the image.
+ *   With decoy, the image also holds the decoy recording, which its own passphrase opens instead
+ *   of the real one. deniable (implied by decoy) writes the same layout with one recording: the
+ *   image does not show whether a second one is present, so a single-recording image cannot be
+ *   told from one with a decoy. Deniable images are locked with passphrases only, and the real
+ *   recording may be no longer than the decoy.
+ *   With signingKey (an extractable ECDSA P-256 or Ed25519 private key), the image carries the
+ *   signer's public key and a signature over the header and ciphertext, which decrypt() and
+ *   verifySignature() check. Deniable images cannot be signed.
+ *   onProgress receives { stage, done, total } as the work advances.
+ * @returns {Promise<{pixels: Uint8ClampedArray, width: number, height: number}|Array<object>>}
+ */
+export async function encrypt(audio, passphrase, options = {}) {
+  const recipients = options.recipients?.length ? options.recipients : null;
+  const keyFile = validateKeyFile(options.keyFile);
+  if (recipients && (passphrase || keyFile)) throw new Error('Use either a passphrase or key file, or recipients, not both.');
+  if (!recipients && !passphrase && !keyFile) throw new Error('Secret key is required');
+  const attachments = validateAttachments(options.attachments ?? []);
+  if (audio) {
+    const { pcm, channels = pcm.length } = audio;
+    if (channels !== pcm.length) throw new Error(`Expected ${channels} channels of samples but got ${pcm.length}.`);
+  } else if (!attachments.length) {
+    throw new Error('Nothing to encrypt: give audio, attachments or both.');
+  }
+  const {
+    kdf = DEFAULT_KDF, encoding = DEFAULT_ENCODING, cover = null, bitsPerChannel = 2,
+    chunkSize = DEFAULT_CHUNK_SIZE, maxTileSize = null, metadata = {}, errorCorrection = null, signingKey = null,
+    onProgress = () => {},
+  } = options;
+  const decoy = options.decoy ? validateDecoy(options.decoy, passphrase) : null;
+  const deniable = Boolean(options.deniable || decoy);
+  if (deniable && (recipients || keyFile || !passphrase)) {
+    throw new Error('Deniable images are locked with secret keys only, not key files or recipients.');
+  }
+  // A signature names who made the image, which a deniable image must not give away.
+  if (deniable && signingKey) throw new Error('Deniable images cannot be signed.');
+  const signer = signingKey ? await describeSigner(signingKey) : null;
+  validatePayloadEncoding(encoding);
+  validateMetadata(metadata);
+  if (!recipients) validateKdf(kdf, { forEncryption: true });
+  validateChunkSize(chunkSize);
+  validateErrorCorrection(errorCorrection);
+  if (cover) validateImage(cover);
+  if (maxTileSize !== null) {
+    validateTileSize(maxTileSize);
+    if (cover) throw new Error('Tiled output cannot be combined with a cover image.');
+  }
+
+  onProgress({ stage: 'encoding', done: 0, total: 1 });
+  const encoded = await encodePayload(audio, attachments, encoding, metadata);
+  const { payload: payloadBytes, sampleRate, numChannels, hasArchive } = encoded;
+
+  onProgress({ stage: 'deriving-key', done: 0, total: 1 });
+  let header, containerLength, parts;
+  if (deniable) {
+    const real = { ...encoded, passphrase };
+    const visible = decoy ? { ...await encodePayload(decoy, [], encoding, decoy.metadata), passphrase: decoy.passphrase } : real;
+    ({ header, containerLength, parts } = await planDeniableContainer(visible, decoy ? real : null, { kdf, encoding, chunkSize }));
+  } else {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    let key, wrappedKeys = null;
+    if (recipients) {
+      key = await generateContentKey();
+      wrappedKeys = await wrapContentKey(key, recipients, salt);
+    } else {
+      key = await deriveKey(await keyMaterial(passphrase, keyFile), salt, kdf);
+    }
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+
+    const ciphertextLength = chunkedCiphertextLength(payloadBytes.length, chunkSize);
+    header = buildContainerHeader({
+      salt, iv, ciphertextLength, sampleRate, numChannels, kdf, encoding, chunkSize, recipients: wrappedKeys,
+      keyFactors: keyFactorsOf(passphrase, keyFile), hasArchive, signer,
+    });
+    containerLength = header.length + ciphertextLength + (signer ? SIGNATURE_LENGTH : 0);
+    parts = [{ key, iv, payload: payloadBytes, offset: header.length, aad: header }];
+  }
+  const totalLength = errorCorrection ? fecEncodedLength(containerLength, errorCorrection) : containerLength;
+
+  // Plain images and tiles receive each encrypted chunk directly; cover images need
+  // the whole byte stream before its bits can be spread over the cover, and error
+  // correction and signing the whole container before it can be interleaved or signed.
+  // In deniable images every byte nothing is written to stays random, like the ciphertext
+  // around it.
+  let output, write;
+  if (cover) {
+    output = new Uint8Array(totalLength);
+    if (deniable) fillRandom(output);
+    write = (offset, bytes) => output.set(bytes, offset);
+  } else if (maxTileSize !== null && Math.ceil(Math.sqrt(totalLength / BYTES_PER_PIXEL)) > maxTileSize) {
+    ({ images: output, write } = createTiledImages(totalLength, maxTileSize, deniable));
+  } else {
+    const image = createPayloadImage(totalLength, deniable);
+    output = maxTileSize !== null ? [image] : image;
+    write = (offset, bytes) => writePayloadBytes(image, offset, bytes);
+  }
+  const container = errorCorrection || signer ? new Uint8Array(containerLength) : null;
+  if (container && deniable) fillRandom(container);
+  const writeContainer = container ? (offset, bytes) => container.set(bytes, offset) : write;
+  writeContainer(0, header);
+  const totalChunks = parts.reduce((sum, part) => sum + chunkCount(part.payload.length, chunkSize), 0);
+  let chunksDone = 0;
+  for (const { key, iv, payload, offset, aad } of parts) {
+    const reportChunk = ({ done }) => onProgress({ stage: 'encrypting', done: chunksDone + done, total: totalChunks });
+    await encryptChunks(key, iv, payload, chunkSize, (at, bytes) => writeContainer(offset + at, bytes), reportChunk, aad);
+    chunksDone += chunkCount(payload.length, chunkSize);
+  }
+  if (signer) {
+    onProgress({ stage: 'signing', done: 0, total: 1 });
+    const signedLength = containerLength - SIGNATURE_LENGTH;
+    container.set(await sign(signingKey, container.subarray(0, signedLength)), signedLength);
+  }
+  if (container) write(0, errorCorrection ? encodeFec(container, errorCorrection, onProgress) : container);
+
+  return cover ? embedBytesInCover(cover, output, bitsPerChannel) : output;
+}
+
+/**
+ * Decrypts an image produced by encrypt() (or by any earlier version of the web UI).
+ *
+ * @param {{pixels: Uint8Array|Uint8ClampedArray, width: number, height: number}|Array<object>} image
+ *   RGBA pixel data, or all tiles of a tiled image in any order.
+ * @param {string|null} passphrase Not needed for images encrypted for recipients or for a key file alone.
+ *   For deniable images, whichever recording the passphrase opens is returned.
+ * @param {{privateKey?: CryptoKey, keyFile?: Uint8Array, onProgress?: function}} [options] privateKey
+ *   unlocks images encrypted for recipients, keyFile images that need a key file. Secrets the image
+ *   does not need are ignored. onProgress receives { stage, done, total }.
+ * @returns {Promise<{pcm: Float32Array[]|null, sampleRate: number, channels: number, metadata: object|null,
+ *   correctedBytes: number|null, attachments: Array<{name: string, mimeType: string, bytes: Uint8Array}>,
+ *   signature: {valid: boolean, curve: string, fingerprint: string, publicKey: string}|null}>}
+ *   pcm is null for images of attachments only. metadata is null for images made before metadata
+ *   was stored. correctedBytes counts the bytes repaired by error correction, or is null without it.
+ *   signature is as from verifySignature(): an invalid one is reported, not thrown, since the
+ *   recording may still be wanted, but it must not be attributed to the stored signer.
+ */
+export async function decrypt(image, passphrase, options = {}) {
+  const { privateKey = null, onProgress = () => {} } = options;
+  const keyFile = validateKeyFile(options.keyFile);
+  if (!passphrase && !privateKey && !keyFile) throw new Error('Secret key is required');
+  const { container, correctedBytes } = openImages(image, onProgress);
+  let header = parseContainerHeader(container.read(0, MAX_HEADER_LENGTH), container.length);
+  const signature = await checkSignature(container, header, onProgress);
+  if (header.recipients && !privateKey) {
+    throw new Error('This image is encrypted for recipients\' public keys. Load your private key to decrypt it.');
+  }
+  const missing = header.recipients ? null : describeMissingFactors(header.keyFactors, passphrase, keyFile);
+  if (missing) throw new Error(missing);
+
+  // Deniable images try the passphrase on each slot; the one it opens describes the payload.
+  let key, headerAad;
+  if (header.slots) {
+    ({ key, aad: headerAad, header } = await openSlot(header, passphrase, onProgress));
+    if (header.ciphertextOffset + header.ciphertextLength > container.length) {
+      throw new Error('Corrupted data: Declared ciphertext length exceeds available data.');
+    }
+  }
+  const {
+    kdf, encoding, chunkSize, recipients, keyFactors, authenticatesHeader, hasMetadata,
+    salt, iv, ciphertextOffset, ciphertextLength, sampleRate, numChannels, hasArchive,
+  } = header;
+  if (!key) {
+    onProgress({ stage: 'deriving-key', done: 0, total: 1 });
+    key = recipients
+      ? await unwrapContentKey(recipients, privateKey, salt)
+      : await deriveKey(await keyMaterial(keyFactors.passphrase ? passphrase : null, keyFactors.keyFile ? keyFile : null), salt, kdf);
+    headerAad = authenticatesHeader ? container.read(0, ciphertextOffset) : undefined;
+  }
+  const readCiphertext = (offset, length) => container.read(ciphertextOffset + offset, length);
+  const rawDecryptedAudioData = chunkSize
+    ? await decryptChunks(key, iv, chunkSize, ciphertextLength, readCiphertext, onProgress, headerAad)
+    : await decryptSingle(key, iv, readCiphertext(0, ciphertextLength));
+
+  onProgress({ stage: 'decoding', done: 0, total: 1 });
+  let metadata = null;
+  let sampleData = rawDecryptedAudioData;
+  if (hasMetadata) {
+    const decoded = decodeMetadata(rawDecryptedAudioData);
+    metadata = decoded.metadata;
+    sampleData = rawDecryptedAudioData.subarray(decoded.length);
+  }
+  let attachments = [];
+  if (hasArchive) {
+    const archive = await decodeArchive(sampleData);
+    if (Boolean(archive.track) !== numChannels > 0) throw new Error('Corrupted data: The audio track does not match the header.');
+    sampleData = archive.track;
+    attachments = archive.files;
+  }
+  let pcm = null;
+  if (sampleData) {
+    const sampleBytes = await decompressPayload(sampleData, encoding.compression);
+    const floatArr = decodeSamples(sampleBytes, numChannels, encoding);
+    const frameCount = floatArr.length / numChannels;
+    pcm = [];
+    for (let c = 0; c < numChannels; c++) {
+      pcm.push(floatArr.slice(c * frameCount, (c + 1) * frameCount));
+    }
+  }
+  return { pcm, sampleRate, channels: numChannels, metadata, correctedBytes, attachments, signature };
+}
+
+/**
+ * Checks the signature of an image without decrypting it; no secret is needed.
+ *
+ * @param {{pixels: Uint8Array|Uint8ClampedArray, width: number, height: number}|Array<object>} image
+ *   RGBA pixel data, or all tiles of a tiled image in any order.
+ * @param {{onProgress?: function}} [options]
+ * @returns {Promise<{valid: boolean, curve: string, fingerprint: string, publicKey: string}|null>} null
+ *   for unsigned images. publicKey is the signer's raw public key in hex, and fingerprint its short
+ *   form for display, like publicKeyFingerprint(). An image only proves who made it when publicKey
+ *   equals that of a key the caller trusts (see describeSigningKey()); matching fingerprints is not enough.
+ */
+export async function verifySignature(image, options = {}) {
+  const { onProgress = () => {} } = options;
+  const { container } = openImages(image, onProgress);
+  return checkSignature(container, parseContainerHeader(container.read(0, MAX_HEADER_LENGTH), container.length), onProgress);
+}
+
+// The container bytes of an image or of all its tiles, repaired when it has error correction.
+function openImages(image, onProgress) {
+  const images = (Array.isArray(image) ? image : [image]).map(validateImage);
+  if (!images.length) throw new Error('No image given to decrypt.');
+  let container = images.length > 1 || readTileHeader(images[0])
+    ? openTiledContainer(images)
+    : openContainer(images[0]);
+  const start = container.read(0, FEC_PREAMBLE_LENGTH);
+  const fec = hasFormatMagic(start) ? null : readFecPreamble(start);
+  let correctedBytes = null;
+  if (fec) {
+    const repaired = decodeFec(container, fec, onProgress);
+    container = { length: repaired.bytes.length, read: (offset, count) => repaired.bytes.subarray(offset, offset + count) };
+    correctedBytes = repaired.corrected;
+  }
+  return { container, correctedBytes };
+}
+
+async function checkSignature(container, { signer, ciphertextOffset, ciphertextLength }, onProgress) {
+  if (!signer) return null;
+  onProgress({ stage: 'verifying', done: 0, total: 1 });
+  const signedLength = ciphertextOffset + ciphertextLength;
+  const valid = await verify(signer, container.read(signedLength, SIGNATURE_LENGTH), container.read(0, signedLength));
+  return { valid, curve: signer.curve, fingerprint: signer.fingerprint, publicKey: toHex(signer.publicKey) };
+}
@@ -0,0 +1,27 @@
+import { encodeWav } from './wav.js';
+import { encodeFlac } from './flac.js';
+import { metadataToTags } from './metadata.js';
+
+// Formats decrypted audio can be saved in. Opus/WebM needs MediaRecorder, so the
+// web page offers it separately; these work anywhere.
+export const AUDIO_FORMATS = {
+  wav16: { label: 'WAV (16-bit)', extension: 'wav', mimeType: 'audio/wav',
+    encode: (audio, options) => encodeWav(audio, { ...options, format: 'pcm16' }) },
+  wav24: { label: 'WAV (24-bit)', extension: 'wav', mimeType: 'audio/wav',
+    encode: (audio, options) => encodeWav(audio, { ...options, format: 'pcm24' }) },
+  wav32f: { label: 'WAV (32-bit float)', extension: 'wav', mimeType: 'audio/wav',
+    encode: (audio, options) => encodeWav(audio, { ...options, format: 'float32' }) },
+  flac16: { label: 'FLAC (16-bit)', extension: 'flac', mimeType: 'audio/flac',
+    encode: (audio, options) => encodeFlac(audio, { ...options, bitsPerSample: 16 }) },
+  flac24: { label: 'FLAC (24-bit)', extension: 'flac', mimeType: 'audio/flac',
+    encode: (audio, options) => encodeFlac(audio, { ...options, bitsPerSample: 24 }) },
+};
+export const DEFAULT_AUDIO_FORMAT = 'wav16';
+
+// Encodes { pcm, sampleRate } audio, tagging it with the image metadata when given.
+// onProgress receives { stage, done, total } for the slower formats.
+export function encodeAudio(audio, format = DEFAULT_AUDIO_FORMAT, { metadata = null, onProgress = () => {} } = {}) {
+  const entry = Object.hasOwn(AUDIO_FORMATS, format) ? AUDIO_FORMATS[format] : null;
+  if (!entry) throw new Error(`Unknown audio format: ${format}. Use ${Object.keys(AUDIO_FORMATS).join(', ')}.`);
+  return entry.encode(audio, { tags: metadata ? metadataToTags(metadata) : null, onProgress });
+}
@@ -0,0 +1,91 @@
+// Chunked AES-GCM. Each chunk is authenticated on its own with a nonce derived
+// from the header IV (chunk index XORed into its last four bytes), and the chunk
+// index plus a final-chunk marker are bound in as additional authenticated data,
+// so chunks cannot be reordered, dropped or truncated without detection. Newer
+// images also put the cleartext container header in front of that data, so the
+// header cannot be altered either.
+export const GCM_TAG_LENGTH = 16;
+export const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+export const MIN_CHUNK_SIZE = 4096;
+export const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+
+export const DECRYPTION_FAILED = 'Decryption failed - incorrect key or corrupted data.';
+
+function chunkNonce(iv, index) {
+  const nonce = iv.slice();
+  const view = new DataView(nonce.buffer);
+  view.setUint32(nonce.length - 4, view.getUint32(nonce.length - 4, false) ^ index, false);
+  return nonce;
+}
+
+function chunkAad(header, index, isFinal) {
+  const aad = new Uint8Array(header.length + 5);
+  aad.set(header);
+  new DataView(aad.buffer).setUint32(header.length, index, false);
+  aad[header.length + 4] = isFinal ? 1 : 0;
+  return aad;
+}
+
+export function validateChunkSize(chunkSize) {
+  if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+    throw new Error(`Chunk size must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes.`);
+  }
+  return chunkSize;
+}
+
+export function chunkCount(payloadLength, chunkSize) {
+  return Math.max(1, Math.ceil(payloadLength / chunkSize));
+}
+
+export function chunkedCiphertextLength(payloadLength, chunkSize) {
+  return payloadLength + chunkCount(payloadLength, chunkSize) * GCM_TAG_LENGTH;
+}
+
+// write(offset, bytes) receives each encrypted chunk at its offset within the ciphertext.
+// header is the authenticated cleartext header, or empty for images that do not bind it.
+export async function encryptChunks(key, iv, payload, chunkSize, write, onProgress, header = new Uint8Array(0)) {
+  const total = chunkCount(payload.length, chunkSize);
+  let outOffset = 0;
+  for (let i = 0; i < total; i++) {
+    const plain = payload.subarray(i * chunkSize, Math.min((i + 1) * chunkSize, payload.length));
+    const params = { name: 'AES-GCM', iv: chunkNonce(iv, i), additionalData: chunkAad(header, i, i === total - 1) };
+    const cipher = new Uint8Array(await crypto.subtle.encrypt(params, key, plain));
+    write(outOffset, cipher);
+    outOffset += cipher.length;
+    onProgress({ stage: 'encrypting', done: i + 1, total });
+  }
+}
+
+// read(offset, length) returns ciphertext bytes; the decrypted payload is returned as one array.
+export async function decryptChunks(key, iv, chunkSize, ciphertextLength, read, onProgress, header = new Uint8Array(0)) {
+  const cipherChunkSize = chunkSize + GCM_TAG_LENGTH;
+  const total = Math.max(1, Math.ceil(ciphertextLength / cipherChunkSize));
+  const lastChunkLength = ciphertextLength - (total - 1) * cipherChunkSize;
+  if (lastChunkLength < GCM_TAG_LENGTH) {
+    throw new Error('Corrupted data: Declared ciphertext length does not match the chunk layout.');
+  }
+  const payload = new Uint8Array(ciphertextLength - total * GCM_TAG_LENGTH);
+  for (let i = 0; i < total; i++) {
+    const cipher = read(i * cipherChunkSize, i === total - 1 ? lastChunkLength : cipherChunkSize);
+    const params = { name: 'AES-GCM', iv: chunkNonce(iv, i), additionalData: chunkAad(header, i, i === total - 1) };
+    let plain;
+    try {
+      plain = await crypto.subtle.decrypt(params, key, cipher);
+    } catch (decryptError) {
+      // The first chunk failing is indistinguishable from a wrong key; later ones mean damage.
+      throw new Error(i === 0 ? DECRYPTION_FAILED : `Corrupted data: chunk ${i + 1} of ${total} failed authentication.`);
+    }
+    payload.set(new Uint8Array(plain), i * chunkSize);
+    onProgress({ stage: 'decrypting', done: i + 1, total });
+  }
+  return payload;
+}
+
+// Images written before chunking hold a single AES-GCM message without additional data.
+export async function decryptSingle(key, iv, cipher) {
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt({name:'AES-GCM', iv}, key, cipher));
+  } catch (decryptError) {
+    throw new Error(DECRYPTION_FAILED);
+  }
+}
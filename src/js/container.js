@@ -0,0 +1,300 @@
+import { LEGACY_KDF, encodeKdfParams, decodeKdfParams, validateKdf } from './kdf.js';
+import { LEGACY_ENCODING, encodePayloadEncoding, decodePayloadEncoding } from './encoding.js';
+import { GCM_TAG_LENGTH, validateChunkSize } from './cipher.js';
+import { encodeRecipients, decodeRecipients } from './recipients.js';
+import { PASSPHRASE_ONLY, encodeKeyFactors, decodeKeyFactors } from './keyfile.js';
+import { SIGNATURE_LENGTH, encodeSigner, decodeSigner } from './signing.js';
+
+export const SALT_LENGTH = 16;
+export const IV_LENGTH = 12;
+export const MAX_CHANNELS = 32;
+export const MAX_SAMPLE_RATE = 192000;
+const CIPHERTEXT_LENGTH_BYTES = 4;
+const SAMPLE_RATE_BYTES = 4;
+
+// v0 (unversioned) layout: salt | IV | ciphertext length | sample rate.
+// The top byte of the sample rate field holds (channel count - 1), so images
+// written before multichannel support (top byte 0) still decode as mono.
+const LEGACY_HEADER_LENGTH = SALT_LENGTH + IV_LENGTH + CIPHERTEXT_LENGTH_BYTES + SAMPLE_RATE_BYTES;
+const CHANNEL_COUNT_SHIFT = 24;
+const SAMPLE_RATE_MASK = 0xFFFFFF;
+
+// v1+ layout: magic | version | flags | salt | IV | ciphertext length | sample rate | channel count
+export const FORMAT_MAGIC = new Uint8Array([0x41, 0x45, 0x4E, 0x43]); // "AENC"
+const FORMAT_VERSION = 1;
+const VERSION_BYTES = 1;
+const FLAGS_BYTES = 2;
+const CHANNEL_COUNT_BYTES = 1;
+const HEADER_LENGTH = FORMAT_MAGIC.length + VERSION_BYTES + FLAGS_BYTES + SALT_LENGTH + IV_LENGTH +
+  CIPHERTEXT_LENGTH_BYTES + SAMPLE_RATE_BYTES + CHANNEL_COUNT_BYTES;
+// Bits a reader must understand to decode the payload. Optional blocks follow
+// the fixed header in ascending flag-bit order.
+const FLAG_KDF_PARAMS = 0x0001; // KDF id + parameters; absent means LEGACY_KDF
+const FLAG_PAYLOAD_ENCODING = 0x0002; // sample format + compression; absent means LEGACY_ENCODING
+const FLAG_CHUNKED = 0x0004; // plaintext chunk size; absent means one AES-GCM message
+const FLAG_RECIPIENTS = 0x0008; // content key wrapped for public keys; the passphrase (and KDF) is unused
+const FLAG_HEADER_AAD = 0x0010; // the whole header is authenticated data of every chunk (no block)
+const FLAG_METADATA = 0x0020; // the plaintext starts with a metadata block (no block in the header)
+const FLAG_KEY_FACTORS = 0x0040; // which of passphrase and key file unlock the image; absent means the passphrase
+// the plaintext after the metadata block is an archive of entries (see archive.js) instead of
+// bare samples; sample rate and channel count are 0 when it holds no audio track (no block)
+const FLAG_ARCHIVE = 0x0080;
+// the signer's public key; a signature over the header and ciphertext follows the ciphertext
+const FLAG_SIGNED = 0x0100;
+const KNOWN_FLAGS = FLAG_KDF_PARAMS | FLAG_PAYLOAD_ENCODING | FLAG_CHUNKED | FLAG_RECIPIENTS | FLAG_HEADER_AAD | FLAG_METADATA |
+  FLAG_KEY_FACTORS | FLAG_ARCHIVE | FLAG_SIGNED;
+const CHUNK_SIZE_BYTES = 4;
+// Enough for every header this version writes; readers only look this far for one.
+export const MAX_HEADER_LENGTH = 64 * 1024;
+
+// v2 (deniable) layout: magic | version | flags | KDF params | slot records | data.
+// Only what every slot shares is in the clear. Each slot record is
+// salt | nonce | sealed descriptor, where the descriptor locates and describes one
+// payload in the data region; unused slots and unused data are random bytes, so
+// the image does not show how many slots hold a recording (see deniable.js).
+const DENIABLE_FORMAT_VERSION = 2;
+const KNOWN_FLAGS_V2 = 0;
+export const SLOT_COUNT = 2;
+export const SLOT_NONCE_LENGTH = 12;
+export const SEALED_DESCRIPTOR_LENGTH = 48 + GCM_TAG_LENGTH;
+export const SLOT_RECORD_LENGTH = SALT_LENGTH + SLOT_NONCE_LENGTH + SEALED_DESCRIPTOR_LENGTH;
+const HEADER_V2_LENGTH = FORMAT_MAGIC.length + VERSION_BYTES + FLAGS_BYTES;
+
+const NOT_AUDIOENCRYPT_IMAGE = 'This is not an AudioEncrypt image (no format signature or valid legacy header found).';
+
+export function hasFormatMagic(bytes) {
+  if (bytes.length < FORMAT_MAGIC.length) return false;
+  return FORMAT_MAGIC.every((b, i) => bytes[i] === b);
+}
+
+// hasArchive allows 0 Hz and 0 channels, which mark an image without an audio track.
+export function validateAudioParameters(sampleRate, numChannels, hasArchive = false) {
+  if (hasArchive && sampleRate === 0 && numChannels === 0) return;
+  if (sampleRate <= 0 || sampleRate > MAX_SAMPLE_RATE) { // Common sample rate range
+    throw new Error(`Invalid sample rate (${sampleRate}Hz) in image. Data might be corrupted.`);
+  }
+  if (numChannels < 1 || numChannels > MAX_CHANNELS) {
+    throw new Error(`Invalid channel count (${numChannels}) in image. Data might be corrupted.`);
+  }
+}
+
+function encodeChunkSize(chunkSize) {
+  const block = new Uint8Array(CHUNK_SIZE_BYTES);
+  new DataView(block.buffer).setUint32(0, chunkSize, false);
+  return block;
+}
+
+// Pass either kdf and keyFactors (passphrase mode) or recipients (entries from wrapContentKey).
+// The factors block is only written when a key file is needed, so passphrase-only
+// images stay readable by versions without key file support. signer comes from describeSigner().
+export function buildContainerHeader({
+  salt, iv, ciphertextLength, sampleRate, numChannels, kdf, encoding, chunkSize, recipients = null,
+  keyFactors = PASSPHRASE_ONLY, hasArchive = false, signer = null,
+}) {
+  const blocks = [];
+  let flags = FLAG_PAYLOAD_ENCODING | FLAG_CHUNKED | FLAG_HEADER_AAD | FLAG_METADATA;
+  if (hasArchive) flags |= FLAG_ARCHIVE;
+  if (!recipients) {
+    flags |= FLAG_KDF_PARAMS;
+    blocks.push(encodeKdfParams(kdf));
+  }
+  blocks.push(encodePayloadEncoding(encoding), encodeChunkSize(chunkSize));
+  if (recipients) {
+    flags |= FLAG_RECIPIENTS;
+    blocks.push(encodeRecipients(recipients));
+  } else if (keyFactors.keyFile) {
+    flags |= FLAG_KEY_FACTORS;
+    blocks.push(encodeKeyFactors(keyFactors));
+  }
+  if (signer) {
+    flags |= FLAG_SIGNED;
+    blocks.push(encodeSigner(signer));
+  }
+  const header = new Uint8Array(HEADER_LENGTH + blocks.reduce((sum, block) => sum + block.length, 0));
+  const view = new DataView(header.buffer);
+  let offset = 0;
+  header.set(FORMAT_MAGIC, offset); offset += FORMAT_MAGIC.length;
+  view.setUint8(offset, FORMAT_VERSION); offset += VERSION_BYTES;
+  view.setUint16(offset, flags, false); offset += FLAGS_BYTES;
+  header.set(salt, offset); offset += SALT_LENGTH;
+  header.set(iv, offset); offset += IV_LENGTH;
+  view.setUint32(offset, ciphertextLength, false); offset += CIPHERTEXT_LENGTH_BYTES;
+  view.setUint32(offset, sampleRate, false); offset += SAMPLE_RATE_BYTES;
+  view.setUint8(offset, numChannels); offset += CHANNEL_COUNT_BYTES;
+  for (const block of blocks) {
+    header.set(block, offset); offset += block.length;
+  }
+  return header;
+}
+
+// The cleartext part of a v2 header, which every slot's descriptor authenticates.
+export function buildDeniableHeader(kdf) {
+  const kdfBlock = encodeKdfParams(kdf);
+  const header = new Uint8Array(HEADER_V2_LENGTH + kdfBlock.length);
+  header.set(FORMAT_MAGIC, 0);
+  header[FORMAT_MAGIC.length] = DENIABLE_FORMAT_VERSION;
+  new DataView(header.buffer).setUint16(FORMAT_MAGIC.length + VERSION_BYTES, KNOWN_FLAGS_V2, false);
+  header.set(kdfBlock, HEADER_V2_LENGTH);
+  return header;
+}
+
+function parseLegacyHeader(bytes, availableLength) {
+  if (bytes.length < LEGACY_HEADER_LENGTH) throw new Error(NOT_AUDIOENCRYPT_IMAGE);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ciphertextLength = view.getUint32(SALT_LENGTH + IV_LENGTH, false);
+  const sampleRateField = view.getUint32(SALT_LENGTH + IV_LENGTH + CIPHERTEXT_LENGTH_BYTES, false);
+  const sampleRate = sampleRateField & SAMPLE_RATE_MASK;
+  const numChannels = (sampleRateField >>> CHANNEL_COUNT_SHIFT) + 1;
+  const sampleBytes = ciphertextLength - GCM_TAG_LENGTH;
+
+  // Without a signature, a plausible header is the only evidence that this is one of our images.
+  const plausible = sampleRate > 0 && sampleRate <= MAX_SAMPLE_RATE &&
+    numChannels <= MAX_CHANNELS &&
+    sampleBytes >= 0 && sampleBytes % (Float32Array.BYTES_PER_ELEMENT * numChannels) === 0 &&
+    LEGACY_HEADER_LENGTH + ciphertextLength <= availableLength;
+  if (!plausible) throw new Error(NOT_AUDIOENCRYPT_IMAGE);
+
+  return {
+    version: 0,
+    flags: 0,
+    kdf: LEGACY_KDF,
+    encoding: LEGACY_ENCODING,
+    chunkSize: 0,
+    recipients: null,
+    keyFactors: PASSPHRASE_ONLY,
+    authenticatesHeader: false,
+    hasMetadata: false,
+    salt: bytes.slice(0, SALT_LENGTH),
+    iv: bytes.slice(SALT_LENGTH, SALT_LENGTH + IV_LENGTH),
+    ciphertextOffset: LEGACY_HEADER_LENGTH,
+    ciphertextLength,
+    sampleRate,
+    numChannels,
+  };
+}
+
+function parseHeaderV1(bytes) {
+  if (bytes.length < HEADER_LENGTH) {
+    throw new Error('Corrupted data: Image data too short to contain header.');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = FORMAT_MAGIC.length + VERSION_BYTES;
+  const flags = view.getUint16(offset, false); offset += FLAGS_BYTES;
+  if (flags & ~KNOWN_FLAGS) {
+    throw new Error(`This image uses features not supported by this version of AudioEncrypt (flags 0x${flags.toString(16)}).`);
+  }
+  const salt = bytes.slice(offset, offset + SALT_LENGTH); offset += SALT_LENGTH;
+  const iv = bytes.slice(offset, offset + IV_LENGTH); offset += IV_LENGTH;
+  const ciphertextLength = view.getUint32(offset, false); offset += CIPHERTEXT_LENGTH_BYTES;
+  const sampleRate = view.getUint32(offset, false); offset += SAMPLE_RATE_BYTES;
+  const numChannels = view.getUint8(offset); offset += CHANNEL_COUNT_BYTES;
+  validateAudioParameters(sampleRate, numChannels, Boolean(flags & FLAG_ARCHIVE));
+  let kdf = LEGACY_KDF;
+  if (flags & FLAG_KDF_PARAMS) {
+    if (bytes.length < offset + 1) throw new Error('Corrupted data: Image data too short to contain header.');
+    const decoded = decodeKdfParams(view, offset);
+    kdf = validateKdf(decoded.kdf);
+    offset += decoded.length;
+  }
+  let encoding = LEGACY_ENCODING;
+  if (flags & FLAG_PAYLOAD_ENCODING) {
+    const decoded = decodePayloadEncoding(view, offset);
+    encoding = decoded.encoding;
+    offset += decoded.length;
+  }
+  let chunkSize = 0;
+  if (flags & FLAG_CHUNKED) {
+    if (bytes.length < offset + CHUNK_SIZE_BYTES) throw new Error('Corrupted data: Image data too short to contain header.');
+    chunkSize = validateChunkSize(view.getUint32(offset, false));
+    offset += CHUNK_SIZE_BYTES;
+  }
+  let recipients = null;
+  if (flags & FLAG_RECIPIENTS) {
+    const decoded = decodeRecipients(view, offset);
+    recipients = decoded.recipients;
+    offset += decoded.length;
+  }
+  let keyFactors = recipients ? null : PASSPHRASE_ONLY;
+  if (flags & FLAG_KEY_FACTORS) {
+    if (recipients) throw new Error('Corrupted data: An image for recipients cannot need a passphrase or key file.');
+    const decoded = decodeKeyFactors(view, offset);
+    keyFactors = decoded.keyFactors;
+    offset += decoded.length;
+  }
+  let signer = null;
+  if (flags & FLAG_SIGNED) {
+    const decoded = decodeSigner(view, offset);
+    signer = decoded.signer;
+    offset += decoded.length;
+  }
+  if ((flags & FLAG_HEADER_AAD) && !(flags & FLAG_CHUNKED)) {
+    throw new Error('Corrupted data: Header authentication requires chunked encryption.');
+  }
+  if ((flags & FLAG_ARCHIVE) && !(flags & FLAG_METADATA)) {
+    throw new Error('Corrupted data: An attachments archive requires a metadata block.');
+  }
+  return {
+    version: 1, flags, kdf, encoding, chunkSize, recipients, keyFactors,
+    authenticatesHeader: Boolean(flags & FLAG_HEADER_AAD),
+    hasMetadata: Boolean(flags & FLAG_METADATA),
+    hasArchive: Boolean(flags & FLAG_ARCHIVE),
+    salt, iv, ciphertextOffset: offset, ciphertextLength, sampleRate, numChannels, signer,
+  };
+}
+
+// Returns the shared KDF, the raw slot records and where the data region starts; the
+// payloads are only described once a slot has been opened with openSlot().
+function parseHeaderV2(bytes) {
+  if (bytes.length < HEADER_V2_LENGTH + 1) throw new Error('Corrupted data: Image data too short to contain header.');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const flags = view.getUint16(FORMAT_MAGIC.length + VERSION_BYTES, false);
+  if (flags & ~KNOWN_FLAGS_V2) {
+    throw new Error(`This image uses features not supported by this version of AudioEncrypt (flags 0x${flags.toString(16)}).`);
+  }
+  const decoded = decodeKdfParams(view, HEADER_V2_LENGTH);
+  const kdf = validateKdf(decoded.kdf);
+  const slotsOffset = HEADER_V2_LENGTH + decoded.length;
+  const dataOffset = slotsOffset + SLOT_COUNT * SLOT_RECORD_LENGTH;
+  if (bytes.length < dataOffset) throw new Error('Corrupted data: Image data too short to contain header.');
+  const slots = [];
+  for (let offset = slotsOffset; offset < dataOffset; offset += SLOT_RECORD_LENGTH) {
+    slots.push({
+      salt: bytes.slice(offset, offset + SALT_LENGTH),
+      nonce: bytes.slice(offset + SALT_LENGTH, offset + SALT_LENGTH + SLOT_NONCE_LENGTH),
+      sealed: bytes.slice(offset + SALT_LENGTH + SLOT_NONCE_LENGTH, offset + SLOT_RECORD_LENGTH),
+      record: bytes.slice(offset, offset + SLOT_RECORD_LENGTH),
+    });
+  }
+  return {
+    version: DENIABLE_FORMAT_VERSION, flags, kdf, keyFactors: PASSPHRASE_ONLY, recipients: null,
+    sharedHeader: bytes.slice(0, slotsOffset), slots, dataOffset,
+  };
+}
+
+const HEADER_PARSERS = {
+  1: parseHeaderV1,
+  2: parseHeaderV2,
+};
+
+// bytes holds at least the start of the container; availableLength is the size of
+// the whole container, for checking the declared ciphertext length against it.
+export function parseContainerHeader(bytes, availableLength = bytes.length) {
+  if (!hasFormatMagic(bytes)) return parseLegacyHeader(bytes, availableLength);
+  const version = bytes[FORMAT_MAGIC.length];
+  const parse = HEADER_PARSERS[version];
+  if (!parse) {
+    throw new Error(`Unsupported AudioEncrypt format version ${version}. This image was created by a newer version of the tool.`);
+  }
+  const header = parse(bytes);
+  if (header.slots) {
+    if (header.dataOffset > availableLength) throw new Error('Corrupted data: Image data too short to contain header.');
+    return header;
+  }
+  if (header.ciphertextOffset + header.ciphertextLength > availableLength) {
+    throw new Error('Corrupted data: Declared ciphertext length exceeds available data.');
+  }
+  if (header.signer && header.ciphertextOffset + header.ciphertextLength + SIGNATURE_LENGTH > availableLength) {
+    throw new Error('Corrupted data: The signature after the ciphertext is missing.');
+  }
+  return header;
+}
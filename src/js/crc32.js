@@ -0,0 +1,16 @@
+// CRC-32 as used by PNG chunks and ZIP entries. Pass the result back in as crc to
+// continue over more bytes; the final value is (crc ^ 0xFFFFFFFF) >>> 0.
+let crcTable = null;
+
+export function crc32(bytes, crc = 0xFFFFFFFF) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return crc;
+}
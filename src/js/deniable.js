@@ -0,0 +1,158 @@
+// Deniable images hold one or two independently encrypted recordings, for example a real
+// one and a decoy to hand over under pressure. Each passphrase opens one slot, and nothing
+// in the image tells whether the other slot is in use: a slot record without a descriptor
+// and every data byte outside a payload are random, which AES-GCM output cannot be told
+// apart from. The payload of the visible slot (the decoy, or the only recording) fills the
+// first half of the data region, and a hidden payload starts the second half, which is
+// random padding otherwise.
+import { deriveKey } from './kdf.js';
+import { encodePayloadEncoding, decodePayloadEncoding } from './encoding.js';
+import { GCM_TAG_LENGTH, DECRYPTION_FAILED, chunkedCiphertextLength, validateChunkSize } from './cipher.js';
+import {
+  IV_LENGTH, SALT_LENGTH, SLOT_COUNT, SLOT_NONCE_LENGTH, SLOT_RECORD_LENGTH, SEALED_DESCRIPTOR_LENGTH,
+  buildDeniableHeader, validateAudioParameters,
+} from './container.js';
+import { fillRandom } from './pixels.js';
+
+// Descriptor: data offset | ciphertext length | IV | sample rate | channel count | encoding | chunk size |
+// flags, zero-padded to a fixed length so that every sealed descriptor is the same size.
+const DESCRIPTOR_LENGTH = SEALED_DESCRIPTOR_LENGTH - GCM_TAG_LENGTH;
+const FLAG_ARCHIVE = 0x01; // the payload holds an attachments archive, as FLAG_ARCHIVE in v1 headers
+const MAX_CONTAINER_LENGTH = 0xFFFFFFFF;
+
+function randomBytes(length) {
+  return fillRandom(new Uint8Array(length));
+}
+
+// A uniformly random integer from 0 to max (at most 2^32 - 1).
+function randomUpTo(max) {
+  const range = max + 1;
+  const limit = Math.floor(0x100000000 / range) * range;
+  const buffer = new Uint32Array(1);
+  do crypto.getRandomValues(buffer); while (buffer[0] >= limit);
+  return buffer[0] % range;
+}
+
+function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function encodeDescriptor({ dataOffset, ciphertextLength, iv, sampleRate, numChannels, encoding, chunkSize, hasArchive }) {
+  const bytes = new Uint8Array(DESCRIPTOR_LENGTH);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, dataOffset, false);
+  view.setUint32(4, ciphertextLength, false);
+  bytes.set(iv, 8);
+  view.setUint32(8 + IV_LENGTH, sampleRate, false);
+  view.setUint8(12 + IV_LENGTH, numChannels);
+  bytes.set(encodePayloadEncoding(encoding), 13 + IV_LENGTH);
+  view.setUint32(15 + IV_LENGTH, chunkSize, false);
+  view.setUint8(19 + IV_LENGTH, hasArchive ? FLAG_ARCHIVE : 0);
+  return bytes;
+}
+
+function decodeDescriptor(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const sampleRate = view.getUint32(8 + IV_LENGTH, false);
+  const numChannels = view.getUint8(12 + IV_LENGTH);
+  const flags = view.getUint8(19 + IV_LENGTH);
+  if (flags & ~FLAG_ARCHIVE) throw new Error('This image uses features not supported by this version of AudioEncrypt.');
+  validateAudioParameters(sampleRate, numChannels, Boolean(flags & FLAG_ARCHIVE));
+  return {
+    dataOffset: view.getUint32(0, false),
+    ciphertextLength: view.getUint32(4, false),
+    iv: bytes.slice(8, 8 + IV_LENGTH),
+    sampleRate,
+    numChannels,
+    encoding: decodePayloadEncoding(view, 13 + IV_LENGTH).encoding,
+    chunkSize: validateChunkSize(view.getUint32(15 + IV_LENGTH, false)),
+    hasArchive: Boolean(flags & FLAG_ARCHIVE),
+  };
+}
+
+// Derives the slot's key from a fresh salt and seals its descriptor, bound to the shared header.
+async function sealSlot(passphrase, kdf, sharedHeader, descriptor) {
+  const salt = randomBytes(SALT_LENGTH);
+  const nonce = randomBytes(SLOT_NONCE_LENGTH);
+  const key = await deriveKey(passphrase, salt, kdf);
+  const params = { name: 'AES-GCM', iv: nonce, additionalData: sharedHeader };
+  const sealed = new Uint8Array(await crypto.subtle.encrypt(params, key, encodeDescriptor(descriptor)));
+  return { key, record: concatBytes(salt, nonce, sealed) };
+}
+
+/**
+ * Lays out a deniable container. visible and hidden are { payload, passphrase, sampleRate,
+ * numChannels, hasArchive }; hidden may be null. The data region is always twice as long as the
+ * visible payload, whether or not a hidden one follows it, so its size says nothing about the
+ * hidden payload. A hidden payload longer than the visible one is refused, because it would not fit.
+ *
+ * @returns {Promise<{header: Uint8Array, containerLength: number,
+ *   parts: Array<{key: CryptoKey, iv: Uint8Array, payload: Uint8Array, offset: number, aad: Uint8Array}>}>}
+ *   header is written at the start of the container and each part, as encryptChunks() input,
+ *   at its offset; everything else must be filled with random bytes.
+ */
+export async function planDeniableContainer(visible, hidden, { kdf, encoding, chunkSize }) {
+  const sharedHeader = buildDeniableHeader(kdf);
+  const dataOffset = sharedHeader.length + SLOT_COUNT * SLOT_RECORD_LENGTH;
+  const entries = [{ ...visible, offset: 0, length: chunkedCiphertextLength(visible.payload.length, chunkSize) }];
+  if (hidden) entries.push({ ...hidden, offset: entries[0].length, length: chunkedCiphertextLength(hidden.payload.length, chunkSize) });
+  if (hidden && entries[1].length > entries[0].length) {
+    throw new Error('The real recording must be no longer than the decoy in a deniable image.');
+  }
+  const dataLength = 2 * entries[0].length;
+  if (dataOffset + dataLength > MAX_CONTAINER_LENGTH) throw new Error('The recordings are too long for one deniable image.');
+
+  // The visible payload goes to a random slot, so the slot order gives nothing away either.
+  const records = Array.from({ length: SLOT_COUNT }, () => randomBytes(SLOT_RECORD_LENGTH));
+  const visibleSlot = randomUpTo(SLOT_COUNT - 1);
+  const parts = [];
+  for (const [i, entry] of entries.entries()) {
+    const slot = (visibleSlot + i) % SLOT_COUNT;
+    const iv = randomBytes(IV_LENGTH);
+    const { key, record } = await sealSlot(entry.passphrase, kdf, sharedHeader, {
+      dataOffset: entry.offset, ciphertextLength: entry.length, iv,
+      sampleRate: entry.sampleRate, numChannels: entry.numChannels, encoding, chunkSize, hasArchive: entry.hasArchive,
+    });
+    records[slot] = record;
+    parts.push({ key, iv, payload: entry.payload, offset: dataOffset + entry.offset, aad: concatBytes(sharedHeader, record) });
+  }
+  return { header: concatBytes(sharedHeader, ...records), containerLength: dataOffset + dataLength, parts };
+}
+
+/**
+ * Tries the passphrase on every slot of a parsed v2 header and opens the first that
+ * accepts it.
+ *
+ * @returns {Promise<{key: CryptoKey, aad: Uint8Array, header: object}>} header describes the
+ *   slot's payload like parseContainerHeader() does for v1 images; aad is the authenticated
+ *   data of its chunks.
+ */
+export async function openSlot(header, passphrase, onProgress) {
+  const { slots, kdf, sharedHeader, dataOffset } = header;
+  for (const [index, { salt, nonce, sealed, record }] of slots.entries()) {
+    onProgress({ stage: 'deriving-key', done: index, total: slots.length });
+    const key = await deriveKey(passphrase, salt, kdf);
+    let descriptor;
+    try {
+      descriptor = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: nonce, additionalData: sharedHeader }, key, sealed));
+    } catch {
+      continue; // not this slot's passphrase, or an unused slot
+    }
+    const payload = decodeDescriptor(descriptor);
+    return {
+      key,
+      aad: concatBytes(sharedHeader, record),
+      header: {
+        ...header, ...payload, salt, ciphertextOffset: dataOffset + payload.dataOffset,
+        authenticatesHeader: true, hasMetadata: true,
+      },
+    };
+  }
+  throw new Error(DECRYPTION_FAILED);
+}
@@ -0,0 +1,26 @@
+// Diceware passphrases: words drawn uniformly from the 7776-word EFF list, so each
+// word adds log2(7776) ≈ 12.9 bits of entropy.
+import { DICEWARE_WORDS } from './wordlists.js';
+
+export const DEFAULT_PASSPHRASE_WORDS = 6;
+export const MIN_PASSPHRASE_WORDS = 4;
+export const MAX_PASSPHRASE_WORDS = 16;
+
+// Uniform index below n, rejecting the top of the 32-bit range that would bias it.
+function randomIndex(n) {
+  const limit = Math.floor(0x100000000 / n) * n;
+  const buffer = new Uint32Array(1);
+  do crypto.getRandomValues(buffer); while (buffer[0] >= limit);
+  return buffer[0] % n;
+}
+
+export function passphraseEntropyBits(wordCount) {
+  return wordCount * Math.log2(DICEWARE_WORDS.length);
+}
+
+export function generatePassphrase(wordCount = DEFAULT_PASSPHRASE_WORDS, separator = '-') {
+  if (!Number.isInteger(wordCount) || wordCount < MIN_PASSPHRASE_WORDS || wordCount > MAX_PASSPHRASE_WORDS) {
+    throw new Error(`Passphrases must have ${MIN_PASSPHRASE_WORDS} to ${MAX_PASSPHRASE_WORDS} words.`);
+  }
+  return Array.from({ length: wordCount }, () => DICEWARE_WORDS[randomIndex(DICEWARE_WORDS.length)]).join(separator);
+}
@@ -0,0 +1,123 @@
+import { deflate, inflate } from './zlib.js';
+
+// Images without a payload encoding block in their header hold raw Float32 samples.
+export const LEGACY_ENCODING = { sampleFormat: 'float32', compression: 'none' };
+export const DEFAULT_ENCODING = { sampleFormat: 'pcm16', compression: 'deflate' };
+
+const SAMPLE_FORMAT_IDS = { float32: 0, pcm16: 1, mulaw: 2 };
+const SAMPLE_FORMAT_BYTES = { float32: 4, pcm16: 2, mulaw: 1 };
+const COMPRESSION_IDS = { none: 0, deflate: 1 };
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+function linearToMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+  return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+function mulawToLinear(value) {
+  const u = ~value & 0xFF;
+  const exponent = (u >> 4) & 0x07;
+  const magnitude = ((((u & 0x0F) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return u & 0x80 ? -magnitude : magnitude;
+}
+
+function floatToInt16(sample) {
+  const s = Math.max(-1, Math.min(1, sample));
+  return Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF);
+}
+
+function int16ToFloat(value) {
+  return value < 0 ? value / 0x8000 : value / 0x7FFF;
+}
+
+// Planar Float32 samples -> bytes in the chosen sample format. When the payload is
+// compressed, 16-bit samples are stored as per-channel first differences (a simple
+// FLAC-style predictor), which deflate handles much better than raw PCM.
+export function encodeSamples(planarSamples, numChannels, { sampleFormat, compression }) {
+  if (sampleFormat === 'float32') return new Uint8Array(planarSamples.buffer.slice(0));
+  if (sampleFormat === 'mulaw') {
+    const out = new Uint8Array(planarSamples.length);
+    for (let i = 0; i < planarSamples.length; i++) out[i] = linearToMulaw(floatToInt16(planarSamples[i]));
+    return out;
+  }
+  const frameCount = planarSamples.length / numChannels;
+  const out = new Uint8Array(planarSamples.length * 2);
+  const view = new DataView(out.buffer);
+  for (let c = 0; c < numChannels; c++) {
+    let previous = 0;
+    for (let i = c * frameCount; i < (c + 1) * frameCount; i++) {
+      const value = floatToInt16(planarSamples[i]);
+      view.setInt16(i * 2, compression === 'none' ? value : value - previous, true);
+      previous = value;
+    }
+  }
+  return out;
+}
+
+export function decodeSamples(bytes, numChannels, { sampleFormat, compression }) {
+  const bytesPerSample = SAMPLE_FORMAT_BYTES[sampleFormat];
+  if (bytes.length % (bytesPerSample * numChannels) !== 0) {
+    throw new Error(`Invalid channel count (${numChannels}) in image. Data might be corrupted.`);
+  }
+  if (sampleFormat === 'float32') {
+    const aligned = bytes.byteOffset % 4 === 0 ? bytes : bytes.slice(); // e.g. after a metadata block
+    return new Float32Array(aligned.buffer, aligned.byteOffset, aligned.length / 4);
+  }
+  const out = new Float32Array(bytes.length / bytesPerSample);
+  if (sampleFormat === 'mulaw') {
+    for (let i = 0; i < out.length; i++) out[i] = int16ToFloat(mulawToLinear(bytes[i]));
+    return out;
+  }
+  const frameCount = out.length / numChannels;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let c = 0; c < numChannels; c++) {
+    let previous = 0;
+    for (let i = c * frameCount; i < (c + 1) * frameCount; i++) {
+      const stored = view.getInt16(i * 2, true);
+      const value = compression === 'none' ? stored : (previous + stored) << 16 >> 16;
+      out[i] = int16ToFloat(value);
+      previous = value;
+    }
+  }
+  return out;
+}
+
+export async function compressPayload(bytes, compression) {
+  if (compression === 'none') return bytes;
+  return deflate(bytes);
+}
+
+export async function decompressPayload(bytes, compression) {
+  if (compression === 'none') return bytes;
+  if (typeof DecompressionStream === 'undefined') return inflate(bytes); // reports the missing API
+  try {
+    return await inflate(bytes);
+  } catch (e) {
+    throw new Error('Corrupted data: The compressed audio payload could not be decompressed.');
+  }
+}
+
+export function validatePayloadEncoding(encoding) {
+  if (!(encoding.sampleFormat in SAMPLE_FORMAT_IDS)) throw new Error(`Unsupported sample format: ${encoding.sampleFormat}`);
+  if (!(encoding.compression in COMPRESSION_IDS)) throw new Error(`Unsupported compression: ${encoding.compression}`);
+  return encoding;
+}
+
+export function encodePayloadEncoding({ sampleFormat, compression }) {
+  return new Uint8Array([SAMPLE_FORMAT_IDS[sampleFormat], COMPRESSION_IDS[compression]]);
+}
+
+export function decodePayloadEncoding(view, offset) {
+  if (offset + 2 > view.byteLength) throw new Error('Corrupted data: Image data too short to contain header.');
+  const sampleFormat = Object.keys(SAMPLE_FORMAT_IDS).find(k => SAMPLE_FORMAT_IDS[k] === view.getUint8(offset));
+  const compression = Object.keys(COMPRESSION_IDS).find(k => COMPRESSION_IDS[k] === view.getUint8(offset + 1));
+  if (!sampleFormat || !compression) {
+    throw new Error('This image uses an audio encoding not supported by this version of AudioEncrypt.');
+  }
+  return { encoding: { sampleFormat, compression }, length: 2 };
+}
@@ -0,0 +1,238 @@
+// Optional forward error correction around the whole container byte stream.
+// The stream is cut into Reed-Solomon codewords over GF(256) (255 bytes, of which
+// `parity` are check bytes) and the codewords are interleaved byte by byte across
+// the image: byte j of codeword i is stored at position j * count + i. A run of
+// damaged pixels is thus spread thinly over all codewords, and each codeword can
+// repair up to parity / 2 wrong bytes.
+//
+// Layout: preamble | interleaved codewords. The preamble is
+// magic | version | parity bytes per codeword | stream length
+// followed by its own Reed-Solomon check bytes, so it survives damage as well.
+export const FEC_MAGIC = new Uint8Array([0x41, 0x45, 0x4E, 0x46]); // "AENF"
+const FEC_VERSION = 1;
+const CODEWORD_LENGTH = 255;
+const PREAMBLE_DATA_LENGTH = FEC_MAGIC.length + 1 + 1 + 4;
+const PREAMBLE_PARITY = 54; // repairs 27 of the 64 preamble bytes
+export const FEC_PREAMBLE_LENGTH = PREAMBLE_DATA_LENGTH + PREAMBLE_PARITY;
+const PROGRESS_INTERVAL = 1024; // codewords between progress reports
+
+// Redundancy levels: check bytes per 255-byte codeword.
+export const FEC_LEVELS = { low: 16, medium: 32, high: 64 };
+
+// GF(256) with the primitive polynomial x^8 + x^4 + x^3 + x^2 + 1 and generator 2.
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11D;
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+function mul(a, b) {
+  return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+}
+
+function div(a, b) {
+  return a ? EXP[LOG[a] + 255 - LOG[b]] : 0;
+}
+
+// Evaluates a polynomial given lowest coefficient first.
+function evaluate(poly, x) {
+  let y = 0;
+  for (let i = poly.length - 1; i >= 0; i--) y = mul(y, x) ^ poly[i];
+  return y;
+}
+
+const generators = new Map();
+
+// g(x) = (x - 1)(x - a)...(x - a^(parity-1)), highest coefficient first, as logarithms
+// (g has no zero coefficients).
+function generatorLogs(parity) {
+  if (generators.has(parity)) return generators.get(parity);
+  let g = new Uint8Array([1]);
+  for (let i = 0; i < parity; i++) {
+    const next = new Uint8Array(g.length + 1);
+    for (let j = 0; j < g.length; j++) {
+      next[j] ^= g[j];
+      next[j + 1] ^= mul(g[j], EXP[i]);
+    }
+    g = next;
+  }
+  const logs = Uint16Array.from(g, (c) => LOG[c]);
+  generators.set(parity, logs);
+  return logs;
+}
+
+// Writes the check bytes for message into out (parity bytes long).
+function computeParity(message, parity, out) {
+  const g = generatorLogs(parity);
+  out.fill(0);
+  for (let i = 0; i < message.length; i++) {
+    const feedback = message[i] ^ out[0];
+    out.copyWithin(0, 1);
+    out[parity - 1] = 0;
+    if (!feedback) continue;
+    const logFeedback = LOG[feedback];
+    for (let j = 0; j < parity; j++) out[j] ^= EXP[g[j + 1] + logFeedback];
+  }
+}
+
+// Repairs a codeword in place (highest-degree byte first, possibly shortened).
+// Returns the number of corrected bytes, or -1 when there are too many errors.
+function correctCodeword(codeword, parity) {
+  const n = codeword.length;
+  const syndromes = new Uint8Array(parity);
+  let clean = true;
+  for (let j = 0; j < parity; j++) {
+    let s = 0;
+    for (let p = 0; p < n; p++) s = (s ? EXP[LOG[s] + j] : 0) ^ codeword[p];
+    syndromes[j] = s;
+    if (s) clean = false;
+  }
+  if (clean) return 0;
+
+  // Berlekamp-Massey: the error locator polynomial, lowest coefficient first.
+  let locator = [1];
+  let previous = [1];
+  let errors = 0;
+  let shift = 1;
+  let previousDiscrepancy = 1;
+  for (let r = 0; r < parity; r++) {
+    let discrepancy = syndromes[r];
+    for (let i = 1; i <= errors; i++) discrepancy ^= mul(locator[i] || 0, syndromes[r - i]);
+    if (!discrepancy) {
+      shift++;
+      continue;
+    }
+    const scale = div(discrepancy, previousDiscrepancy);
+    const updated = locator.slice();
+    for (let i = 0; i < previous.length; i++) {
+      updated[i + shift] = (updated[i + shift] || 0) ^ mul(scale, previous[i]);
+    }
+    if (2 * errors <= r) {
+      previous = locator;
+      errors = r + 1 - errors;
+      previousDiscrepancy = discrepancy;
+      shift = 1;
+    } else {
+      shift++;
+    }
+    locator = updated;
+  }
+  if (2 * errors > parity) return -1;
+
+  // Chien search: byte p holds the coefficient of x^(n-1-p).
+  const positions = [];
+  for (let p = 0; p < n; p++) {
+    if (!evaluate(locator, EXP[(255 - (n - 1 - p) % 255) % 255])) positions.push(p);
+  }
+  if (positions.length !== errors) return -1;
+
+  // Forney: with roots starting at a^0, e = X * omega(1/X) / locator'(1/X).
+  const evaluator = new Uint8Array(parity);
+  for (let i = 0; i < parity; i++) {
+    for (let j = 0; j <= i && j < locator.length; j++) evaluator[i] ^= mul(syndromes[i - j], locator[j]);
+  }
+  const derivative = locator.map((c, i) => (i % 2 ? c : 0)).slice(1);
+  for (const p of positions) {
+    const x = EXP[(n - 1 - p) % 255];
+    const xInverse = div(1, x);
+    const denominator = evaluate(derivative, xInverse);
+    if (!denominator) return -1;
+    codeword[p] ^= div(mul(x, evaluate(evaluator, xInverse)), denominator);
+  }
+  return errors;
+}
+
+export function validateErrorCorrection(level) {
+  if (level === null || level === undefined) return null;
+  if (!Object.hasOwn(FEC_LEVELS, level)) {
+    throw new Error(`Unknown error correction level: ${level}. Use ${Object.keys(FEC_LEVELS).join(', ')}.`);
+  }
+  return level;
+}
+
+function codewordCount(length, parity) {
+  return Math.ceil(length / (CODEWORD_LENGTH - parity));
+}
+
+// Bytes taken by a protected stream of the given length, preamble included.
+export function fecEncodedLength(length, level) {
+  return FEC_PREAMBLE_LENGTH + codewordCount(length, FEC_LEVELS[level]) * CODEWORD_LENGTH;
+}
+
+export function encodeFec(bytes, level, onProgress = () => {}) {
+  const parity = FEC_LEVELS[level];
+  const dataLength = CODEWORD_LENGTH - parity;
+  const count = codewordCount(bytes.length, parity);
+  const out = new Uint8Array(fecEncodedLength(bytes.length, level));
+
+  const view = new DataView(out.buffer);
+  let offset = 0;
+  out.set(FEC_MAGIC, offset); offset += FEC_MAGIC.length;
+  view.setUint8(offset, FEC_VERSION); offset += 1;
+  view.setUint8(offset, parity); offset += 1;
+  view.setUint32(offset, bytes.length, false); offset += 4;
+  computeParity(out.subarray(0, PREAMBLE_DATA_LENGTH), PREAMBLE_PARITY, out.subarray(PREAMBLE_DATA_LENGTH, FEC_PREAMBLE_LENGTH));
+
+  const body = out.subarray(FEC_PREAMBLE_LENGTH);
+  const codeword = new Uint8Array(CODEWORD_LENGTH);
+  for (let i = 0; i < count; i++) {
+    codeword.fill(0);
+    codeword.set(bytes.subarray(i * dataLength, (i + 1) * dataLength));
+    computeParity(codeword.subarray(0, dataLength), parity, codeword.subarray(dataLength));
+    for (let j = 0; j < CODEWORD_LENGTH; j++) body[j * count + i] = codeword[j];
+    if (i % PROGRESS_INTERVAL === 0) onProgress({ stage: 'protecting', done: i, total: count });
+  }
+  onProgress({ stage: 'protecting', done: count, total: count });
+  return out;
+}
+
+// Returns { parity, length, encodedLength, corrected } when bytes start with an
+// error-corrected stream (repairing the preamble if needed), or null otherwise.
+// length is that of the protected container, encodedLength that of the whole stream.
+export function readFecPreamble(bytes) {
+  if (bytes.length < FEC_PREAMBLE_LENGTH) return null;
+  const preamble = bytes.slice(0, FEC_PREAMBLE_LENGTH);
+  const corrected = correctCodeword(preamble, PREAMBLE_PARITY);
+  if (corrected < 0 || !FEC_MAGIC.every((b, i) => preamble[i] === b)) return null;
+  const view = new DataView(preamble.buffer);
+  const version = view.getUint8(FEC_MAGIC.length);
+  if (version !== FEC_VERSION) {
+    throw new Error(`Unsupported error correction version ${version}. This image was made by a newer version of AudioEncrypt.`);
+  }
+  const parity = view.getUint8(FEC_MAGIC.length + 1);
+  if (!Object.values(FEC_LEVELS).includes(parity)) throw new Error('Corrupted data: Unknown error correction strength.');
+  const length = view.getUint32(FEC_MAGIC.length + 2, false);
+  return { parity, length, encodedLength: FEC_PREAMBLE_LENGTH + codewordCount(length, parity) * CODEWORD_LENGTH, corrected };
+}
+
+// Repairs and unpacks the stream read from container ({ length, read(offset, count) }),
+// returning { bytes, corrected } where corrected counts the repaired bytes.
+export function decodeFec(container, preamble, onProgress = () => {}) {
+  const { parity, length } = preamble;
+  const dataLength = CODEWORD_LENGTH - parity;
+  const count = codewordCount(length, parity);
+  if (FEC_PREAMBLE_LENGTH + count * CODEWORD_LENGTH > container.length) {
+    throw new Error('Corrupted data: The image is too small for the error-corrected data it declares.');
+  }
+  const body = container.read(FEC_PREAMBLE_LENGTH, count * CODEWORD_LENGTH);
+  const bytes = new Uint8Array(count * dataLength);
+  const codeword = new Uint8Array(CODEWORD_LENGTH);
+  let corrected = preamble.corrected;
+  for (let i = 0; i < count; i++) {
+    for (let j = 0; j < CODEWORD_LENGTH; j++) codeword[j] = body[j * count + i];
+    const fixed = correctCodeword(codeword, parity);
+    if (fixed < 0) {
+      throw new Error(`Corrupted data: The image is too damaged to repair. Error correction block ${i + 1} of ${count} ` +
+        `has more than ${parity / 2} damaged bytes.`);
+    }
+    corrected += fixed;
+    bytes.set(codeword.subarray(0, dataLength), i * dataLength);
+    if (i % PROGRESS_INTERVAL === 0) onProgress({ stage: 'repairing', done: i, total: count });
+  }
+  onProgress({ stage: 'repairing', done: count, total: count });
+  return { bytes: bytes.subarray(0, length), corrected };
+}
@@ -0,0 +1,365 @@
+// FLAC writer for { pcm, sampleRate } audio (one Float32Array per channel).
+// Each 4096-sample frame uses the fixed polynomial predictor (order 0-4) that
+// leaves the smallest residual, partitioned Rice coding, and for stereo the
+// best of independent, left/side, right/side and mid/side channels. This gives
+// most of the reference encoder's compression without LPC analysis.
+// Samples are quantised the same way as the WAV writer.
+export const FLAC_BIT_DEPTHS = [16, 24];
+
+const BLOCK_SIZE = 4096;
+const MAX_CHANNELS = 8;
+const MAX_SAMPLE_RATE = 655350;
+const MAX_PARTITION_ORDER = 6;
+const MAX_FIXED_ORDER = 4;
+const METADATA_STREAMINFO = 0;
+const METADATA_VORBIS_COMMENT = 4;
+const VENDOR = 'AudioEncrypt';
+const PROGRESS_INTERVAL = 64; // frames between progress reports
+
+// Frame header channel assignments for stereo decorrelation.
+const INDEPENDENT = -1;
+const LEFT_SIDE = 8;
+const RIGHT_SIDE = 9;
+const MID_SIDE = 10;
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let n = 0; n < 256; n++) {
+  let c8 = n;
+  let c16 = n << 8;
+  for (let k = 0; k < 8; k++) {
+    c8 = c8 & 0x80 ? ((c8 << 1) ^ 0x07) & 0xFF : (c8 << 1) & 0xFF;
+    c16 = c16 & 0x8000 ? ((c16 << 1) ^ 0x8005) & 0xFFFF : (c16 << 1) & 0xFFFF;
+  }
+  CRC8_TABLE[n] = c8;
+  CRC16_TABLE[n] = c16;
+}
+
+function crc8(bytes) {
+  let crc = 0;
+  for (const b of bytes) crc = CRC8_TABLE[crc ^ b];
+  return crc;
+}
+
+function crc16(bytes) {
+  let crc = 0;
+  for (const b of bytes) crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[(crc >> 8) ^ b];
+  return crc;
+}
+
+// MSB-first bit writer over a growing byte array.
+class BitWriter {
+  constructor(capacity = 1 << 16) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0;
+    this.acc = 0;
+    this.bits = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  // value is taken as unsigned; count may be up to 32.
+  write(value, count) {
+    if (count > 24) {
+      this.write(Math.floor(value / 0x10000) & 0xFFFF, count - 16);
+      this.write(value & 0xFFFF, 16);
+      return;
+    }
+    this.acc = (this.acc * (1 << count)) + (value & ((1 << count) - 1));
+    this.bits += count;
+    this.ensure(4);
+    while (this.bits >= 8) {
+      this.bits -= 8;
+      this.bytes[this.length++] = (this.acc / (1 << this.bits)) & 0xFF;
+    }
+    this.acc &= (1 << this.bits) - 1;
+  }
+
+  writeSigned(value, count) {
+    this.write(value < 0 ? value + 2 ** count : value, count);
+  }
+
+  writeUnary(zeros) {
+    for (; zeros >= 16; zeros -= 16) this.write(0, 16);
+    this.write(1, zeros + 1);
+  }
+
+  alignToByte() {
+    if (this.bits) this.write(0, 8 - this.bits);
+  }
+
+  writeBytes(bytes) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  finish() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+function quantize(channel, bitsPerSample) {
+  const negativeScale = 2 ** (bitsPerSample - 1);
+  const positiveScale = negativeScale - 1;
+  const out = new Int32Array(channel.length);
+  for (let i = 0; i < channel.length; i++) {
+    const s = Math.max(-1, Math.min(1, channel[i]));
+    out[i] = Math.round(s < 0 ? s * negativeScale : s * positiveScale);
+  }
+  return out;
+}
+
+// Residual of the fixed predictor of the given order, for samples order..n-1.
+function fixedResidual(samples, order) {
+  const n = samples.length;
+  const residual = new Int32Array(Math.max(0, n - order));
+  for (let i = order; i < n; i++) {
+    let prediction;
+    switch (order) {
+      case 0: prediction = 0; break;
+      case 1: prediction = samples[i - 1]; break;
+      case 2: prediction = 2 * samples[i - 1] - samples[i - 2]; break;
+      case 3: prediction = 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3]; break;
+      default: prediction = 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4];
+    }
+    residual[i - order] = samples[i] - prediction;
+  }
+  return residual;
+}
+
+function fold(r) {
+  return r >= 0 ? 2 * r : -2 * r - 1;
+}
+
+function riceBits(folded, start, end, k) {
+  let bits = (end - start) * (k + 1);
+  for (let i = start; i < end; i++) bits += Math.floor(folded[i] / (1 << k));
+  return bits;
+}
+
+// Chooses the partition order and the Rice parameter of every partition.
+function planResidual(residual, blockSize, order) {
+  const folded = new Float64Array(residual.length);
+  for (let i = 0; i < residual.length; i++) folded[i] = fold(residual[i]);
+  let best = null;
+  for (let partitionOrder = 0; partitionOrder <= MAX_PARTITION_ORDER; partitionOrder++) {
+    const partitions = 1 << partitionOrder;
+    if (blockSize % partitions || blockSize / partitions <= order) break;
+    const params = [];
+    let bits = 0;
+    for (let p = 0; p < partitions; p++) {
+      const start = p === 0 ? 0 : p * (blockSize / partitions) - order;
+      const end = (p + 1) * (blockSize / partitions) - order;
+      let sum = 0;
+      for (let i = start; i < end; i++) sum += folded[i];
+      const mean = sum / Math.max(1, end - start);
+      const guess = mean > 1 ? Math.min(30, Math.floor(Math.log2(mean))) : 0;
+      let bestK = guess;
+      let bestBits = Infinity;
+      for (let k = Math.max(0, guess - 1); k <= Math.min(30, guess + 1); k++) {
+        const cost = riceBits(folded, start, end, k);
+        if (cost < bestBits) { bestBits = cost; bestK = k; }
+      }
+      params.push(bestK);
+      bits += bestBits;
+    }
+    const wide = params.some((k) => k > 14);
+    bits += partitions * (wide ? 5 : 4);
+    if (!best || bits < best.bits) best = { partitionOrder, params, wide, bits, folded };
+  }
+  return best;
+}
+
+function sumAbs(residual) {
+  let sum = 0;
+  for (const r of residual) sum += Math.abs(r);
+  return sum;
+}
+
+// Picks the fixed order with the smallest residual; returns a plan with its size in bits.
+function planSubframe(samples, bitsPerSample) {
+  const n = samples.length;
+  let constant = true;
+  for (let i = 1; i < n && constant; i++) constant = samples[i] === samples[0];
+  if (constant) return { type: 'constant', bits: 8 + bitsPerSample };
+
+  let bestOrder = 0;
+  let bestSum = Infinity;
+  for (let order = 0; order <= Math.min(MAX_FIXED_ORDER, n - 1); order++) {
+    const sum = sumAbs(fixedResidual(samples, order));
+    if (sum < bestSum) { bestSum = sum; bestOrder = order; }
+  }
+  const residual = planResidual(fixedResidual(samples, bestOrder), n, bestOrder);
+  const verbatimBits = 8 + n * bitsPerSample;
+  const fixedBits = 8 + bestOrder * bitsPerSample + 6 + residual.bits;
+  if (verbatimBits <= fixedBits) return { type: 'verbatim', bits: verbatimBits };
+  return { type: 'fixed', order: bestOrder, residual, bits: fixedBits };
+}
+
+function writeSubframe(out, samples, bitsPerSample, plan) {
+  if (plan.type === 'constant') {
+    out.write(0b00000000, 8);
+    out.writeSigned(samples[0], bitsPerSample);
+    return;
+  }
+  if (plan.type === 'verbatim') {
+    out.write(0b00000010, 8);
+    for (const s of samples) out.writeSigned(s, bitsPerSample);
+    return;
+  }
+  const { order, residual: { partitionOrder, params, wide, folded } } = plan;
+  out.write(0b00010000 | (order << 1), 8);
+  for (let i = 0; i < order; i++) out.writeSigned(samples[i], bitsPerSample);
+  out.write(wide ? 1 : 0, 2);
+  out.write(partitionOrder, 4);
+  const partitions = 1 << partitionOrder;
+  const partitionSize = samples.length / partitions;
+  for (let p = 0; p < partitions; p++) {
+    const k = params[p];
+    out.write(k, wide ? 5 : 4);
+    const start = p === 0 ? 0 : p * partitionSize - order;
+    const end = (p + 1) * partitionSize - order;
+    for (let i = start; i < end; i++) {
+      const u = folded[i];
+      out.writeUnary(Math.floor(u / (1 << k)));
+      if (k) out.write(u % (1 << k), k);
+    }
+  }
+}
+
+// Frame numbers use the same variable-length coding as UTF-8.
+function writeFrameNumber(out, number) {
+  if (number < 0x80) { out.write(number, 8); return; }
+  let continuation = 1;
+  while (number >= 2 ** (6 * continuation + (6 - continuation))) continuation++;
+  out.write(((0xFF00 >> (continuation + 1)) & 0xFF) | Math.floor(number / 2 ** (6 * continuation)), 8);
+  for (let i = continuation - 1; i >= 0; i--) out.write(0x80 | (Math.floor(number / 2 ** (6 * i)) & 0x3F), 8);
+}
+
+function encodeFrame(channels, start, blockSize, frameNumber, bitsPerSample) {
+  const blocks = channels.map((channel) => channel.subarray(start, start + blockSize));
+  let assignment = INDEPENDENT;
+  let subframes = blocks.map((samples) => ({ samples, bits: bitsPerSample, plan: planSubframe(samples, bitsPerSample) }));
+
+  if (blocks.length === 2) {
+    const [left, right] = blocks;
+    const mid = new Int32Array(blockSize);
+    const side = new Int32Array(blockSize);
+    for (let i = 0; i < blockSize; i++) {
+      mid[i] = (left[i] + right[i]) >> 1;
+      side[i] = left[i] - right[i];
+    }
+    const sideBits = bitsPerSample + 1;
+    const midPlan = { samples: mid, bits: bitsPerSample, plan: planSubframe(mid, bitsPerSample) };
+    const sidePlan = { samples: side, bits: sideBits, plan: planSubframe(side, sideBits) };
+    const candidates = [
+      [INDEPENDENT, subframes],
+      [LEFT_SIDE, [subframes[0], sidePlan]],
+      [RIGHT_SIDE, [sidePlan, subframes[1]]],
+      [MID_SIDE, [midPlan, sidePlan]],
+    ];
+    const size = (plans) => plans.reduce((sum, s) => sum + s.plan.bits, 0);
+    [assignment, subframes] = candidates.reduce((best, candidate) => (size(candidate[1]) < size(best[1]) ? candidate : best));
+  }
+
+  const out = new BitWriter(blockSize * blocks.length * 4 + 64);
+  out.write(0b11111111111110, 14);
+  out.write(0, 1); // reserved
+  out.write(0, 1); // fixed block size
+  out.write(blockSize === BLOCK_SIZE ? 0b1100 : 0b0111, 4);
+  out.write(0, 4); // sample rate from STREAMINFO
+  out.write(assignment === INDEPENDENT ? blocks.length - 1 : assignment, 4);
+  out.write(bitsPerSample === 16 ? 0b100 : 0b110, 3);
+  out.write(0, 1); // reserved
+  writeFrameNumber(out, frameNumber);
+  if (blockSize !== BLOCK_SIZE) out.write(blockSize - 1, 16);
+  out.write(crc8(out.finish()), 8);
+  for (const { samples, bits, plan } of subframes) writeSubframe(out, samples, bits, plan);
+  out.alignToByte();
+  out.write(crc16(out.finish()), 16);
+  return out.finish();
+}
+
+function metadataBlockHeader(out, type, length, isLast) {
+  out.write((isLast ? 0x80 : 0) | type, 8);
+  out.write(length, 24);
+}
+
+// tags: { title, comment, date, software }, written as a Vorbis comment block.
+function vorbisComment(tags) {
+  const encoder = new TextEncoder();
+  const fields = [['TITLE', tags.title], ['COMMENT', tags.comment], ['DATE', tags.date], ['ENCODER', tags.software]]
+    .filter(([, value]) => value)
+    .map(([name, value]) => encoder.encode(`${name}=${value}`));
+  const vendor = encoder.encode(VENDOR);
+  const block = new Uint8Array(4 + vendor.length + 4 + fields.reduce((sum, f) => sum + 4 + f.length, 0));
+  const view = new DataView(block.buffer);
+  let offset = 0;
+  view.setUint32(offset, vendor.length, true); offset += 4;
+  block.set(vendor, offset); offset += vendor.length;
+  view.setUint32(offset, fields.length, true); offset += 4;
+  for (const field of fields) {
+    view.setUint32(offset, field.length, true); offset += 4;
+    block.set(field, offset); offset += field.length;
+  }
+  return block;
+}
+
+// onProgress receives { stage: 'exporting', done, total } counted in frames.
+export function encodeFlac({ pcm, sampleRate }, { bitsPerSample = 16, tags = null, onProgress = () => {} } = {}) {
+  if (!FLAC_BIT_DEPTHS.includes(bitsPerSample)) throw new Error(`FLAC bit depth must be ${FLAC_BIT_DEPTHS.join(' or ')}.`);
+  if (pcm.length < 1 || pcm.length > MAX_CHANNELS) throw new Error(`FLAC supports 1 to ${MAX_CHANNELS} channels.`);
+  if (!Number.isInteger(sampleRate) || sampleRate < 1 || sampleRate > MAX_SAMPLE_RATE) {
+    throw new Error(`FLAC supports sample rates up to ${MAX_SAMPLE_RATE} Hz.`);
+  }
+  const channels = pcm.map((channel) => quantize(channel, bitsPerSample));
+  const frameCount = channels[0].length;
+
+  const frames = [];
+  const total = Math.ceil(frameCount / BLOCK_SIZE);
+  let minFrameSize = 0;
+  let maxFrameSize = 0;
+  for (let start = 0, number = 0; start < frameCount; start += BLOCK_SIZE, number++) {
+    const frame = encodeFrame(channels, start, Math.min(BLOCK_SIZE, frameCount - start), number, bitsPerSample);
+    frames.push(frame);
+    minFrameSize = minFrameSize ? Math.min(minFrameSize, frame.length) : frame.length;
+    maxFrameSize = Math.max(maxFrameSize, frame.length);
+    if (number % PROGRESS_INTERVAL === 0) onProgress({ stage: 'exporting', done: number, total });
+  }
+  onProgress({ stage: 'exporting', done: total, total });
+
+  const comment = tags ? vorbisComment(tags) : null;
+  const out = new BitWriter(64 + (comment ? comment.length : 0));
+  out.writeBytes(new TextEncoder().encode('fLaC'));
+  metadataBlockHeader(out, METADATA_STREAMINFO, 34, !comment);
+  out.write(BLOCK_SIZE, 16); // the short last frame does not count towards the minimum
+  out.write(BLOCK_SIZE, 16);
+  out.write(minFrameSize, 24);
+  out.write(maxFrameSize, 24);
+  out.write(sampleRate, 20);
+  out.write(channels.length - 1, 3);
+  out.write(bitsPerSample - 1, 5);
+  out.write(Math.floor(frameCount / 2 ** 32) & 0xF, 4);
+  out.write(frameCount >>> 0, 32);
+  out.writeBytes(new Uint8Array(16)); // MD5 of the samples; zero means "not computed"
+  if (comment) {
+    metadataBlockHeader(out, METADATA_VORBIS_COMMENT, comment.length, true);
+    out.writeBytes(comment);
+  }
+  const header = out.finish();
+
+  const bytes = new Uint8Array(header.length + frames.reduce((sum, f) => sum + f.length, 0));
+  bytes.set(header);
+  let offset = header.length;
+  for (const frame of frames) {
+    bytes.set(frame, offset);
+    offset += frame.length;
+  }
+  return bytes;
+}
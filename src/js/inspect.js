@@ -0,0 +1,265 @@
+import { DEFAULT_KDF } from './kdf.js';
+import { MAX_HEADER_LENGTH, hasFormatMagic, parseContainerHeader } from './container.js';
+import { GCM_TAG_LENGTH } from './cipher.js';
+import { BYTES_PER_PIXEL, openContainer, payloadImageSize, readPayloadBytes, validateImage } from './pixels.js';
+import { TILE_HEADER_LENGTH, openTiledContainer, readTileHeader } from './tiles.js';
+import { FEC_LEVELS, FEC_PREAMBLE_LENGTH, decodeFec, readFecPreamble } from './fec.js';
+import { SIGNATURE_LENGTH } from './signing.js';
+
+// Rates audio hardware and files commonly use; anything else is suspicious in a header.
+const COMMON_SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000, 64000, 88200, 96000, 176400, 192000];
+const SAMPLE_FORMAT_NAMES = { float32: '32-bit float', pcm16: '16-bit PCM', mulaw: '8-bit mu-law' };
+
+function formatBytes(count) {
+  return `${count.toLocaleString('en-US')} byte${count === 1 ? '' : 's'}`;
+}
+
+// encrypt() makes every pixel opaque. Earlier versions of the web page left the
+// pixels after the data transparent black, so a trailing run of those is expected.
+function countAlpha(images) {
+  let translucent = 0, trailing = 0;
+  for (const { pixels } of images) {
+    let end = pixels.length;
+    while (end >= 4 && pixels[end - 1] === 0 && pixels[end - 2] === 0 && pixels[end - 3] === 0 && pixels[end - 4] === 0) end -= 4;
+    trailing += (pixels.length - end) / 4;
+    for (let i = 3; i < end; i += 4) if (pixels[i] !== 255) translucent++;
+  }
+  return { translucent, trailing };
+}
+
+// Counts the non-zero bytes between the end of the stream and the end of the image.
+function countPaddingNoise(image, streamEnd) {
+  const capacity = image.width * image.height * BYTES_PER_PIXEL;
+  const padding = readPayloadBytes(image, streamEnd, capacity - streamEnd);
+  return { length: padding.length, noise: padding.reduce((sum, b) => sum + (b !== 0), 0) };
+}
+
+function describeKdf(kdf, version) {
+  if (kdf.algorithm === 'scrypt') {
+    const memory = 128 * kdf.r * 2 ** kdf.logN / (1024 * 1024);
+    return { status: 'ok', detail: `scrypt, N = 2^${kdf.logN}, r = ${kdf.r}, p = ${kdf.p} (${memory} MiB of memory)` };
+  }
+  const detail = `PBKDF2-SHA256, ${kdf.iterations.toLocaleString('en-US')} iterations`;
+  if (version === 0) return { status: 'warning', detail: `${detail} (fixed for images made before the format was versioned)` };
+  if (kdf.iterations < DEFAULT_KDF.iterations) {
+    return { status: 'warning', detail: `${detail}, fewer than today's default of ${DEFAULT_KDF.iterations.toLocaleString('en-US')}` };
+  }
+  return { status: 'ok', detail };
+}
+
+// The declared ciphertext must split into chunks of chunkSize plus a tag, with a final
+// chunk that holds at least its tag, exactly as decryptChunks() reads it.
+function describeEncryption({ chunkSize, ciphertextLength, authenticatesHeader, hasMetadata, hasArchive }) {
+  if (!chunkSize) {
+    if (ciphertextLength < GCM_TAG_LENGTH) {
+      return { status: 'error', detail: 'The declared ciphertext is shorter than an AES-GCM tag.' };
+    }
+    return { status: 'ok', detail: 'AES-256-GCM as a single message (images made before chunking)' };
+  }
+  const cipherChunkSize = chunkSize + GCM_TAG_LENGTH;
+  const chunks = Math.max(1, Math.ceil(ciphertextLength / cipherChunkSize));
+  if (ciphertextLength - (chunks - 1) * cipherChunkSize < GCM_TAG_LENGTH) {
+    return { status: 'error', detail: 'The declared ciphertext length does not match the chunk layout; the header is damaged.' };
+  }
+  const parts = [`AES-256-GCM in ${chunks} chunk${chunks === 1 ? '' : 's'} of ${chunkSize / 1024} KiB`];
+  parts.push(authenticatesHeader ? 'header authenticated' : 'header not authenticated (older image)');
+  if (hasMetadata) parts.push('with encrypted metadata');
+  if (hasArchive) parts.push('with attachments');
+  return { status: 'ok', detail: parts.join(', ') };
+}
+
+// A deniable header keeps the encoding, sample rate and payload lengths in its sealed
+// slots, and the image is random after the data, so only the header itself is checked.
+function inspectDeniable({ dataOffset }, container, check, report) {
+  if (dataOffset > container.length) {
+    check('error', 'Capacity', `The header needs ${formatBytes(dataOffset)}, but the image holds only ${formatBytes(container.length)}. ` +
+      'The image was cropped or cut short.');
+    return report;
+  }
+  check('ok', 'Capacity', `${formatBytes(container.length - dataOffset)} after the header.`);
+  check('ok', 'Encryption', 'AES-256-GCM; the audio encoding, sample rate and length are encrypted in the slots.');
+  check('ok', 'Padding', 'Not checked: the space after the data holds random bytes.');
+  return report;
+}
+
+/**
+ * Checks an image for damage without the key: it locates and parses the header,
+ * checks it for consistency with the image, and reports what is wrong.
+ *
+ * @param {{pixels: Uint8Array|Uint8ClampedArray, width: number, height: number}|Array<object>} image
+ *   RGBA pixel data, or all tiles of a tiled image in any order.
+ * @param {{onProgress?: function}} [options] onProgress receives { stage, done, total }.
+ * @returns {{ok: boolean, header: object|null, checks: Array<{status: 'ok'|'warning'|'error', label: string,
+ *   detail: string}>}} ok is false when a check found an error that prevents decryption.
+ *   header is the parsed cleartext header, when one was found.
+ */
+export function inspect(image, options = {}) {
+  const { onProgress = () => {} } = options;
+  const images = (Array.isArray(image) ? image : [image]).map(validateImage);
+  if (!images.length) throw new Error('No image given to inspect.');
+  const report = { ok: true, header: null, checks: [] };
+  const check = (status, label, detail) => {
+    report.checks.push({ status, label, detail });
+    if (status === 'error') report.ok = false;
+  };
+
+  const dimensions = images.map(({ width, height }) => `${width}x${height}`);
+  check('ok', 'Image', images.length > 1
+    ? `${images.length} images (${[...new Set(dimensions)].join(', ')} pixels)`
+    : `${dimensions[0]} pixels`);
+
+  const pixelCount = images.reduce((sum, { width, height }) => sum + width * height, 0);
+  const { translucent, trailing } = countAlpha(images);
+  if (translucent) {
+    check('warning', 'Alpha channel', `${translucent.toLocaleString('en-US')} of ${pixelCount.toLocaleString('en-US')} pixels ` +
+      'are not fully opaque. AudioEncrypt writes only opaque pixels, so the image was edited or converted; ' +
+      'browsers may change the colours of translucent pixels.');
+  } else if (trailing) {
+    check('ok', 'Alpha channel', `Opaque, apart from ${trailing.toLocaleString('en-US')} transparent pixel${trailing === 1 ? '' : 's'} ` +
+      'at the end, as earlier versions of the web page left them.');
+  } else {
+    check('ok', 'Alpha channel', 'All pixels are fully opaque.');
+  }
+
+  // Tiles are found by their own header; anything else is a plain or cover image.
+  let container, tiles = null;
+  try {
+    tiles = images.length > 1 || readTileHeader(images[0]) ? images.map((tile) => ({ tile, info: readTileHeader(tile) })) : null;
+    container = tiles ? openTiledContainer(images) : openContainer(images[0]);
+  } catch (err) {
+    check('error', 'Tiles', err.message);
+    return report;
+  }
+  const { bitsPerChannel } = container;
+  if (tiles) {
+    check('ok', 'Tiles', `All ${tiles.length} tiles of one tiled image are present.`);
+  } else if (bitsPerChannel) {
+    check('ok', 'Payload location', `Hidden in the lowest ${bitsPerChannel} bit${bitsPerChannel === 1 ? '' : 's'} ` +
+      'of each colour value of a cover image.');
+  } else {
+    check('ok', 'Payload location', 'Stored directly in the pixel colours.');
+  }
+
+  onProgress({ stage: 'inspecting', done: 0, total: 1 });
+  const start = container.read(0, FEC_PREAMBLE_LENGTH);
+  let fec = null;
+  try {
+    fec = hasFormatMagic(start) ? null : readFecPreamble(start);
+  } catch (err) {
+    check('error', 'Error correction', err.message);
+    return report;
+  }
+  if (fec) {
+    const level = Object.keys(FEC_LEVELS).find((name) => FEC_LEVELS[name] === fec.parity);
+    try {
+      const { bytes, corrected } = decodeFec(container, fec, onProgress);
+      check(corrected ? 'warning' : 'ok', 'Error correction', corrected
+        ? `Level ${level}: repaired ${formatBytes(corrected)}. The image was altered after it was made, but the data was fully recovered.`
+        : `Level ${level}: no damage found.`);
+      container = { length: bytes.length, read: (offset, count) => bytes.subarray(offset, offset + count) };
+    } catch (err) {
+      check('error', 'Error correction', `Level ${level}: ${err.message}`);
+      return report;
+    }
+  }
+
+  // The v1 header is parsed against unlimited space so that a truncated image is
+  // reported with its numbers below; a legacy header has only its plausibility.
+  const hasMagic = hasFormatMagic(container.read(0, FEC_PREAMBLE_LENGTH));
+  let header;
+  try {
+    header = parseContainerHeader(container.read(0, MAX_HEADER_LENGTH), hasMagic ? Infinity : container.length);
+  } catch (err) {
+    check('error', 'Header', hasMagic || fec || tiles ? err.message : `${err.message} If AudioEncrypt made this image, it was ` +
+      'resized, recompressed or colour-converted, which destroys the data.');
+    return report;
+  }
+  report.header = header;
+  check('ok', 'Format', header.version
+    ? `AudioEncrypt format version ${header.version} (flags 0x${header.flags.toString(16).padStart(4, '0')})`
+    : 'Legacy image from before the format was versioned');
+
+  if (header.slots) {
+    check('ok', 'Lock', `Passphrase, deniable layout with ${header.slots.length} slots (whether one or both hold a recording ` +
+      'cannot be told without their passphrases)');
+    const { status, detail } = describeKdf(header.kdf, header.version);
+    check(status, 'Key derivation', detail);
+    return inspectDeniable(header, container, check, report);
+  } else if (header.recipients) {
+    const keys = header.recipients.map(({ curve, fingerprint }) => `${curve} ${fingerprint}`);
+    check('ok', 'Lock', `Public-key mode, ${keys.length} recipient${keys.length === 1 ? '' : 's'}: ${keys.join(', ')}`);
+  } else {
+    const { passphrase, keyFile } = header.keyFactors;
+    check('ok', 'Lock', passphrase && keyFile ? 'Passphrase and key file, both needed' : keyFile ? 'Key file' : 'Passphrase');
+    const { status, detail } = describeKdf(header.kdf, header.version);
+    check(status, 'Key derivation', detail);
+  }
+  const { sampleFormat, compression } = header.encoding;
+  const compressed = compression === 'deflate' ? 'deflate-compressed' : 'uncompressed';
+  if (!header.numChannels) {
+    check('ok', 'Audio encoding', `No audio track, attachments only (${compressed})`);
+  } else {
+    check('ok', 'Audio encoding', `${SAMPLE_FORMAT_NAMES[sampleFormat]}, ${compressed}`);
+    if (COMMON_SAMPLE_RATES.includes(header.sampleRate)) {
+      check('ok', 'Sample rate', `${header.sampleRate} Hz, ${header.numChannels} channel${header.numChannels === 1 ? '' : 's'}`);
+    } else {
+      check('warning', 'Sample rate', `${header.sampleRate} Hz (${header.numChannels} channel${header.numChannels === 1 ? '' : 's'}) ` +
+        'is not a usual sample rate. The header may be damaged, or the audio came from unusual equipment.');
+    }
+  }
+  const encryption = describeEncryption(header);
+  check(encryption.status, 'Encryption', encryption.detail);
+  // Verifying needs WebCrypto, which is asynchronous; verifySignature() does that part.
+  if (header.signer) {
+    check('ok', 'Signature', `Signed with the ${header.signer.curve} key ${header.signer.fingerprint}. ` +
+      'Whether the signature matches is checked when the image is loaded or decrypted.');
+  }
+
+  const streamEnd = header.ciphertextOffset + header.ciphertextLength + (header.signer ? SIGNATURE_LENGTH : 0);
+  const available = container.length - header.ciphertextOffset;
+  if (streamEnd > container.length) {
+    const declared = header.signer ? 'encrypted audio and signature' : 'encrypted audio';
+    check('error', 'Capacity', `The header declares ${formatBytes(streamEnd - header.ciphertextOffset)} of ${declared}, but only ` +
+      `${formatBytes(Math.max(0, available))} follow it. The image was cropped or cut short, or the header is damaged.`);
+    return report;
+  }
+  check('ok', 'Capacity', `${formatBytes(header.ciphertextLength)} of encrypted audio; the image holds ${formatBytes(available)} after the header.`);
+
+  // encrypt() makes the smallest nearly square image for the stream and leaves the
+  // bytes after it zero. Cover images are filled with random bits instead.
+  if (bitsPerChannel) {
+    check('ok', 'Padding', 'Not checked: the unused capacity of a cover image holds random bits.');
+    return report;
+  }
+  const layouts = tiles
+    ? tiles.map(({ tile, info }) => ({ image: tile, end: TILE_HEADER_LENGTH + info.segmentLength, name: `Tile ${info.index + 1}` }))
+    : [{ image: images[0], end: fec ? fec.encodedLength : streamEnd, name: 'The image' }];
+  const resized = layouts.filter(({ image: { width, height }, end }) => {
+    const expected = payloadImageSize(end);
+    return expected.width !== width || expected.height !== height;
+  });
+  if (resized.length) {
+    check('warning', 'Image size', resized.map(({ image: { width, height }, end, name }) => {
+      const expected = payloadImageSize(end);
+      return `${name} is ${width}x${height}, but AudioEncrypt makes ${expected.width}x${expected.height} for its data.`;
+    }).join(' ') + ' It was probably padded or resized; data beyond the declared length is ignored.');
+  } else {
+    check('ok', 'Image size', 'As AudioEncrypt makes it for the declared data.');
+  }
+  let paddingLength = 0, noise = 0;
+  for (const { image: layoutImage, end } of layouts) {
+    const counted = countPaddingNoise(layoutImage, end);
+    paddingLength += counted.length;
+    noise += counted.noise;
+  }
+  if (!paddingLength) {
+    check('ok', 'Padding', 'The data fills the image exactly; there is no padding to check.');
+  } else if (noise) {
+    check('warning', 'Padding', `${formatBytes(noise)} of the ${formatBytes(paddingLength)} after the data are not zero. ` +
+      'The colours were changed after the image was made (for example by colour management or lossy compression), ' +
+      'so the data itself is probably damaged too.');
+  } else {
+    check('ok', 'Padding', `All ${formatBytes(paddingLength)} after the data are zero.`);
+  }
+  return report;
+}
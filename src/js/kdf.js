@@ -0,0 +1,164 @@
+// Images without KDF parameters in their header were derived with LEGACY_KDF.
+export const LEGACY_KDF = { algorithm: 'pbkdf2', iterations: 100000 };
+export const DEFAULT_KDF = { algorithm: 'pbkdf2', iterations: 600000 };
+
+const AES_KEY_BYTES = 32;
+const KDF_PBKDF2_SHA256 = 1;
+const KDF_SCRYPT = 2;
+const MIN_PBKDF2_ITERATIONS = 100000;
+const MAX_PBKDF2_ITERATIONS = 10000000;
+const MIN_SCRYPT_LOG_N = 10;
+const MAX_SCRYPT_LOG_N = 22;
+const MAX_SCRYPT_R = 32;
+const MAX_SCRYPT_P = 16;
+const MAX_SCRYPT_MEMORY = 512 * 2 ** 20;
+
+export function validateKdf(kdf, { forEncryption = false } = {}) {
+  if (kdf.algorithm === 'pbkdf2') {
+    const min = forEncryption ? MIN_PBKDF2_ITERATIONS : 1;
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations < min || kdf.iterations > MAX_PBKDF2_ITERATIONS) {
+      throw new Error(`PBKDF2 iterations must be between ${min.toLocaleString()} and ${MAX_PBKDF2_ITERATIONS.toLocaleString()}.`);
+    }
+  } else if (kdf.algorithm === 'scrypt') {
+    const { logN, r, p } = kdf;
+    if (!Number.isInteger(logN) || logN < MIN_SCRYPT_LOG_N || logN > MAX_SCRYPT_LOG_N) {
+      throw new Error(`scrypt cost (log2 N) must be between ${MIN_SCRYPT_LOG_N} and ${MAX_SCRYPT_LOG_N}.`);
+    }
+    if (!Number.isInteger(r) || r < 1 || r > MAX_SCRYPT_R || !Number.isInteger(p) || p < 1 || p > MAX_SCRYPT_P) {
+      throw new Error(`scrypt block size must be 1-${MAX_SCRYPT_R} and parallelism 1-${MAX_SCRYPT_P}.`);
+    }
+    if (128 * r * 2 ** logN > MAX_SCRYPT_MEMORY) {
+      throw new Error(`scrypt parameters need more than ${MAX_SCRYPT_MEMORY / 2 ** 20} MiB of memory.`);
+    }
+  } else {
+    throw new Error(`Unsupported key derivation function: ${kdf.algorithm}`);
+  }
+  return kdf;
+}
+
+export function encodeKdfParams(kdf) {
+  if (kdf.algorithm === 'scrypt') {
+    const block = new Uint8Array(6);
+    const view = new DataView(block.buffer);
+    view.setUint8(0, KDF_SCRYPT);
+    view.setUint8(1, kdf.logN);
+    view.setUint16(2, kdf.r, false);
+    view.setUint16(4, kdf.p, false);
+    return block;
+  }
+  const block = new Uint8Array(5);
+  const view = new DataView(block.buffer);
+  view.setUint8(0, KDF_PBKDF2_SHA256);
+  view.setUint32(1, kdf.iterations, false);
+  return block;
+}
+
+export function decodeKdfParams(view, offset) {
+  const id = view.getUint8(offset);
+  const length = { [KDF_PBKDF2_SHA256]: 5, [KDF_SCRYPT]: 6 }[id];
+  if (!length) throw new Error(`This image uses an unknown key derivation function (id ${id}).`);
+  if (offset + length > view.byteLength) throw new Error('Corrupted data: Image data too short to contain header.');
+  if (id === KDF_SCRYPT) {
+    return {
+      kdf: {
+        algorithm: 'scrypt',
+        logN: view.getUint8(offset + 1),
+        r: view.getUint16(offset + 2, false),
+        p: view.getUint16(offset + 4, false),
+      },
+      length,
+    };
+  }
+  return { kdf: { algorithm: 'pbkdf2', iterations: view.getUint32(offset + 1, false) }, length };
+}
+
+async function pbkdf2Bytes(passwordBytes, salt, iterations, length) {
+  const keyMaterial = await crypto.subtle.importKey('raw', passwordBytes, { name: 'PBKDF2' }, false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, keyMaterial, length * 8);
+  return new Uint8Array(bits);
+}
+
+function salsa20_8(B, x) {
+  x.set(B);
+  const R = (a, b) => (a << b) | (a >>> (32 - b));
+  for (let i = 0; i < 8; i += 2) {
+    x[4] ^= R(x[0] + x[12], 7);   x[8] ^= R(x[4] + x[0], 9);
+    x[12] ^= R(x[8] + x[4], 13);  x[0] ^= R(x[12] + x[8], 18);
+    x[9] ^= R(x[5] + x[1], 7);    x[13] ^= R(x[9] + x[5], 9);
+    x[1] ^= R(x[13] + x[9], 13);  x[5] ^= R(x[1] + x[13], 18);
+    x[14] ^= R(x[10] + x[6], 7);  x[2] ^= R(x[14] + x[10], 9);
+    x[6] ^= R(x[2] + x[14], 13);  x[10] ^= R(x[6] + x[2], 18);
+    x[3] ^= R(x[15] + x[11], 7);  x[7] ^= R(x[3] + x[15], 9);
+    x[11] ^= R(x[7] + x[3], 13);  x[15] ^= R(x[11] + x[7], 18);
+    x[1] ^= R(x[0] + x[3], 7);    x[2] ^= R(x[1] + x[0], 9);
+    x[3] ^= R(x[2] + x[1], 13);   x[0] ^= R(x[3] + x[2], 18);
+    x[6] ^= R(x[5] + x[4], 7);    x[7] ^= R(x[6] + x[5], 9);
+    x[4] ^= R(x[7] + x[6], 13);   x[5] ^= R(x[4] + x[7], 18);
+    x[11] ^= R(x[10] + x[9], 7);  x[8] ^= R(x[11] + x[10], 9);
+    x[9] ^= R(x[8] + x[11], 13);  x[10] ^= R(x[9] + x[8], 18);
+    x[12] ^= R(x[15] + x[14], 7); x[13] ^= R(x[12] + x[15], 9);
+    x[14] ^= R(x[13] + x[12], 13); x[15] ^= R(x[14] + x[13], 18);
+  }
+  for (let i = 0; i < 16; i++) B[i] += x[i];
+}
+
+// scrypt BlockMix: B holds 2r 64-byte blocks; the shuffled result is written back into B.
+function blockMix(B, Y, X, scratch, r) {
+  X.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+  for (let i = 0; i < 2 * r; i++) {
+    for (let k = 0; k < 16; k++) X[k] ^= B[i * 16 + k];
+    salsa20_8(X, scratch);
+    const dest = ((i & 1) * r + (i >> 1)) * 16;
+    Y.set(X, dest);
+  }
+  B.set(Y);
+}
+
+export async function scrypt(passwordBytes, salt, { logN, r, p }, length) {
+  const N = 2 ** logN;
+  const blockWords = 32 * r;
+  const B = await pbkdf2Bytes(passwordBytes, salt, 1, p * 128 * r);
+  const Bview = new DataView(B.buffer);
+  const words = new Uint32Array(blockWords);
+  const V = new Uint32Array(blockWords * N);
+  const Y = new Uint32Array(blockWords);
+  const X = new Uint32Array(16);
+  const scratch = new Uint32Array(16);
+
+  for (let block = 0; block < p; block++) {
+    const base = block * 128 * r;
+    for (let k = 0; k < blockWords; k++) words[k] = Bview.getUint32(base + k * 4, true);
+    for (let i = 0; i < N; i++) {
+      V.set(words, i * blockWords);
+      blockMix(words, Y, X, scratch, r);
+      if ((i & 0xFFF) === 0xFFF) await new Promise(resolve => setTimeout(resolve, 0)); // keep the page responsive
+    }
+    for (let i = 0; i < N; i++) {
+      const j = words[(2 * r - 1) * 16] & (N - 1);
+      for (let k = 0; k < blockWords; k++) words[k] ^= V[j * blockWords + k];
+      blockMix(words, Y, X, scratch, r);
+      if ((i & 0xFFF) === 0xFFF) await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    for (let k = 0; k < blockWords; k++) Bview.setUint32(base + k * 4, words[k], true);
+  }
+  return pbkdf2Bytes(passwordBytes, B, 1, length);
+}
+
+// secret is the passphrase, or the bytes from keyMaterial() when a key file is involved.
+export async function deriveKey(secret, salt, kdf = LEGACY_KDF) {
+  const passwordBytes = typeof secret === 'string' ? new TextEncoder().encode(secret) : secret;
+  validateKdf(kdf);
+  if (kdf.algorithm === 'scrypt') {
+    const keyBytes = await scrypt(passwordBytes, salt, kdf, AES_KEY_BYTES);
+    return crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['encrypt','decrypt']);
+  }
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw', passwordBytes, { name: 'PBKDF2' }, false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: kdf.iterations, hash: 'SHA-256' },
+    keyMaterial,
+    { name: 'AES-GCM', length: AES_KEY_BYTES * 8 }, false,
+    ['encrypt','decrypt']
+  );
+}
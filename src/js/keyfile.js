@@ -0,0 +1,61 @@
+// Key files: any file can unlock an image, alone or together with the passphrase.
+// Only its SHA-256 digest enters key derivation, placed in front of the passphrase;
+// the digest has a fixed length, so the combined KDF input is unambiguous.
+export const KEY_FILE_LENGTH = 64;
+export const MAX_KEY_FILE_SIZE = 64 * 1024 * 1024;
+
+// Which secrets a passphrase-mode image needs. Images without a factors block need
+// only the passphrase.
+export const PASSPHRASE_ONLY = { passphrase: true, keyFile: false };
+const FACTOR_PASSPHRASE = 0x01;
+const FACTOR_KEY_FILE = 0x02;
+
+export function generateKeyFile() {
+  return crypto.getRandomValues(new Uint8Array(KEY_FILE_LENGTH));
+}
+
+export function validateKeyFile(keyFile) {
+  if (keyFile === null || keyFile === undefined) return null;
+  if (!(keyFile instanceof Uint8Array)) throw new Error('The key file must be given as a Uint8Array.');
+  if (!keyFile.length) throw new Error('The key file is empty.');
+  if (keyFile.length > MAX_KEY_FILE_SIZE) throw new Error(`Key files larger than ${MAX_KEY_FILE_SIZE / (1024 * 1024)} MiB are not supported.`);
+  return keyFile;
+}
+
+export function keyFactorsOf(passphrase, keyFile) {
+  return { passphrase: Boolean(passphrase), keyFile: Boolean(keyFile) };
+}
+
+export function encodeKeyFactors({ passphrase, keyFile }) {
+  return new Uint8Array([(passphrase ? FACTOR_PASSPHRASE : 0) | (keyFile ? FACTOR_KEY_FILE : 0)]);
+}
+
+export function decodeKeyFactors(view, offset) {
+  if (offset >= view.byteLength) throw new Error('Corrupted data: Image data too short to contain header.');
+  const bits = view.getUint8(offset);
+  if (!bits || bits & ~(FACTOR_PASSPHRASE | FACTOR_KEY_FILE)) throw new Error('Corrupted data: Unknown key factors in the header.');
+  return { keyFactors: { passphrase: Boolean(bits & FACTOR_PASSPHRASE), keyFile: Boolean(bits & FACTOR_KEY_FILE) }, length: 1 };
+}
+
+// Names what is missing to unlock an image with the given factors, or returns null.
+export function describeMissingFactors(keyFactors, passphrase, keyFile) {
+  const missingPassphrase = keyFactors.passphrase && !passphrase;
+  const missingKeyFile = keyFactors.keyFile && !keyFile;
+  if (!missingPassphrase && !missingKeyFile) return null;
+  const lock = keyFactors.passphrase && keyFactors.keyFile ? 'a passphrase and a key file' : keyFactors.keyFile ? 'a key file' : 'a passphrase';
+  const needed = missingPassphrase && missingKeyFile ? 'Enter the secret key and load the key file'
+    : missingKeyFile ? 'Load the key file' : 'Enter the secret key';
+  return `This image is locked with ${lock}. ${needed} to decrypt it.`;
+}
+
+// The secret handed to the KDF: digest(key file) | UTF-8 passphrase, or the passphrase
+// string alone when there is no key file (as in images made before key files).
+export async function keyMaterial(passphrase, keyFile) {
+  if (!keyFile) return passphrase;
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', keyFile));
+  const passphraseBytes = new TextEncoder().encode(passphrase || '');
+  const material = new Uint8Array(digest.length + passphraseBytes.length);
+  material.set(digest);
+  material.set(passphraseBytes, digest.length);
+  return material;
+}
@@ -0,0 +1,75 @@
+// Descriptive metadata travels inside the encrypted payload, ahead of the samples:
+// a Uint32 length followed by that many bytes of UTF-8 JSON. Being part of the
+// plaintext, it is both hidden and covered by AES-GCM authentication.
+const LENGTH_BYTES = 4;
+const MAX_METADATA_BYTES = 1024 * 1024;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_NOTES_LENGTH = 100000;
+
+// Fields callers may set; duration, channels and sampleRate are filled in from the audio.
+const TEXT_FIELDS = { title: MAX_TEXT_LENGTH, filename: MAX_TEXT_LENGTH, mimeType: MAX_TEXT_LENGTH, notes: MAX_NOTES_LENGTH };
+
+export function validateMetadata(metadata) {
+  if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+    throw new Error('Metadata must be an object.');
+  }
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    const value = metadata[field];
+    if (value === undefined) continue;
+    if (typeof value !== 'string') throw new Error(`Metadata field "${field}" must be a string.`);
+    if (value.length > maxLength) throw new Error(`Metadata field "${field}" is longer than ${maxLength} characters.`);
+  }
+  if (metadata.recordedAt !== undefined) {
+    const time = metadata.recordedAt instanceof Date ? metadata.recordedAt.getTime() : Date.parse(metadata.recordedAt);
+    if (Number.isNaN(time)) throw new Error('Metadata field "recordedAt" must be a date or an ISO 8601 timestamp.');
+  }
+  return metadata;
+}
+
+export function buildMetadata(metadata, audioInfo) {
+  const { title, filename, mimeType, notes, recordedAt } = validateMetadata(metadata);
+  const built = { title, filename, mimeType, notes };
+  if (recordedAt !== undefined) built.recordedAt = new Date(recordedAt).toISOString();
+  if (audioInfo) {
+    const { frameCount, sampleRate, numChannels } = audioInfo;
+    built.duration = frameCount / sampleRate;
+    built.channels = numChannels;
+    built.sampleRate = sampleRate;
+  }
+  for (const key of Object.keys(built)) if (built[key] === undefined || built[key] === '') delete built[key];
+  return built;
+}
+
+export function encodeMetadata(metadata) {
+  const json = new TextEncoder().encode(JSON.stringify(metadata));
+  if (json.length > MAX_METADATA_BYTES) throw new Error(`Metadata is larger than ${MAX_METADATA_BYTES / 1024} KiB.`);
+  const bytes = new Uint8Array(LENGTH_BYTES + json.length);
+  new DataView(bytes.buffer).setUint32(0, json.length, false);
+  bytes.set(json, LENGTH_BYTES);
+  return bytes;
+}
+
+// Returns { metadata, length }, where length counts the prefix and the JSON.
+export function decodeMetadata(bytes) {
+  if (bytes.length < LENGTH_BYTES) throw new Error('Corrupted data: The metadata block is truncated.');
+  const jsonLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, false);
+  if (jsonLength > MAX_METADATA_BYTES || LENGTH_BYTES + jsonLength > bytes.length) {
+    throw new Error('Corrupted data: The metadata block is truncated.');
+  }
+  let metadata;
+  try {
+    metadata = JSON.parse(new TextDecoder().decode(bytes.subarray(LENGTH_BYTES, LENGTH_BYTES + jsonLength)));
+  } catch {
+    throw new Error('Corrupted data: The metadata block is not valid JSON.');
+  }
+  return { metadata, length: LENGTH_BYTES + jsonLength };
+}
+
+// Maps image metadata to the tags audio writers understand: { title, comment, date, software }.
+export function metadataToTags(metadata) {
+  const tags = { software: 'AudioEncrypt' };
+  if (typeof metadata?.title === 'string' && metadata.title) tags.title = metadata.title;
+  if (typeof metadata?.notes === 'string' && metadata.notes) tags.comment = metadata.notes;
+  if (typeof metadata?.recordedAt === 'string' && !Number.isNaN(Date.parse(metadata.recordedAt))) tags.date = metadata.recordedAt;
+  return tags;
+}
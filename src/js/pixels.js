@@ -0,0 +1,162 @@
+import { hasFormatMagic } from './container.js';
+import { FEC_PREAMBLE_LENGTH, readFecPreamble } from './fec.js';
+
+// Images are plain { pixels, width, height } objects, where pixels is RGBA data laid
+// out like ImageData.data. Only R, G and B carry payload bytes.
+export const BYTES_PER_PIXEL = 3;
+export const MAX_STEGO_BITS = 4;
+const RANDOM_FILL_CHUNK = 65536; // crypto.getRandomValues limit per call
+
+// The nearly square { width, height } that createPayloadImage picks for byteLength bytes.
+export function payloadImageSize(byteLength) {
+  const numPixelsRequired = Math.ceil(byteLength / BYTES_PER_PIXEL);
+  const width = Math.max(1, Math.ceil(Math.sqrt(numPixelsRequired)));
+  const height = Math.max(1, Math.ceil(numPixelsRequired / width));
+  return { width, height };
+}
+
+// Fills a byte array with random values and returns it.
+export function fillRandom(bytes) {
+  for (let i = 0; i < bytes.length; i += RANDOM_FILL_CHUNK) {
+    crypto.getRandomValues(bytes.subarray(i, Math.min(i + RANDOM_FILL_CHUNK, bytes.length)));
+  }
+  return bytes;
+}
+
+// An opaque image just large enough for byteLength payload bytes: black, or random
+// noise with randomFill, so that the padding after the payload looks like it.
+export function createPayloadImage(byteLength, randomFill = false) {
+  const { width, height } = payloadImageSize(byteLength);
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  if (randomFill) fillRandom(pixels);
+  for (let i = 3; i < pixels.length; i += 4) pixels[i] = 255;
+  return { pixels, width, height };
+}
+
+// Payload byte n lives in channel n % 3 of pixel floor(n / 3).
+export function writePayloadBytes({ pixels }, byteOffset, bytes) {
+  let pixel = Math.floor(byteOffset / BYTES_PER_PIXEL) * 4;
+  let channel = byteOffset % BYTES_PER_PIXEL;
+  for (let i = 0; i < bytes.length; i++) {
+    pixels[pixel + channel] = bytes[i];
+    if (++channel === BYTES_PER_PIXEL) { channel = 0; pixel += 4; }
+  }
+}
+
+export function readPayloadBytes({ pixels }, byteOffset, length) {
+  const out = new Uint8Array(length);
+  let pixel = Math.floor(byteOffset / BYTES_PER_PIXEL) * 4;
+  let channel = byteOffset % BYTES_PER_PIXEL;
+  for (let i = 0; i < length; i++) {
+    out[i] = pixels[pixel + channel];
+    if (++channel === BYTES_PER_PIXEL) { channel = 0; pixel += 4; }
+  }
+  return out;
+}
+
+export function validateImage(image) {
+  const { pixels, width, height } = image || {};
+  if (!pixels || !Number.isInteger(width) || !Number.isInteger(height) || pixels.length !== width * height * 4) {
+    throw new Error('Expected an image of the form { pixels, width, height } with RGBA pixel data.');
+  }
+  return image;
+}
+
+function stegoCapacity(pixelCount, bitsPerChannel) {
+  return Math.floor(pixelCount * BYTES_PER_PIXEL * bitsPerChannel / 8);
+}
+
+function describeRequiredCover(cover, payloadLength, bitsPerChannel) {
+  const requiredPixels = Math.ceil(payloadLength * 8 / (BYTES_PER_PIXEL * bitsPerChannel));
+  const scale = Math.sqrt(requiredPixels / (cover.width * cover.height));
+  const w = Math.ceil(cover.width * scale);
+  const h = Math.ceil(cover.height * scale);
+  const capacityKb = (stegoCapacity(cover.width * cover.height, bitsPerChannel) / 1024).toFixed(1);
+  const neededKb = (payloadLength / 1024).toFixed(1);
+  let message = `The cover image is too small: ${cover.width}x${cover.height} holds ${capacityKb} KB at ` +
+    `${bitsPerChannel} bit(s) per channel, but the encrypted audio needs ${neededKb} KB. ` +
+    `Use a cover image of at least ${w}x${h} pixels (${(requiredPixels / 1e6).toFixed(2)} megapixels)`;
+  if (bitsPerChannel < MAX_STEGO_BITS) message += ' or more bits per channel';
+  return message + '.';
+}
+
+// Writes the payload into the low bits of every R, G and B value, most significant
+// bit first. Unused capacity is filled with random bits so the altered region
+// does not end where the payload does. Alpha is forced opaque because browsers
+// may premultiply translucent pixels and destroy the low bits.
+export function embedBytesInCover(cover, bytes, bitsPerChannel) {
+  if (!Number.isInteger(bitsPerChannel) || bitsPerChannel < 1 || bitsPerChannel > MAX_STEGO_BITS) {
+    throw new Error(`Bits per channel must be between 1 and ${MAX_STEGO_BITS}.`);
+  }
+  const capacity = stegoCapacity(cover.width * cover.height, bitsPerChannel);
+  if (bytes.length > capacity) throw new Error(describeRequiredCover(cover, bytes.length, bitsPerChannel));
+  const stream = new Uint8Array(capacity);
+  fillRandom(stream.subarray(bytes.length));
+  stream.set(bytes, 0);
+
+  const pixels = new Uint8ClampedArray(cover.pixels);
+  const mask = (1 << bitsPerChannel) - 1;
+  let acc = 0, accBits = 0, streamIdx = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    if ((i & 3) === 3) { pixels[i] = 255; continue; }
+    if (accBits < bitsPerChannel) {
+      acc = (acc << 8) | (streamIdx < stream.length ? stream[streamIdx++] : 0);
+      accBits += 8;
+    }
+    accBits -= bitsPerChannel;
+    pixels[i] = (pixels[i] & ~mask) | ((acc >> accBits) & mask);
+    acc &= (1 << accBits) - 1;
+  }
+  return { pixels, width: cover.width, height: cover.height };
+}
+
+function extractBytesFromCover({ pixels }, bitsPerChannel, maxBytes = Infinity) {
+  const out = new Uint8Array(Math.min(maxBytes, stegoCapacity(pixels.length / 4, bitsPerChannel)));
+  const mask = (1 << bitsPerChannel) - 1;
+  let acc = 0, accBits = 0, outIdx = 0;
+  for (let i = 0; i < pixels.length && outIdx < out.length; i++) {
+    if ((i & 3) === 3) continue;
+    acc = (acc << bitsPerChannel) | (pixels[i] & mask);
+    accBits += bitsPerChannel;
+    if (accBits >= 8) {
+      accBits -= 8;
+      out[outIdx++] = (acc >> accBits) & 0xFF;
+      acc &= (1 << accBits) - 1;
+    }
+  }
+  return out;
+}
+
+// A container starts with the versioned header, or with the preamble of an
+// error-corrected stream (which is recognised even when slightly damaged).
+function startsContainer(bytes) {
+  return hasFormatMagic(bytes) || readFecPreamble(bytes) !== null;
+}
+
+// Stego images carry the start of the container in their low bits, so the
+// embedding depth is found by looking for it at each depth.
+function findStegoBitsPerChannel(image) {
+  for (let bits = 1; bits <= MAX_STEGO_BITS; bits++) {
+    if (startsContainer(extractBytesFromCover(image, bits, FEC_PREAMBLE_LENGTH))) return bits;
+  }
+  return 0;
+}
+
+// Returns { length, read(offset, length), bitsPerChannel } over the container bytes stored
+// in an image; bitsPerChannel is 0 for plain images and the embedding depth for cover images.
+// Plain images are read in place, so decrypting never copies every pixel at once.
+export function openContainer(image) {
+  const length = Math.floor(image.pixels.length / 4) * BYTES_PER_PIXEL;
+  // Reads past the end come back short or empty, as from the tiled and cover containers, so a
+  // header that points beyond the image fails its length checks instead of throwing a RangeError.
+  const raw = {
+    length,
+    read: (offset, count) => readPayloadBytes(image, offset, Math.max(0, Math.min(count, length - offset))),
+    bitsPerChannel: 0,
+  };
+  if (startsContainer(raw.read(0, FEC_PREAMBLE_LENGTH))) return raw;
+  const bitsPerChannel = findStegoBitsPerChannel(image);
+  if (!bitsPerChannel) return raw; // possibly a legacy (v0) image
+  const bytes = extractBytesFromCover(image, bitsPerChannel);
+  return { length: bytes.length, read: (offset, count) => bytes.subarray(offset, offset + count), bitsPerChannel };
+}
@@ -0,0 +1,179 @@
+import { deflate, inflate } from './zlib.js';
+import { crc32 } from './crc32.js';
+
+// Minimal PNG codec for { pixels, width, height } images: 8-bit RGB or RGBA output, and
+// 8-bit RGB or RGBA non-interlaced input, which covers what browsers write. Reading
+// and writing the file bytes directly keeps every pixel exact: decoding through a
+// canvas may colour-manage or premultiply them, and limits the image size.
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const COLOR_TYPE_RGB = 2;
+const COLOR_TYPE_RGBA = 6;
+const CHANNELS_BY_COLOR_TYPE = { [COLOR_TYPE_RGB]: 3, [COLOR_TYPE_RGBA]: 4 };
+// As large as the largest tile and the largest canvas browsers draw. A header declaring more
+// is refused before anything is decompressed.
+const MAX_PNG_PIXELS = 16384 * 16384;
+
+function makeChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length, false);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, (crc32(chunk.subarray(4, 8 + data.length)) ^ 0xFFFFFFFF) >>> 0, false);
+  return chunk;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Filters each scanline with whichever of None, Sub, Up or Paeth gives the smallest
+// sum of absolute differences, the usual heuristic for picking PNG filters.
+function filterScanlines(pixels, width, height, channels) {
+  const stride = width * channels;
+  const out = new Uint8Array(height * (stride + 1));
+  const candidate = new Uint8Array(stride);
+  const best = new Uint8Array(stride);
+  for (let y = 0; y < height; y++) {
+    const row = pixels.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : null;
+    let bestFilter = 0, bestScore = Infinity;
+    for (const filter of [0, 1, 2, 4]) {
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const a = i >= channels ? row[i - channels] : 0;
+        const b = prev ? prev[i] : 0;
+        const c = prev && i >= channels ? prev[i - channels] : 0;
+        const predictor = filter === 0 ? 0 : filter === 1 ? a : filter === 2 ? b : paeth(a, b, c);
+        const value = (row[i] - predictor) & 0xFF;
+        candidate[i] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+      if (score < bestScore) {
+        bestScore = score; bestFilter = filter;
+        best.set(candidate);
+      }
+    }
+    out[y * (stride + 1)] = bestFilter;
+    out.set(best, y * (stride + 1) + 1);
+  }
+  return out;
+}
+
+function unfilterScanlines(data, width, height, channels) {
+  const stride = width * channels;
+  if (data.length < height * (stride + 1)) throw new Error('Corrupted PNG: image data is truncated.');
+  const out = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const src = data.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = out.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? out.subarray((y - 1) * stride, y * stride) : null;
+    for (let i = 0; i < stride; i++) {
+      const a = i >= channels ? row[i - channels] : 0;
+      const b = prev ? prev[i] : 0;
+      const c = prev && i >= channels ? prev[i - channels] : 0;
+      switch (filter) {
+        case 0: row[i] = src[i]; break;
+        case 1: row[i] = src[i] + a; break;
+        case 2: row[i] = src[i] + b; break;
+        case 3: row[i] = src[i] + ((a + b) >> 1); break;
+        case 4: row[i] = src[i] + paeth(a, b, c); break;
+        default: throw new Error(`Corrupted PNG: unknown filter type ${filter}.`);
+      }
+    }
+  }
+  return out;
+}
+
+// Opaque images are stored as RGB, which saves the alpha byte of every pixel; only
+// images with translucent pixels (such as old ones made in the browser) keep RGBA.
+function packPixels(pixels) {
+  for (let i = 3; i < pixels.length; i += 4) {
+    if (pixels[i] !== 255) return { data: pixels, colorType: COLOR_TYPE_RGBA };
+  }
+  const data = new Uint8Array(pixels.length / 4 * 3);
+  for (let i = 0, j = 0; i < pixels.length; i += 4, j += 3) {
+    data[j] = pixels[i]; data[j + 1] = pixels[i + 1]; data[j + 2] = pixels[i + 2];
+  }
+  return { data, colorType: COLOR_TYPE_RGB };
+}
+
+export async function encodePng({ pixels, width, height }) {
+  const { data, colorType } = packPixels(pixels);
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width, false);
+  view.setUint32(4, height, false);
+  ihdr.set([8, colorType, 0, 0, 0], 8); // bit depth, colour type, compression, filter, interlace
+  const idat = await deflate(filterScanlines(data, width, height, CHANNELS_BY_COLOR_TYPE[colorType]));
+
+  const chunks = [PNG_SIGNATURE, makeChunk('IHDR', ihdr), makeChunk('IDAT', idat), makeChunk('IEND', new Uint8Array(0))];
+  const png = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    png.set(chunk, offset); offset += chunk.length;
+  }
+  return png;
+}
+
+// decodePng() reads the pixels exactly as saved, but only in the layout AudioEncrypt writes.
+export const UNSUPPORTED_PNG = 'Unsupported PNG: only non-interlaced 8-bit RGB and RGBA images are supported.';
+
+export async function decodePng(bytes) {
+  if (bytes.length < PNG_SIGNATURE.length || !PNG_SIGNATURE.every((b, i) => bytes[i] === b)) {
+    throw new Error('Not a PNG file.');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = PNG_SIGNATURE.length;
+  let header = null;
+  const idatChunks = [];
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset, false);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (data.length !== length) throw new Error('Corrupted PNG: a chunk is truncated.');
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8, false),
+        height: view.getUint32(offset + 12, false),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === 'IDAT') {
+      idatChunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  if (!header || !idatChunks.length) throw new Error('Corrupted PNG: missing image header or data.');
+  if (!header.width || !header.height) throw new Error('Corrupted PNG: the image has no pixels.');
+  if (header.width * header.height > MAX_PNG_PIXELS) {
+    throw new Error(`The PNG is too large: ${header.width}x${header.height} pixels, more than the ${MAX_PNG_PIXELS.toLocaleString('en-US')} supported.`);
+  }
+  const channels = CHANNELS_BY_COLOR_TYPE[header.colorType];
+  if (header.bitDepth !== 8 || !channels || header.interlace !== 0) {
+    throw new Error(UNSUPPORTED_PNG);
+  }
+
+  const compressed = new Uint8Array(idatChunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let idatOffset = 0;
+  for (const chunk of idatChunks) {
+    compressed.set(chunk, idatOffset); idatOffset += chunk.length;
+  }
+  const { width, height } = header;
+  // Anything the image data inflates to beyond its scanlines is never produced.
+  const raw = unfilterScanlines(await inflate(compressed, height * (width * channels + 1)), width, height, channels);
+  if (channels === 4) return { pixels: new Uint8ClampedArray(raw.buffer), width, height };
+
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0, j = 0; i < raw.length; i += 3, j += 4) {
+    pixels[j] = raw[i]; pixels[j + 1] = raw[i + 1]; pixels[j + 2] = raw[i + 2]; pixels[j + 3] = 255;
+  }
+  return { pixels, width, height };
+}
@@ -0,0 +1,191 @@
+// Public-key mode: the audio is encrypted with a random content key, which is
+// wrapped once per recipient. Each wrap uses a fresh ephemeral key pair on the
+// recipient's curve: ECDH with the recipient's public key, HKDF-SHA256 (salted
+// with the image salt, bound to the ephemeral public key) and AES-KW.
+export const CURVES = ['P-256', 'X25519'];
+export const MAX_RECIPIENTS = 255;
+
+const CURVE_IDS = { 'P-256': 1, 'X25519': 2 };
+const PUBLIC_KEY_LENGTHS = { 'P-256': 65, 'X25519': 32 };
+const FINGERPRINT_LENGTH = 8;
+const WRAPPED_KEY_LENGTH = 40; // AES-KW output for a 256-bit key
+const HKDF_INFO = new TextEncoder().encode('AudioEncrypt recipient v1');
+
+function curveOf(key) {
+  if (key.algorithm.name === 'X25519') return 'X25519';
+  if (key.algorithm.name === 'ECDH' && key.algorithm.namedCurve === 'P-256') return 'P-256';
+  throw new Error(`Unsupported key type ${key.algorithm.name}${key.algorithm.namedCurve ? ` (${key.algorithm.namedCurve})` : ''}. Use a P-256 or X25519 key.`);
+}
+
+function algorithmFor(curve) {
+  return curve === 'X25519' ? { name: 'X25519' } : { name: 'ECDH', namedCurve: curve };
+}
+
+export function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function generateKeyPair(curve = 'P-256') {
+  if (!CURVES.includes(curve)) throw new Error(`Unsupported curve: ${curve}. Use ${CURVES.join(' or ')}.`);
+  try {
+    return await crypto.subtle.generateKey(algorithmFor(curve), true, ['deriveBits']);
+  } catch (err) {
+    throw new Error(`${curve} keys are not supported here (${err.message}).`);
+  }
+}
+
+// Short identifier for a public key: the first 8 bytes of SHA-256 over its raw form, in hex.
+export async function publicKeyFingerprint(publicKey) {
+  return rawKeyFingerprint(new Uint8Array(await crypto.subtle.exportKey('raw', publicKey)));
+}
+
+export async function rawKeyFingerprint(raw) {
+  return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', raw)).subarray(0, FINGERPRINT_LENGTH));
+}
+
+function toPem(label, der) {
+  const base64 = btoa(String.fromCharCode(...new Uint8Array(der)));
+  return `-----BEGIN ${label}-----\n${base64.match(/.{1,64}/g).join('\n')}\n-----END ${label}-----\n`;
+}
+
+export function fromPem(text, label) {
+  const match = text.match(new RegExp(`-----BEGIN ${label}-----([\\s\\S]+?)-----END ${label}-----`));
+  if (!match) return null;
+  return Uint8Array.from(atob(match[1].replace(/\s+/g, '')), (c) => c.charCodeAt(0));
+}
+
+// Keys are exported as PEM (SPKI / PKCS #8) or as JWK JSON text.
+export async function exportKey(key, format = 'pem') {
+  if (format === 'jwk') return JSON.stringify(await crypto.subtle.exportKey('jwk', key), null, 2) + '\n';
+  if (format !== 'pem') throw new Error(`Unknown key format: ${format}. Use pem or jwk.`);
+  if (key.type === 'private') return toPem('PRIVATE KEY', await crypto.subtle.exportKey('pkcs8', key));
+  return toPem('PUBLIC KEY', await crypto.subtle.exportKey('spki', key));
+}
+
+function curveOfJwk(jwk) {
+  if (jwk.kty === 'EC' && jwk.crv === 'P-256') return 'P-256';
+  if (jwk.kty === 'OKP' && jwk.crv === 'X25519') return 'X25519';
+  throw new Error(`Unsupported JWK key type ${jwk.kty} ${jwk.crv}. Use a P-256 or X25519 key.`);
+}
+
+async function importKeyText(text, type) {
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith('{')) {
+    let jwk;
+    try {
+      jwk = JSON.parse(trimmed);
+    } catch {
+      throw new Error('The key file is not valid JSON.');
+    }
+    if (type === 'private' && !jwk.d) throw new Error('This JWK is a public key; a private key is needed.');
+    const usable = { ...jwk };
+    delete usable.key_ops;
+    if (type === 'public') delete usable.d; // a private JWK also describes its public key
+    return crypto.subtle.importKey('jwk', usable, algorithmFor(curveOfJwk(jwk)), true, type === 'private' ? ['deriveBits'] : []);
+  }
+  const label = type === 'private' ? 'PRIVATE KEY' : 'PUBLIC KEY';
+  const der = fromPem(trimmed, label);
+  if (!der) throw new Error(`Expected a ${type} key as JWK or PEM (-----BEGIN ${label}-----).`);
+  for (const curve of CURVES) {
+    try {
+      return await crypto.subtle.importKey(type === 'private' ? 'pkcs8' : 'spki', der, algorithmFor(curve), true,
+        type === 'private' ? ['deriveBits'] : []);
+    } catch {
+      // not this curve (or the curve is unsupported here); try the next one
+    }
+  }
+  throw new Error(`The PEM ${type} key is not a supported P-256 or X25519 key.`);
+}
+
+export function importPublicKey(text) {
+  return importKeyText(text, 'public');
+}
+
+export function importPrivateKey(text) {
+  return importKeyText(text, 'private');
+}
+
+async function keyEncryptionKey(privateKey, publicKey, salt, ephemeralPublic, usage) {
+  const curve = curveOf(publicKey);
+  const shared = await crypto.subtle.deriveBits({ ...algorithmFor(curve), public: publicKey }, privateKey, 256);
+  const hkdfKey = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+  const info = new Uint8Array(HKDF_INFO.length + ephemeralPublic.length);
+  info.set(HKDF_INFO);
+  info.set(ephemeralPublic, HKDF_INFO.length);
+  return crypto.subtle.deriveKey({ name: 'HKDF', hash: 'SHA-256', salt, info }, hkdfKey, { name: 'AES-KW', length: 256 }, false, [usage]);
+}
+
+export function generateContentKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+// Returns one { curve, fingerprint, ephemeralPublic, wrappedKey } entry per recipient public key.
+export async function wrapContentKey(contentKey, recipients, salt) {
+  if (!recipients.length || recipients.length > MAX_RECIPIENTS) {
+    throw new Error(`Between 1 and ${MAX_RECIPIENTS} recipients are supported.`);
+  }
+  const entries = [];
+  for (const publicKey of recipients) {
+    if (publicKey.type !== 'public') throw new Error('Recipients must be given as public keys.');
+    const curve = curveOf(publicKey);
+    const ephemeral = await generateKeyPair(curve);
+    const ephemeralPublic = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+    const kek = await keyEncryptionKey(ephemeral.privateKey, publicKey, salt, ephemeralPublic, 'wrapKey');
+    const wrappedKey = new Uint8Array(await crypto.subtle.wrapKey('raw', contentKey, kek, 'AES-KW'));
+    entries.push({ curve, fingerprint: await publicKeyFingerprint(publicKey), ephemeralPublic, wrappedKey });
+  }
+  return entries;
+}
+
+// Tries every entry on the private key's curve; AES-KW's integrity check tells which one is ours.
+export async function unwrapContentKey(entries, privateKey, salt) {
+  if (privateKey.type !== 'private') throw new Error('A private key is needed to decrypt this image.');
+  const curve = curveOf(privateKey);
+  for (const entry of entries.filter((e) => e.curve === curve)) {
+    const ephemeralKey = await crypto.subtle.importKey('raw', entry.ephemeralPublic, algorithmFor(curve), false, []);
+    const kek = await keyEncryptionKey(privateKey, ephemeralKey, salt, entry.ephemeralPublic, 'unwrapKey');
+    try {
+      return await crypto.subtle.unwrapKey('raw', entry.wrappedKey, kek, 'AES-KW', 'AES-GCM', false, ['decrypt']);
+    } catch {
+      // wrapped for a different recipient
+    }
+  }
+  throw new Error('This image was not encrypted for your private key.');
+}
+
+export function encodeRecipients(entries) {
+  const length = 1 + entries.reduce((sum, e) => sum + 1 + FINGERPRINT_LENGTH + e.ephemeralPublic.length + WRAPPED_KEY_LENGTH, 0);
+  const block = new Uint8Array(length);
+  let offset = 0;
+  block[offset++] = entries.length;
+  for (const { curve, fingerprint, ephemeralPublic, wrappedKey } of entries) {
+    block[offset++] = CURVE_IDS[curve];
+    block.set(fingerprint.match(/../g).map((h) => parseInt(h, 16)), offset); offset += FINGERPRINT_LENGTH;
+    block.set(ephemeralPublic, offset); offset += ephemeralPublic.length;
+    block.set(wrappedKey, offset); offset += WRAPPED_KEY_LENGTH;
+  }
+  return block;
+}
+
+export function decodeRecipients(view, offset) {
+  const TOO_SHORT = 'Corrupted data: Image data too short to contain header.';
+  const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+  if (offset >= bytes.length) throw new Error(TOO_SHORT);
+  const start = offset;
+  const count = bytes[offset++];
+  if (!count) throw new Error('Corrupted data: The image lists no recipients.');
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset >= bytes.length) throw new Error(TOO_SHORT);
+    const id = bytes[offset++];
+    const curve = Object.keys(CURVE_IDS).find((name) => CURVE_IDS[name] === id);
+    if (!curve) throw new Error(`This image uses an unknown recipient key type (id ${id}).`);
+    const keyLength = PUBLIC_KEY_LENGTHS[curve];
+    if (offset + FINGERPRINT_LENGTH + keyLength + WRAPPED_KEY_LENGTH > bytes.length) throw new Error(TOO_SHORT);
+    const fingerprint = toHex(bytes.subarray(offset, offset + FINGERPRINT_LENGTH)); offset += FINGERPRINT_LENGTH;
+    const ephemeralPublic = bytes.slice(offset, offset + keyLength); offset += keyLength;
+    const wrappedKey = bytes.slice(offset, offset + WRAPPED_KEY_LENGTH); offset += WRAPPED_KEY_LENGTH;
+    entries.push({ curve, fingerprint, ephemeralPublic, wrappedKey });
+  }
+  return { recipients: entries, length: offset - start };
+}
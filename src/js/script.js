@@ -1,14 +1,29 @@
+    import {
+      encrypt, decrypt, inspect, encodeWav, encodeAudio, AUDIO_FORMATS, generateKeyFile, MAX_KEY_FILE_SIZE, generateKeyPair, exportKey, importPublicKey, importPrivateKey, publicKeyFingerprint,
+      verifySignature, generateSigningKeyPair, importSigningPublicKey, importSigningPrivateKey, describeSigningKey,
+      estimateStrength, MIN_PASSPHRASE_SCORE, generatePassphrase, encodePng, decodePng, UNSUPPORTED_PNG, readTileHeader,
+      createZip, readZip,
+    } from './audioencrypt.js';
+
     let globalPlaybackContext = null;
     let lastDecryptedBuffer = null;
-
-    const SALT_LENGTH = 16;
-    const IV_LENGTH = 12;
-    const CIPHERTEXT_LENGTH_BYTES = 4;
-    const SAMPLE_RATE_BYTES = 4;
-    const HEADER_LENGTH = SALT_LENGTH + IV_LENGTH + CIPHERTEXT_LENGTH_BYTES + SAMPLE_RATE_BYTES;
-    const BYTES_PER_PIXEL = 3;
+    let lastDecryptedMetadata = null;
+    let attachmentUrls = []; // object URLs behind the download links of decrypted attachments
+    let selectedKeyFile = null; // { name, bytes } of the loaded or generated key file
+    // Public signing keys whose images are shown as "Signed by <name>", kept in this browser.
+    const TRUSTED_SIGNERS_STORAGE_KEY = 'audioencrypt-trusted-signers';
+    // The exact pixels behind each displayed canvas, as decoded from the PNG file or made by
+    // encrypt(). Canvases are only previews: reading them back may not return the same bytes.
+    const canvasImages = new WeakMap();
+    // Saved images are named after the recording they hold, like the batch queue's outputs.
+    const DEFAULT_IMAGE_NAME = 'encrypted-audio';
+    let displayedImageName = DEFAULT_IMAGE_NAME;
 
     let errorDisplay = null; // Will be assigned in DOMContentLoaded
+    let cryptoWorker = null; // Created on first use; stays null when workers are unavailable
+    let workerFailed = false;
+    let nextTaskId = 0;
+    const pendingTasks = new Map();
     let errorTimeout = null;
 
     function showError(message, duration = 7000) {
@@ -26,255 +41,1515 @@
                 }, duration);
             }
         }
-    }
+    }
+
+    function clearError() {
+        if (errorDisplay) {
+            errorDisplay.style.display = 'none';
+            errorDisplay.textContent = '';
+            if (errorTimeout) {
+                clearTimeout(errorTimeout);
+                errorTimeout = null;
+            }
+        }
+    }
+
+    // Adds the indicator class to estimateStrength(): red below Fair, green from Good up.
+    function checkPasswordStrength(password) {
+      const strength = estimateStrength(password);
+      const level = strength.score >= MIN_PASSPHRASE_SCORE ? 'strong' : strength.score === MIN_PASSPHRASE_SCORE - 1 ? 'medium' : 'weak';
+      return { ...strength, class: level };
+    }
+
+    function isStrongEnough(strength) {
+      return strength.score >= MIN_PASSPHRASE_SCORE;
+    }
+
+    function describeWeakPassword(strength) {
+      return [`Password is too weak (${strength.label}; could be guessed in ${strength.crackTime}).`, strength.warning, ...strength.suggestions]
+        .filter(Boolean).join(' ');
+    }
+
+    function getUserSecretKey() {
+      return document.getElementById('secret-key-input').value.trim();
+    }
+
+    function getSelectedKdf() {
+      const algorithm = document.getElementById('kdf-select').value;
+      if (algorithm === 'scrypt') {
+        return {
+          algorithm,
+          logN: parseInt(document.getElementById('scrypt-log-n').value, 10),
+          r: parseInt(document.getElementById('scrypt-r').value, 10),
+          p: parseInt(document.getElementById('scrypt-p').value, 10),
+        };
+      }
+      return { algorithm: 'pbkdf2', iterations: parseInt(document.getElementById('pbkdf2-iterations').value, 10) };
+    }
+
+    function getSelectedPayloadEncoding() {
+      return {
+        sampleFormat: document.getElementById('sample-format-select').value,
+        compression: document.getElementById('compress-payload').checked ? 'deflate' : 'none',
+      };
+    }
+
+    function getLockMode() {
+      return document.getElementById('lock-mode-select').value;
+    }
+
+    async function readKeyFile(file, importKey) {
+      try {
+        return await importKey(await file.text());
+      } catch (err) {
+        throw new Error(`${file.name}: ${err.message}`);
+      }
+    }
+
+    function getSelectedRecipients() {
+      const files = [...document.getElementById('recipient-keys-input').files];
+      return Promise.all(files.map((file) => readKeyFile(file, importPublicKey)));
+    }
+
+    async function getSelectedPrivateKey() {
+      const file = document.getElementById('private-key-input').files[0];
+      return file ? readKeyFile(file, importPrivateKey) : null;
+    }
+
+    async function getSelectedSigningKey() {
+      const file = document.getElementById('signing-key-input').files[0];
+      return file ? readKeyFile(file, importSigningPrivateKey) : null;
+    }
+
+    // [{ name, curve, fingerprint, publicKey }] as from describeSigningKey(), or an empty list
+    // when storage is unavailable. Signers are matched by their whole public key.
+    function loadTrustedSigners() {
+      try {
+        const stored = JSON.parse(localStorage.getItem(TRUSTED_SIGNERS_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored.filter((signer) => typeof signer?.publicKey === 'string') : [];
+      } catch {
+        return [];
+      }
+    }
+
+    function saveTrustedSigners(signers) {
+      localStorage.setItem(TRUSTED_SIGNERS_STORAGE_KEY, JSON.stringify(signers));
+    }
+
+    // Any file can serve as a key file; only its bytes matter.
+    async function loadKeyFile(file) {
+      if (!file.size) throw new Error(`${file.name} is empty.`);
+      if (file.size > MAX_KEY_FILE_SIZE) throw new Error(`${file.name} is larger than ${MAX_KEY_FILE_SIZE / (1024 * 1024)} MiB.`);
+      return { name: file.name, bytes: new Uint8Array(await file.arrayBuffer()) };
+    }
+
+    function getSelectedKeyFile() {
+      return selectedKeyFile ? selectedKeyFile.bytes : null;
+    }
+
+    // Which secrets the chosen lock mode encrypts with.
+    function getLockFactors() {
+      const mode = getLockMode();
+      return { passphrase: mode === 'passphrase' || mode === 'passphrase-keyfile', keyFile: mode === 'keyfile' || mode === 'passphrase-keyfile' };
+    }
+
+    // The decoy options only apply while the deniable layout is chosen.
+    function isDeniableSelected() {
+      return document.getElementById('deniable-checkbox').checked;
+    }
+
+    function getDecoySecretKey() {
+      return document.getElementById('decoy-key-input').value.trim();
+    }
+
+    // The decoy recording with its own secret key, or null without a decoy file.
+    async function getSelectedDecoy() {
+      const file = document.getElementById('decoy-audio-input').files[0];
+      if (!file) return null;
+      const tempAudioCtx = new AudioContext();
+      try {
+        const buffer = await tempAudioCtx.decodeAudioData(await file.arrayBuffer());
+        const pcm = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) pcm.push(buffer.getChannelData(c).slice());
+        return {
+          pcm, sampleRate: buffer.sampleRate, passphrase: getDecoySecretKey(),
+          metadata: { filename: file.name, mimeType: file.type, recordedAt: new Date(file.lastModified) },
+        };
+      } catch (error) {
+        throw new Error(`Could not decode the decoy audio: ${error.message}`);
+      } finally {
+        await tempAudioCtx.close();
+      }
+    }
+
+    // The files chosen under "Attachments", encrypted along with the audio or on their own.
+    async function getSelectedAttachments() {
+      const files = [...document.getElementById('attachments-input').files];
+      return Promise.all(files.map(async (file) => ({
+        name: file.name, mimeType: file.type, bytes: new Uint8Array(await file.arrayBuffer()),
+      })));
+    }
+
+    // Returns why encryption cannot start yet, or null when the chosen lock is ready.
+    // With a key file the passphrase need not be strong; the key file supplies the entropy.
+    function getEncryptionKeyProblem() {
+      if (isDeniableSelected()) {
+        if (getLockMode() !== 'passphrase') return 'Deniable images are locked with a secret key only. Choose "Secret key" under "Lock with".';
+        if (document.getElementById('signing-key-input').files.length) return 'Deniable images cannot be signed. Clear "Sign with".';
+        if (document.getElementById('decoy-audio-input').files.length) {
+          const decoyPass = getDecoySecretKey();
+          if (!decoyPass) return 'Please enter a secret key for the decoy.';
+          if (decoyPass === getUserSecretKey()) return 'The decoy secret key must differ from the real one.';
+        }
+      }
+      if (getLockMode() === 'recipients') {
+        return document.getElementById('recipient-keys-input').files.length ? null : 'Please add at least one recipient public key.';
+      }
+      const factors = getLockFactors();
+      if (factors.keyFile && !selectedKeyFile) return 'Please load or generate a key file.';
+      if (!factors.passphrase) return null;
+      const pass = getUserSecretKey();
+      if (!pass) return 'Please enter a secret key.';
+      if (!factors.keyFile) {
+        const strength = checkPasswordStrength(pass);
+        if (!isStrongEnough(strength)) return describeWeakPassword(strength);
+      }
+      return null;
+    }
+
+    function getSelectedTileSize() {
+      const value = document.getElementById('tile-size-select').value;
+      return value ? parseInt(value, 10) : null;
+    }
+
+    function getSelectedErrorCorrection() {
+      return document.getElementById('error-correction-select').value || null;
+    }
+
+    function getSelectedCover() {
+      const file = document.getElementById('cover-image-input').files[0];
+      if (!file) return null;
+      return { file, bitsPerChannel: parseInt(document.getElementById('stego-bits-select').value, 10) };
+    }
+
+    // Covers are decoded by the page where it can, like images to decrypt. Palette, greyscale,
+    // 16-bit and interlaced PNGs go through the browser instead: a cover's pixels need not
+    // survive bit for bit, since the payload is written into them afterwards.
+    async function loadImageData(file) {
+      if (file.type === 'image/png') {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        try {
+          return await runCryptoTask('decodePng', [bytes], [bytes.buffer]);
+        } catch (error) {
+          if (error.message !== UNSUPPORTED_PNG) throw new Error(`Failed to load the cover image: ${error.message}`);
+        }
+      }
+      return loadImageThroughCanvas(file);
+    }
+
+    function loadImageThroughCanvas(file) {
+      return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+          const c = document.createElement('canvas');
+          c.width = img.width; c.height = img.height;
+          const ctx = c.getContext('2d');
+          ctx.drawImage(img, 0, 0);
+          URL.revokeObjectURL(url);
+          const imageData = ctx.getImageData(0, 0, c.width, c.height);
+          resolve({ pixels: imageData.data, width: imageData.width, height: imageData.height });
+        };
+        img.onerror = () => {
+          URL.revokeObjectURL(url);
+          reject(new Error('Failed to load the cover image. Use a valid PNG or JPEG file.'));
+        };
+        img.src = url;
+      });
+    }
+
+    const PROGRESS_STAGES = {
+      'encoding': 'Encoding audio',
+      'deriving-key': 'Deriving key',
+      'encrypting': 'Encrypting',
+      'decrypting': 'Decrypting',
+      'decoding': 'Decoding audio',
+      'exporting': 'Exporting audio',
+      'protecting': 'Adding error correction',
+      'repairing': 'Checking for damage',
+      'inspecting': 'Inspecting image',
+      'signing': 'Signing',
+      'verifying': 'Checking signature',
+      'loading': 'Loading image',
+    };
+
+    function describeProgress({ stage, done, total }) {
+      const label = PROGRESS_STAGES[stage] || stage;
+      return `${label}${total > 1 ? ` ${Math.floor((done / total) * 100)}%` : '...'}`;
+    }
+
+    // Shows the current stage over whatever the display holds, so a loaded image stays visible.
+    function showProgress(container, progress) {
+      let message = container.querySelector('.progress-message');
+      if (!message) {
+        message = document.createElement('p');
+        message.className = 'progress-message';
+        container.appendChild(message);
+      }
+      message.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${describeProgress(progress)}`;
+    }
+
+    function clearProgress(container) {
+      const message = container.querySelector('.progress-message');
+      if (message) message.remove();
+    }
+
+    function getCryptoWorker() {
+      if (cryptoWorker || workerFailed || typeof Worker === 'undefined') return cryptoWorker;
+      try {
+        cryptoWorker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+      } catch {
+        workerFailed = true; // tasks run on the main thread instead, just as they would without Worker
+        return null;
+      }
+      cryptoWorker.onmessage = ({ data }) => {
+        const task = pendingTasks.get(data.id);
+        if (!task) return;
+        if (data.progress) {
+          task.onProgress(data.progress);
+          return;
+        }
+        pendingTasks.delete(data.id);
+        if (data.error) task.reject(new Error(data.error));
+        else task.resolve(data.result);
+      };
+      cryptoWorker.onerror = (event) => {
+        // The worker failed to load (e.g. no module worker support). Its inputs were already
+        // transferred, so fail the pending tasks and run later ones on the main thread.
+        event.preventDefault();
+        cryptoWorker.terminate();
+        cryptoWorker = null;
+        workerFailed = true;
+        pendingTasks.forEach((task) => task.reject(new Error('Background processing failed to start. Please try again.')));
+        pendingTasks.clear();
+      };
+      return cryptoWorker;
+    }
+
+    const MAIN_THREAD_OPERATIONS = {
+      encrypt, decrypt, encodeAudio, inspect: async (image, _, options) => inspect(image, options),
+      verifySignature: (image, _, options) => verifySignature(image, options),
+      encodePng: (image) => encodePng(image), decodePng: (bytes) => decodePng(bytes),
+    };
+
+    // Runs encrypt/decrypt/verifySignature/encodeAudio/inspect/encodePng/decodePng in the worker when possible. Buffers in `transfer`
+    // are handed over to the worker, so callers must not use them afterwards.
+    function runCryptoTask(operation, args, transfer, onProgress = () => {}) {
+      const worker = getCryptoWorker();
+      if (!worker) {
+        return MAIN_THREAD_OPERATIONS[operation](args[0], args[1], { ...args[2], onProgress });
+      }
+      return new Promise((resolve, reject) => {
+        const id = nextTaskId++;
+        pendingTasks.set(id, { resolve, reject, onProgress });
+        worker.postMessage({ id, operation, args }, transfer);
+      });
+    }
+
+    // Label and formatter for each metadata field shown after decryption, in display order.
+    const METADATA_FIELDS = [
+      ['title', 'Title', String],
+      ['filename', 'Original file', String],
+      ['mimeType', 'Type', String],
+      ['recordedAt', 'Recorded', (value) => new Date(value).toLocaleString()],
+      ['duration', 'Duration', formatDuration],
+      ['channels', 'Channels', String],
+      ['sampleRate', 'Sample rate', (value) => `${value} Hz`],
+      ['notes', 'Notes', String],
+    ];
+
+    function formatDuration(seconds) {
+      const minutes = Math.floor(seconds / 60);
+      return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+    }
+
+    // correctedBytes is null for images without error correction.
+    function showMetadata(metadata, correctedBytes = null) {
+      const panel = document.getElementById('metadata-panel');
+      panel.replaceChildren();
+      const rows = [];
+      for (const [field, label, format] of METADATA_FIELDS) {
+        if (!metadata || metadata[field] === undefined || metadata[field] === null) continue;
+        rows.push([label, format(metadata[field])]);
+      }
+      if (correctedBytes !== null) {
+        rows.push(['Error correction', correctedBytes
+          ? `Repaired ${correctedBytes} damaged byte${correctedBytes === 1 ? '' : 's'}`
+          : 'No damage found']);
+      }
+      panel.hidden = !rows.length;
+      for (const [label, text] of rows) {
+        const dt = document.createElement('dt');
+        dt.textContent = label;
+        const dd = document.createElement('dd');
+        dd.textContent = text;
+        panel.append(dt, dd);
+      }
+    }
+
+    // Lists the files decrypted with the recording, each with a download link, or hides the list.
+    function showAttachments(attachments) {
+      const list = document.getElementById('attachments-list');
+      attachmentUrls.forEach((url) => URL.revokeObjectURL(url));
+      attachmentUrls = [];
+      list.replaceChildren();
+      list.hidden = !attachments.length;
+      for (const { name, mimeType, bytes } of attachments) {
+        const url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+        attachmentUrls.push(url);
+        const item = document.createElement('li');
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-paperclip';
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = sanitizeFilename(name) || 'attachment';
+        link.textContent = name;
+        const detail = document.createElement('span');
+        detail.textContent = `${mimeType}, ${bytes.length.toLocaleString()} bytes`;
+        item.append(icon, link, detail);
+        list.appendChild(item);
+      }
+    }
+
+    // "Signed by", "Unknown signer" or "Signature invalid" for the result of verifySignature(),
+    // as a short summary and a full explanation.
+    function describeSignature({ valid, curve, fingerprint, publicKey }) {
+      const trusted = loadTrustedSigners().find((signer) => signer.publicKey === publicKey);
+      const key = `${curve} key ${fingerprint}`;
+      if (!valid) {
+        return {
+          status: 'error',
+          summary: 'Signature invalid',
+          text: `Signature invalid: the image names ${trusted ? trusted.name : `the ${key}`} as its signer, but the signature ` +
+            'does not match. It was altered or re-made by someone else; do not trust who it claims to be from.',
+        };
+      }
+      if (trusted) return { status: 'ok', summary: `Signed by ${trusted.name}`, text: `Signed by ${trusted.name} (${key})` };
+      return {
+        status: 'warning',
+        summary: `Unknown signer ${fingerprint}`,
+        text: `Unknown signer: signed with the ${key}, which is not among your trusted signers. Add their public key under ` +
+          '"Trusted signers" once you have checked the fingerprint with them.',
+      };
+    }
+
+    // Shows who signed the displayed image, or hides the line for unsigned images (null).
+    function showSignature(signature) {
+      const line = document.getElementById('signature-status');
+      line.replaceChildren();
+      line.hidden = !signature;
+      if (!signature) return;
+      const { status, text } = describeSignature(signature);
+      line.className = status;
+      const icon = document.createElement('i');
+      icon.className = `fas ${signature.valid ? 'fa-signature' : INSPECT_ICONS.error}`;
+      const span = document.createElement('span');
+      span.textContent = text;
+      line.append(icon, span);
+    }
+
+    function forgetDecryptedAudio() {
+      lastDecryptedBuffer = null;
+      lastDecryptedMetadata = null;
+      showMetadata(null);
+      showSignature(null);
+      showAttachments([]);
+      showInspectReport(null);
+    }
+
+    const INSPECT_ICONS = { ok: 'fa-circle-check', warning: 'fa-triangle-exclamation', error: 'fa-circle-xmark' };
+
+    // Lists the result of inspect(), or hides the list for null.
+    function showInspectReport(report) {
+      const list = document.getElementById('inspect-report');
+      list.replaceChildren();
+      list.hidden = !report;
+      for (const { status, label, detail } of report?.checks || []) {
+        const item = document.createElement('li');
+        item.className = status;
+        const icon = document.createElement('i');
+        icon.className = `fas ${INSPECT_ICONS[status]}`;
+        const name = document.createElement('strong');
+        name.textContent = `${label}:`;
+        const text = document.createElement('span');
+        text.textContent = detail;
+        item.append(icon, name, text);
+        list.appendChild(item);
+      }
+    }
+
+    // Larger images are previewed at a reduced size; browsers refuse canvases much bigger
+    // than this (Safari's limit is 4096 x 4096 pixels).
+    const MAX_PREVIEW_PIXELS = 4096 * 4096;
+
+    // Makes the canvas that previews image, keeping the image itself for decryption and saving.
+    function createImageCanvas(image) {
+      const { pixels, width, height } = image;
+      const step = Math.ceil(Math.sqrt(width * height / MAX_PREVIEW_PIXELS));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(width / step); canvas.height = Math.ceil(height / step);
+      let preview = pixels;
+      if (step > 1) {
+        preview = new Uint8ClampedArray(canvas.width * canvas.height * 4);
+        for (let y = 0, i = 0; y < canvas.height; y++) {
+          for (let x = 0; x < canvas.width; x++, i += 4) {
+            const source = ((y * step) * width + x * step) * 4;
+            preview.set(pixels.subarray(source, source + 4), i);
+          }
+        }
+      }
+      canvas.getContext('2d').putImageData(new ImageData(preview, canvas.width, canvas.height), 0, 0);
+      canvasImages.set(canvas, image);
+      return canvas;
+    }
+
+    // Copies of the images behind the canvases, since tasks take over their pixel buffers.
+    function canvasesToImages(canvases) {
+      return canvases.map((canvas) => {
+        const { pixels, width, height } = canvasImages.get(canvas);
+        return { pixels: pixels.slice(), width, height };
+      });
+    }
+
+    // Checks the signature of the displayed image(s) as soon as they are loaded; needs no key.
+    async function verifyCanvases(canvases) {
+      const images = canvasesToImages(canvases);
+      return runCryptoTask(
+        'verifySignature', [images.length > 1 ? images : images[0], null, {}], images.map((image) => image.pixels.buffer)
+      );
+    }
+
+    // Runs inspect() on the displayed image(s); needs no key.
+    async function inspectCanvases(canvases) {
+      const images = canvasesToImages(canvases);
+      const container = canvases[0].parentElement;
+      try {
+        return await runCryptoTask(
+          'inspect', [images.length > 1 ? images : images[0], null, {}],
+          images.map((image) => image.pixels.buffer), (progress) => container && showProgress(container, progress)
+        );
+      } finally {
+        if (container) clearProgress(container);
+      }
+    }
+
+    // A name from inside an image, without any directory and with characters that file
+    // systems reject replaced; empty when nothing usable is left.
+    function sanitizeFilename(name) {
+      const base = name.replace(/^.*[\\/]/, '').replace(/[\u0000-\u001f<>:"|?*]/g, '_').trim();
+      return base === '.' || base === '..' ? '' : base;
+    }
+
+    // The decrypted audio is saved under the original file's name, when the image recorded one.
+    function getSaveAudioFilename(metadata, extension = 'wav') {
+      const original = typeof metadata?.filename === 'string' ? metadata.filename : '';
+      const base = sanitizeFilename(original).replace(/\.[^.]*$/, '').trim();
+      return `${base || 'decrypted-audio'}.${extension}`;
+    }
+
+    // Encrypts with the current lock and advanced options, returning the image or tiles as an array.
+    // source describes where the audio came from: { filename, mimeType, recordedAt }. The chosen
+    // attachments go along; without audioBuffer, they are all the image holds.
+    async function encryptAudio(audioBuffer, source, onProgress) {
+      const useRecipients = getLockMode() === 'recipients';
+      const factors = getLockFactors();
+      const pass = factors.passphrase ? getUserSecretKey() : null;
+      if (factors.passphrase) {
+        if (!pass) throw new Error('Secret key is required');
+        if (!factors.keyFile) {
+          const strength = checkPasswordStrength(pass);
+          if (!isStrongEnough(strength)) throw new Error(describeWeakPassword(strength));
+        }
+      }
+      if (factors.keyFile && !selectedKeyFile) throw new Error('A key file is required');
+      // Copies, because the channel data is transferred to the worker.
+      const pcm = [];
+      for (let c = 0; c < (audioBuffer?.numberOfChannels ?? 0); c++) pcm.push(audioBuffer.getChannelData(c).slice());
+      const selectedCover = getSelectedCover();
+      const options = {
+        kdf: getSelectedKdf(),
+        encoding: getSelectedPayloadEncoding(),
+        metadata: {
+          ...source,
+          title: document.getElementById('metadata-title-input').value.trim(),
+          notes: document.getElementById('metadata-notes-input').value.trim(),
+        },
+      };
+      if (selectedCover) {
+        options.cover = await loadImageData(selectedCover.file);
+        options.bitsPerChannel = selectedCover.bitsPerChannel;
+      }
+      const attachments = await getSelectedAttachments();
+      if (attachments.length) options.attachments = attachments;
+      const signingKey = await getSelectedSigningKey();
+      if (signingKey) options.signingKey = signingKey;
+      if (useRecipients) options.recipients = await getSelectedRecipients();
+      if (factors.keyFile) options.keyFile = getSelectedKeyFile();
+      const maxTileSize = getSelectedTileSize();
+      if (maxTileSize) options.maxTileSize = maxTileSize;
+      const errorCorrection = getSelectedErrorCorrection();
+      if (errorCorrection) options.errorCorrection = errorCorrection;
+      if (isDeniableSelected()) {
+        options.deniable = true;
+        const decoy = await getSelectedDecoy();
+        if (decoy) options.decoy = decoy;
+      }
+      const transfer = pcm.map((channel) => channel.buffer);
+      if (options.cover) transfer.push(options.cover.pixels.buffer);
+      if (options.decoy) transfer.push(...options.decoy.pcm.map((channel) => channel.buffer));
+      transfer.push(...attachments.map((file) => file.bytes.buffer));
+      const audio = audioBuffer ? { pcm, sampleRate: audioBuffer.sampleRate } : null;
+      const result = await runCryptoTask('encrypt', [audio, pass, options], transfer, onProgress);
+      return Array.isArray(result) ? result : [result];
+    }
+
+    async function encryptAudioToImage(audioBuffer, container, source = {}) {
+      const images = await encryptAudio(audioBuffer, source, (progress) => showProgress(container, progress));
+      // Tiled output arrives as an array of images, shown side by side in tile order.
+      const canvases = images.map(createImageCanvas);
+      container.innerHTML = ''; 
+      container.classList.toggle('tiled', canvases.length > 1);
+      canvases.forEach((canvas) => container.appendChild(canvas));
+      displayedImageName = stripExtension(source.filename || '') || DEFAULT_IMAGE_NAME;
+      return canvases;
+    }
+
+    // Decrypts an image, or all tiles of one, with whatever secrets are entered or loaded.
+    async function decryptImages(images, onProgress) {
+      const pass = getUserSecretKey(); 
+      const privateKey = await getSelectedPrivateKey();
+      const keyFile = getSelectedKeyFile();
+      if (!pass && !privateKey && !keyFile) throw new Error('Secret key, key file or private key is required');
+      return runCryptoTask(
+        'decrypt', [images.length > 1 ? images : images[0], pass, { privateKey, keyFile }],
+        images.map((image) => image.pixels.buffer), onProgress
+      );
+    }
+
+    async function decryptImageToAudio(canvases) {
+      const images = canvasesToImages(canvases);
+      const container = canvases[0].parentElement;
+      let result;
+      try {
+        result = await decryptImages(images, (progress) => container && showProgress(container, progress));
+      } finally {
+        if (container) clearProgress(container);
+      }
+      const { pcm, sampleRate, channels, metadata, correctedBytes, attachments, signature } = result;
+      showSignature(signature);
+      showMetadata(metadata, correctedBytes);
+      showAttachments(attachments);
+
+      // An image of attachments only plays its first audio file, if it has one.
+      const ac = globalPlaybackContext || (globalPlaybackContext = new AudioContext());
+      let buf = null;
+      if (pcm) {
+        buf = ac.createBuffer(channels, pcm[0].length, sampleRate);
+        for (let c = 0; c < channels; c++) {
+          buf.copyToChannel(pcm[c], c);
+        }
+        lastDecryptedMetadata = metadata;
+      } else {
+        const audioFile = attachments.find(({ name, mimeType }) => isAudioFile({ name, type: mimeType }));
+        if (!audioFile) return null;
+        try {
+          buf = await ac.decodeAudioData(audioFile.bytes.slice().buffer);
+        } catch (error) {
+          throw new Error(`The attachment "${audioFile.name}" could not be played: ${error.message}`);
+        }
+        lastDecryptedMetadata = { ...metadata, filename: audioFile.name };
+      }
+      lastDecryptedBuffer = buf;
+      return buf;
+    }
+
+    function bufferToWav(buffer) {
+      const pcm = [];
+      for (let c = 0; c < buffer.numberOfChannels; c++) pcm.push(buffer.getChannelData(c));
+      return new Blob([encodeWav({ pcm, sampleRate: buffer.sampleRate })], { type: 'audio/wav' });
+    }
+
+    // Encodes in the worker; FLAC takes a few seconds per minute of audio.
+    async function exportAudio(buffer, format, metadata, onProgress) {
+      const pcm = [];
+      for (let c = 0; c < buffer.numberOfChannels; c++) pcm.push(buffer.getChannelData(c).slice());
+      const bytes = await runCryptoTask(
+        'encodeAudio', [{ pcm, sampleRate: buffer.sampleRate }, format, { metadata }],
+        pcm.map((channel) => channel.buffer), onProgress
+      );
+      return new Blob([bytes], { type: AUDIO_FORMATS[format].mimeType });
+    }
+
+    // Recording levels in dBFS. The meter spans METER_FLOOR_DB to 0 dB and turns orange
+    // from HOT_LEVEL_DB; samples at CLIPPING_LEVEL or above have probably been clipped.
+    const METER_FLOOR_DB = -60;
+    const METER_FALL_DB_PER_FRAME = 0.75;
+    const HOT_LEVEL_DB = -6;
+    const CLIPPING_LEVEL = 0.99;
+    // Takes that never rise above SILENCE_DB are reported as silent, and "Trim silence" cuts
+    // what stays below it at either end, keeping TRIM_PADDING_SECONDS of lead-in and tail.
+    const SILENCE_DB = -50;
+    const TRIM_PADDING_SECONDS = 0.1;
+    const MIN_TAKE_SECONDS = 0.1;
+
+    function toDecibels(amplitude) {
+      return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+    }
+
+    function formatDecibels(db) {
+      return Number.isFinite(db) ? `${db.toFixed(1)} dB` : '-\u221e dB';
+    }
+
+    async function listMicrophones() {
+      if (!navigator.mediaDevices?.enumerateDevices) return [];
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      return devices.filter((device) => device.kind === 'audioinput' && device.deviceId && device.deviceId !== 'default');
+    }
+
+    // The largest absolute sample of any channel in each of `columns` equal slices.
+    function computePeaks(buffer, columns) {
+      const peaks = new Float32Array(columns);
+      const perColumn = buffer.length / columns;
+      for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let x = 0; x < columns; x++) {
+          const end = Math.min(data.length, Math.ceil((x + 1) * perColumn));
+          let peak = peaks[x];
+          for (let i = Math.floor(x * perColumn); i < end; i++) {
+            const value = Math.abs(data[i]);
+            if (value > peak) peak = value;
+          }
+          peaks[x] = peak;
+        }
+      }
+      return peaks;
+    }
+
+    // The first and last instants (in seconds) at which any channel rises above thresholdDb,
+    // or null when none does.
+    function findSoundBounds(buffer, thresholdDb = SILENCE_DB) {
+      const threshold = 10 ** (thresholdDb / 20);
+      let first = Infinity;
+      let last = -1;
+      for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        let i = 0;
+        while (i < data.length && Math.abs(data[i]) <= threshold) i++;
+        if (i === data.length) continue;
+        let j = data.length - 1;
+        while (Math.abs(data[j]) <= threshold) j--;
+        first = Math.min(first, i);
+        last = Math.max(last, j);
+      }
+      return last < 0 ? null : { start: first / buffer.sampleRate, end: (last + 1) / buffer.sampleRate };
+    }
+
+    function sliceAudioBuffer(buffer, start, end) {
+      const from = Math.round(start * buffer.sampleRate);
+      const to = Math.min(buffer.length, Math.round(end * buffer.sampleRate));
+      const ac = globalPlaybackContext || (globalPlaybackContext = new AudioContext());
+      const slice = ac.createBuffer(buffer.numberOfChannels, to - from, buffer.sampleRate);
+      for (let c = 0; c < buffer.numberOfChannels; c++) slice.copyToChannel(buffer.getChannelData(c).subarray(from, to), c);
+      return slice;
+    }
+
+    const isZipFile = (file) => /\.zip$/i.test(file.name) || ['application/zip', 'application/x-zip-compressed'].includes(file.type);
+    const isPngFile = (file) => file.type === 'image/png' || /\.png$/i.test(file.name);
+    // Shared files may arrive without a type, so common audio extensions count too.
+    const isAudioFile = (file) => file.type.startsWith('audio/') || /\.(wav|flac|mp3|ogg|opus|m4a)$/i.test(file.name);
+
+    // Uploaded files and files taken from ZIP archives, alike: { name, type, lastModified, read() }.
+    // read() returns fresh bytes each time, because tasks take over the buffers they are given.
+    function fileSource(file) {
+      return { name: file.name, type: file.type, lastModified: file.lastModified, read: async () => new Uint8Array(await file.arrayBuffer()) };
+    }
+
+    // The PNG images in a ZIP archive, leaving out the resource forks macOS adds.
+    async function zipPngSources(file) {
+      const entries = await readZip(new Uint8Array(await file.arrayBuffer()));
+      return entries
+        .filter(({ name }) => /\.png$/i.test(name) && !/(^|\/)(__MACOSX\/|\._)/.test(name))
+        .map(({ name, bytes, modified }) => ({ name, type: 'image/png', lastModified: modified.getTime(), read: async () => bytes.slice() }));
+    }
+
+    // Decodes PNG sources and groups the tiles of each tiled image. Each group is
+    // { sources, images } (images only with keepImages) or, for an unreadable file, { sources, error }.
+    async function groupPngSources(sources, keepImages) {
+      const groups = [];
+      const sessions = new Map();
+      for (const source of sources) {
+        let image;
+        try {
+          const bytes = await source.read();
+          image = await runCryptoTask('decodePng', [bytes], [bytes.buffer]);
+        } catch (error) {
+          groups.push({ sources: [source], error: `Failed to load ${source.name}: ${error.message}` });
+          continue;
+        }
+        let tile = null;
+        try {
+          tile = readTileHeader(image);
+        } catch {
+          // A damaged tile header; decrypting the image on its own reports the problem.
+        }
+        let group = tile && sessions.get(tile.sessionId);
+        if (!group) {
+          group = { sources: [], images: keepImages ? [] : undefined };
+          groups.push(group);
+          if (tile) sessions.set(tile.sessionId, group);
+        }
+        group.sources.push(source);
+        if (keepImages) group.images.push(image);
+      }
+      return groups;
+    }
+
+    function stripExtension(filename) {
+      return filename.replace(/^.*[\\/]/, '').replace(/\.[^.]*$/, '');
+    }
+
+    // The file name of an image, or of tile index of count, as the CLI and the batch queue write them.
+    function imageFilename(base, index = 0, count = 1) {
+      return count > 1 ? `${base}-tile${index + 1}of${count}.png` : `${base}.png`;
+    }
+
+    // The recording name behind an image file name: "talk-tile2of3.png" gives "talk".
+    function imageBaseName(filename) {
+      return stripExtension(filename).replace(/-tile\d+of\d+$/, '');
+    }
+
+    // Appends " (2)", " (3)", ... before the extension until the name is not in used, then records it.
+    function uniqueName(name, used) {
+      let candidate = name;
+      for (let n = 2; used.has(candidate); n++) candidate = name.replace(/(\.[^./]*)?$/, ` (${n})$1`);
+      used.add(candidate);
+      return candidate;
+    }
+
+    // Files shared from other apps wait in this cache, put there by service-worker.js, until the
+    // page it opens with ?shared takes them.
+    const SHARED_FILES_CACHE = 'audioencrypt-shared';
+
+    async function takeSharedFiles() {
+      const url = new URL(location.href);
+      if (!url.searchParams.has('shared')) return [];
+      url.searchParams.delete('shared');
+      history.replaceState(null, '', url);
+      if (typeof caches === 'undefined') return [];
+      const cache = await caches.open(SHARED_FILES_CACHE);
+      const files = [];
+      for (const request of await cache.keys()) {
+        const response = await cache.match(request);
+        files.push(new File([await response.blob()], decodeURIComponent(response.headers.get('X-File-Name')), {
+          type: response.headers.get('Content-Type') || '',
+          lastModified: Number(response.headers.get('X-Last-Modified')) || Date.now(),
+        }));
+      }
+      await caches.delete(SHARED_FILES_CACHE);
+      return files;
+    }
+
+    // The service worker lives at the top of the site, so its scope covers the page, and needs
+    // http(s); opened from file://, or where registration fails, the page simply stays online-only.
+    function registerServiceWorker() {
+      if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+      navigator.serviceWorker.register(new URL('../../service-worker.js', import.meta.url)).catch(() => {});
+    }
+
+    function canShareFiles() {
+      try {
+        return Boolean(navigator.canShare?.({ files: [new File([''], 'image.png', { type: 'image/png' })] }));
+      } catch {
+        return false;
+      }
+    }
+
+    const OPUS_MIME_TYPE = 'audio/webm;codecs=opus';
+
+    function canRecordOpus() {
+      return typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(OPUS_MIME_TYPE);
+    }
+
+    // MediaRecorder has no offline mode, so the audio is played into a stream destination
+    // (never to the speakers) and recorded in real time. WebM from MediaRecorder carries no tags.
+    function bufferToOpusWebm(buffer, onProgress) {
+      if (!canRecordOpus()) {
+        return Promise.reject(new Error('This browser cannot encode Opus/WebM. Choose WAV or FLAC instead.'));
+      }
+      return new Promise((resolve, reject) => {
+        const ac = new AudioContext();
+        const destination = ac.createMediaStreamDestination();
+        const source = ac.createBufferSource();
+        source.buffer = buffer;
+        source.connect(destination);
+        const recorder = new MediaRecorder(destination.stream, { mimeType: OPUS_MIME_TYPE });
+        const parts = [];
+        let timer = null;
+        const finish = () => {
+          clearInterval(timer);
+          ac.close();
+        };
+        recorder.ondataavailable = (event) => { if (event.data.size) parts.push(event.data); };
+        recorder.onstop = () => {
+          finish();
+          resolve(new Blob(parts, { type: 'audio/webm' }));
+        };
+        recorder.onerror = (event) => {
+          finish();
+          reject(event.error || new Error('Opus encoding failed.'));
+        };
+        source.onended = () => recorder.stop();
+        recorder.start();
+        const startTime = ac.currentTime;
+        source.start();
+        timer = setInterval(() => onProgress({
+          stage: 'exporting', done: Math.min(ac.currentTime - startTime, buffer.duration), total: buffer.duration,
+        }), 500);
+      });
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+      errorDisplay = document.getElementById('error-message-area'); // Assign error display element
+
+      const recordBtn = document.getElementById('record-button');
+      const audioUploadInput = document.getElementById('audio-upload');
+      const playBtn   = document.getElementById('play-button');
+      const saveImageBtn = document.getElementById('save-image-button');
+      const shareImageBtn = document.getElementById('share-image-button');
+      const saveAudioBtn = document.getElementById('save-audio-button');
+      const inspectBtn = document.getElementById('inspect-button');
+      const saveFormatSelect = document.getElementById('save-format-select');
+      const imageUploadInput = document.getElementById('image-upload');
+      const display   = document.getElementById('waveform-image-display');
+      const audioEl   = document.getElementById('audio-player');
+      const keyInput = document.getElementById('secret-key-input');
+      const strengthIndicator = document.getElementById('password-strength');
+      const passwordFeedback = document.getElementById('password-feedback');
+      const generatePassphraseBtn = document.getElementById('generate-passphrase-button');
+      const passphraseWordsSelect = document.getElementById('passphrase-words-select');
+      const kdfSelect = document.getElementById('kdf-select');
+      const coverInput = document.getElementById('cover-image-input');
+      const clearCoverBtn = document.getElementById('clear-cover-button');
+      const attachmentsInput = document.getElementById('attachments-input');
+      const attachmentsSummary = document.getElementById('attachments-summary');
+      const clearAttachmentsBtn = document.getElementById('clear-attachments-button');
+      const encryptAttachmentsBtn = document.getElementById('encrypt-attachments-button');
+      const deniableCheckbox = document.getElementById('deniable-checkbox');
+      const decoyAudioInput = document.getElementById('decoy-audio-input');
+      const clearDecoyBtn = document.getElementById('clear-decoy-button');
+      const lockModeSelect = document.getElementById('lock-mode-select');
+      const recipientKeysInput = document.getElementById('recipient-keys-input');
+      const recipientKeysSummary = document.getElementById('recipient-keys-summary');
+      const privateKeyInput = document.getElementById('private-key-input');
+      const clearPrivateKeyBtn = document.getElementById('clear-private-key-button');
+      const generateKeyPairBtn = document.getElementById('generate-keypair-button');
+      const signingKeyInput = document.getElementById('signing-key-input');
+      const clearSigningKeyBtn = document.getElementById('clear-signing-key-button');
+      const signingKeySummary = document.getElementById('signing-key-summary');
+      const trustedKeysInput = document.getElementById('trusted-keys-input');
+      const trustedSignersList = document.getElementById('trusted-signers-list');
+      const keyFileRow = document.getElementById('key-file-row');
+      const keyFileInput = document.getElementById('key-file-input');
+      const keyFileSummary = document.getElementById('key-file-summary');
+      const clearKeyFileBtn = document.getElementById('clear-key-file-button');
+      const generateKeyFileBtn = document.getElementById('generate-key-file-button');
+      const microphoneSelect = document.getElementById('microphone-select');
+      const recorderPanel = document.getElementById('recorder-panel');
+      const recorderLive = document.getElementById('recorder-live');
+      const recorderReview = document.getElementById('recorder-review');
+      const recordingTimer = document.getElementById('recording-timer');
+      const levelMeter = document.getElementById('level-meter');
+      const levelMeterFill = document.getElementById('level-meter-fill');
+      const levelReadout = document.getElementById('level-readout');
+      const takeCanvas = document.getElementById('take-waveform');
+      const takeSelection = document.getElementById('take-selection');
+      const takeWarning = document.getElementById('take-warning');
+      const takePlayBtn = document.getElementById('take-play-button');
+      const takeTrimSilenceBtn = document.getElementById('take-trim-silence-button');
+      const takeEncryptBtn = document.getElementById('take-encrypt-button');
+      const takeDiscardBtn = document.getElementById('take-discard-button');
+      const batchPanel = document.getElementById('batch-queue');
+      const batchList = document.getElementById('batch-list');
+      const batchSummary = document.getElementById('batch-summary');
+      const batchRunBtn = document.getElementById('batch-run-button');
+      const batchDownloadBtn = document.getElementById('batch-download-button');
+      const batchClearBtn = document.getElementById('batch-clear-button');
+
+      let mediaRecorder = null;
+      let audioChunks = [];
+      let currentStream = null;
+      let isPlaying = false;
+
+      // Decrypting needs only some secret; the strength rules apply when encrypting.
+      function updatePlayButtonState() {
+        const pass = getUserSecretKey();
+        const canvas = display.querySelector('canvas');
+        const hasPrivateKey = privateKeyInput.files.length > 0;
+        inspectBtn.disabled = !canvas;
+        shareImageBtn.disabled = !canvas;
+        if (!isPlaying) {
+            playBtn.disabled = !(canvas && (hasPrivateKey || selectedKeyFile || pass));
+        }
+      }
+      
+      function resetAudioPlayer() {
+        if (!audioEl.paused) {
+            audioEl.pause();
+        }
+        const oldSrc = audioEl.src;
+        audioEl.removeAttribute('src');
+        if (audioEl.load) audioEl.load();
+        audioEl.style.display = 'none';
+        if (oldSrc && oldSrc.startsWith('blob:')) {
+            URL.revokeObjectURL(oldSrc);
+        }
+      }
+
+      // generated is the passphrase just made by the dice button, shown once so it can be written down.
+      function showPasswordStrength(generated = null) {
+        const password = getUserSecretKey();
+        passwordFeedback.textContent = '';
+        if (!password) {
+          keyInput.className = '';
+          strengthIndicator.textContent = '';
+          strengthIndicator.className = 'password-strength';
+          passwordFeedback.hidden = true;
+          return;
+        }
+        const strength = checkPasswordStrength(password);
+        keyInput.className = strength.class;
+        strengthIndicator.textContent = strength.label;
+        strengthIndicator.className = `password-strength ${strength.class}`;
+        if (generated) {
+          const phrase = document.createElement('code');
+          phrase.textContent = generated;
+          passwordFeedback.append('Generated passphrase: ', phrase, '. Write it down; without it the image cannot be decrypted.');
+        } else {
+          passwordFeedback.textContent = [`Could be guessed in ${strength.crackTime}.`, strength.warning, ...strength.suggestions]
+            .filter(Boolean).join(' ');
+        }
+        passwordFeedback.hidden = false;
+      }
+
+      keyInput.addEventListener('input', () => {
+        showPasswordStrength();
+        updatePlayButtonState();
+      });
+
+      generatePassphraseBtn.onclick = () => {
+        const passphrase = generatePassphrase(parseInt(passphraseWordsSelect.value, 10));
+        keyInput.value = passphrase;
+        clearError();
+        showPasswordStrength(passphrase);
+        updatePlayButtonState();
+      };
+
+      kdfSelect.addEventListener('change', () => {
+        document.getElementById('pbkdf2-options').hidden = kdfSelect.value !== 'pbkdf2';
+        document.getElementById('scrypt-options').hidden = kdfSelect.value !== 'scrypt';
+      });
+
+      coverInput.addEventListener('change', () => {
+        clearCoverBtn.disabled = !coverInput.files.length;
+      });
+
+      clearCoverBtn.onclick = () => {
+        coverInput.value = null;
+        clearCoverBtn.disabled = true;
+      };
+
+      function updateAttachmentsSummary() {
+        const files = [...attachmentsInput.files];
+        const bytes = files.reduce((sum, file) => sum + file.size, 0);
+        attachmentsSummary.textContent = files.length
+          ? `${files.length} file${files.length === 1 ? '' : 's'}, ${bytes.toLocaleString()} bytes, encrypted with the audio`
+          : '';
+        clearAttachmentsBtn.disabled = !files.length;
+        encryptAttachmentsBtn.disabled = !files.length;
+      }
+
+      attachmentsInput.addEventListener('change', updateAttachmentsSummary);
+
+      clearAttachmentsBtn.onclick = () => {
+        attachmentsInput.value = null;
+        updateAttachmentsSummary();
+      };
+
+      encryptAttachmentsBtn.onclick = async () => {
+        clearError();
+        const keyProblem = getEncryptionKeyProblem();
+        if (keyProblem) { showError(keyProblem); return; }
+        const [first] = attachmentsInput.files;
+        resetAudioPlayer();
+        forgetDecryptedAudio();
+        saveAudioBtn.disabled = true;
+        playBtn.disabled = true;
+        saveImageBtn.disabled = true;
+        encryptAttachmentsBtn.disabled = true;
+        display.innerHTML = '<p><i class="fas fa-spinner fa-spin"></i> Encrypting attachments...</p>';
+        try {
+          await encryptAudioToImage(null, display);
+          displayedImageName = stripExtension(first.name) || DEFAULT_IMAGE_NAME;
+          saveImageBtn.disabled = false;
+        } catch (error) {
+          showError('Error encrypting attachments: ' + error.message);
+          display.innerHTML = getInitialDisplayMessage();
+          saveImageBtn.disabled = !display.querySelector('canvas');
+        } finally {
+          encryptAttachmentsBtn.disabled = !attachmentsInput.files.length;
+          updatePlayButtonState();
+        }
+      };
+
+      deniableCheckbox.addEventListener('change', () => {
+        document.getElementById('decoy-options').hidden = !deniableCheckbox.checked;
+      });
+
+      decoyAudioInput.addEventListener('change', () => {
+        clearDecoyBtn.disabled = !decoyAudioInput.files.length;
+      });
+
+      clearDecoyBtn.onclick = () => {
+        decoyAudioInput.value = null;
+        clearDecoyBtn.disabled = true;
+      };
+
+      lockModeSelect.addEventListener('change', () => {
+        document.getElementById('recipient-options').hidden = lockModeSelect.value !== 'recipients';
+      });
+
+      recipientKeysInput.addEventListener('change', async () => {
+        clearError();
+        recipientKeysSummary.textContent = '';
+        try {
+          const keys = await getSelectedRecipients();
+          const fingerprints = await Promise.all(keys.map(publicKeyFingerprint));
+          recipientKeysSummary.textContent = fingerprints.join(', ');
+        } catch (error) {
+          recipientKeysInput.value = null;
+          showError('Could not load recipient key: ' + error.message);
+        }
+      });
+
+      privateKeyInput.addEventListener('change', async () => {
+        clearError();
+        clearPrivateKeyBtn.disabled = !privateKeyInput.files.length;
+        try {
+          await getSelectedPrivateKey();
+        } catch (error) {
+          privateKeyInput.value = null;
+          clearPrivateKeyBtn.disabled = true;
+          showError('Could not load private key: ' + error.message);
+        }
+        updatePlayButtonState();
+      });
+
+      clearPrivateKeyBtn.onclick = () => {
+        privateKeyInput.value = null;
+        clearPrivateKeyBtn.disabled = true;
+        updatePlayButtonState();
+      };
+
+      signingKeyInput.addEventListener('change', async () => {
+        clearError();
+        signingKeySummary.textContent = '';
+        clearSigningKeyBtn.disabled = !signingKeyInput.files.length;
+        try {
+          const key = await getSelectedSigningKey();
+          if (key) signingKeySummary.textContent = `${key.algorithm.namedCurve || key.algorithm.name}, images will be signed`;
+        } catch (error) {
+          signingKeyInput.value = null;
+          clearSigningKeyBtn.disabled = true;
+          showError('Could not load signing key: ' + error.message);
+        }
+      });
+
+      clearSigningKeyBtn.onclick = () => {
+        signingKeyInput.value = null;
+        signingKeySummary.textContent = '';
+        clearSigningKeyBtn.disabled = true;
+      };
+
+      function renderTrustedSigners() {
+        trustedSignersList.replaceChildren(...loadTrustedSigners().map(({ name, curve, fingerprint, publicKey }) => {
+          const item = document.createElement('li');
+          const label = document.createElement('span');
+          label.textContent = name;
+          const key = document.createElement('span');
+          key.className = 'option-note';
+          key.textContent = `${curve} ${fingerprint}`;
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.className = 'small-button';
+          remove.textContent = 'Remove';
+          remove.onclick = () => {
+            saveTrustedSigners(loadTrustedSigners().filter((signer) => signer.publicKey !== publicKey));
+            renderTrustedSigners();
+          };
+          item.append(label, key, remove);
+          return item;
+        }));
+      }
+
+      // Each key is named after its file, e.g. alice.pub.pem becomes "alice".
+      trustedKeysInput.addEventListener('change', async () => {
+        clearError();
+        try {
+          const signers = loadTrustedSigners();
+          for (const file of trustedKeysInput.files) {
+            const signer = await describeSigningKey(await readKeyFile(file, importSigningPublicKey));
+            const entry = { name: file.name.replace(/(\.pub)?\.(pem|jwk|json)$/i, '') || signer.fingerprint, ...signer };
+            const index = signers.findIndex(({ publicKey }) => publicKey === signer.publicKey);
+            if (index >= 0) signers[index] = entry;
+            else signers.push(entry);
+          }
+          saveTrustedSigners(signers);
+        } catch (error) {
+          showError('Could not add trusted signer: ' + error.message);
+        } finally {
+          trustedKeysInput.value = null;
+          renderTrustedSigners();
+        }
+      });
+
+      function setKeyFile(keyFile, note = '') {
+        selectedKeyFile = keyFile;
+        clearKeyFileBtn.disabled = !keyFile;
+        keyFileSummary.textContent = keyFile ? `${keyFile.name} (${keyFile.bytes.length.toLocaleString()} bytes)${note}` : '';
+        updatePlayButtonState();
+      }
+
+      keyFileInput.addEventListener('change', async () => {
+        clearError();
+        const file = keyFileInput.files[0];
+        if (!file) return;
+        try {
+          setKeyFile(await loadKeyFile(file));
+        } catch (error) {
+          setKeyFile(null);
+          showError('Could not load key file: ' + error.message);
+        } finally {
+          keyFileInput.value = null;
+        }
+      });
+
+      clearKeyFileBtn.onclick = () => setKeyFile(null);
+
+      generateKeyFileBtn.onclick = () => {
+        clearError();
+        const name = 'audioencrypt.keyfile';
+        const bytes = generateKeyFile();
+        downloadBlob(new Blob([bytes], { type: 'application/octet-stream' }), name);
+        setKeyFile({ name, bytes }, '. Keep a copy: images locked with it cannot be decrypted without it.');
+      };
+
+      keyFileRow.addEventListener('dragover', e => { e.preventDefault(); keyFileRow.classList.add('dragover'); });
+      keyFileRow.addEventListener('dragleave', () => { keyFileRow.classList.remove('dragover'); });
+      keyFileRow.addEventListener('drop', e => {
+        e.preventDefault(); keyFileRow.classList.remove('dragover');
+        const file = e.dataTransfer.files && e.dataTransfer.files[0];
+        if (!file) return;
+        const dataTransfer = new DataTransfer();
+        dataTransfer.items.add(file);
+        keyFileInput.files = dataTransfer.files;
+        keyFileInput.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+
+      generateKeyPairBtn.onclick = async () => {
+        clearError();
+        try {
+          const choice = document.getElementById('keypair-curve-select').value;
+          const format = document.getElementById('key-format-select').value;
+          // Signing pairs are chosen as "sign:<curve>" and named apart from recipient pairs.
+          const signing = choice.startsWith('sign:');
+          const curve = choice.replace(/^sign:/, '');
+          const { publicKey, privateKey } = signing ? await generateSigningKeyPair(curve) : await generateKeyPair(curve);
+          const name = `audioencrypt-${signing ? 'signing-' : ''}${await publicKeyFingerprint(publicKey)}`;
+          const type = format === 'jwk' ? 'application/json' : 'application/x-pem-file';
+          downloadBlob(new Blob([await exportKey(publicKey, format)], { type }), `${name}.pub.${format}`);
+          downloadBlob(new Blob([await exportKey(privateKey, format)], { type }), `${name}.key.${format}`);
+        } catch (error) {
+          showError('Key generation failed: ' + error.message);
+        }
+      };
 
-    function clearError() {
-        if (errorDisplay) {
-            errorDisplay.style.display = 'none';
-            errorDisplay.textContent = '';
-            if (errorTimeout) {
-                clearTimeout(errorTimeout);
-                errorTimeout = null;
-            }
+      async function refreshMicrophones() {
+        let microphones;
+        try {
+          microphones = await listMicrophones();
+        } catch {
+          return;
         }
-    }
+        const selected = microphoneSelect.value;
+        microphoneSelect.replaceChildren(new Option('Default microphone', ''));
+        // Labels stay empty until the page has been allowed to use a microphone.
+        microphones.forEach((device, index) => {
+          microphoneSelect.add(new Option(device.label || `Microphone ${index + 1}`, device.deviceId));
+        });
+        microphoneSelect.value = microphones.some((device) => device.deviceId === selected) ? selected : '';
+        microphoneSelect.hidden = microphones.length < 2;
+      }
+      refreshMicrophones();
+      navigator.mediaDevices?.addEventListener?.('devicechange', refreshMicrophones);
 
-    function checkPasswordStrength(password) {
-      if (password.length < 6) return { score: 0, text: 'Too Short', class: 'weak' };
-      let score = 1;
-      if (password.length >= 12) score++;
-      if (/[a-z]/.test(password)) score++;
-      if (/[A-Z]/.test(password)) score++;
-      if (/[0-9]/.test(password)) score++;
-      if (/[^A-Za-z0-9]/.test(password)) score++;
-      if (score < 2) return { score, text: 'Weak', class: 'weak' };
-      if (score < 5) return { score, text: 'Medium', class: 'medium' };
-      return { score, text: 'Strong', class: 'strong' };
-    }
+      let meter = null; // { context, frame } while recording
 
-    function getUserSecretKey() {
-      return document.getElementById('secret-key-input').value.trim();
-    }
+      function startLevelMeter(stream, startedAt) {
+        const context = new AudioContext();
+        const analyser = context.createAnalyser();
+        analyser.fftSize = 2048;
+        context.createMediaStreamSource(stream).connect(analyser);
+        const samples = new Float32Array(analyser.fftSize);
+        let level = METER_FLOOR_DB;
+        let clipped = false;
+        meter = { context, frame: 0 };
+        recorderPanel.hidden = false;
+        recorderLive.hidden = false;
+        recorderReview.hidden = true;
 
-    async function deriveKey(passphrase, salt) {
-      const encoder = new TextEncoder();
-      const keyMaterial = await crypto.subtle.importKey(
-        'raw', encoder.encode(passphrase), { name: 'PBKDF2' }, false, ['deriveKey']
-      );
-      return crypto.subtle.deriveKey(
-        { name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' },
-        keyMaterial,
-        { name: 'AES-GCM', length: 256 }, false,
-        ['encrypt','decrypt']
-      );
-    }
+        const update = () => {
+          analyser.getFloatTimeDomainData(samples);
+          let peak = 0;
+          for (const sample of samples) peak = Math.max(peak, Math.abs(sample));
+          if (peak >= CLIPPING_LEVEL) clipped = true;
+          // Rise at once, fall slowly, so short peaks stay readable.
+          level = Math.max(toDecibels(peak), level - METER_FALL_DB_PER_FRAME, METER_FLOOR_DB);
+          levelMeterFill.style.width = `${(1 - level / METER_FLOOR_DB) * 100}%`;
+          levelMeter.setAttribute('aria-valuenow', level.toFixed(0));
+          levelMeter.classList.toggle('hot', level >= HOT_LEVEL_DB);
+          levelMeter.classList.toggle('clipping', clipped);
+          levelReadout.textContent = level > METER_FLOOR_DB ? formatDecibels(level) : formatDecibels(-Infinity);
+          recordingTimer.textContent = formatDuration((Date.now() - startedAt) / 1000);
+          meter.frame = requestAnimationFrame(update);
+        };
+        update();
+      }
 
-    async function encryptAudioToImage(audioBuffer, container) {
-      const pass = getUserSecretKey(); 
-      if (!pass) throw new Error('Secret key is required');
-      const strength = checkPasswordStrength(pass);
-      if (strength.score < 2) {
-        throw new Error('Password is too weak. Use at least 8 characters with mixed case, numbers, and symbols.');
-      }
-      const channelData = audioBuffer.getChannelData(0);
-      const payloadRaw = channelData.buffer;
-      const originalSampleRate = audioBuffer.sampleRate;
-
-      const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
-      const key = await deriveKey(pass, salt);
-      const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
-      const cipher = await crypto.subtle.encrypt({name:'AES-GCM', iv}, key, payloadRaw);
-      const cipherBytes = new Uint8Array(cipher);
-
-      const header = new Uint8Array(HEADER_LENGTH);
-      const headerView = new DataView(header.buffer);
-      header.set(salt, 0);
-      header.set(iv, SALT_LENGTH);
-      headerView.setUint32(SALT_LENGTH + IV_LENGTH, cipherBytes.length, false);
-      headerView.setUint32(SALT_LENGTH + IV_LENGTH + CIPHERTEXT_LENGTH_BYTES, originalSampleRate, false);
-
-      const totalDataLength = header.byteLength + cipherBytes.length;
-      const fullPayload = new Uint8Array(totalDataLength);
-      fullPayload.set(header, 0);
-      fullPayload.set(cipherBytes, header.byteLength);
-
-      const numPixelsRequired = Math.ceil(totalDataLength / BYTES_PER_PIXEL);
-      const w = Math.ceil(Math.sqrt(numPixelsRequired));
-      const h = Math.ceil(numPixelsRequired / w);
-      
-      const canvas = document.createElement('canvas');
-      canvas.width = w; canvas.height = h;
-      const ctx = canvas.getContext('2d');
-      const imgData = ctx.createImageData(w,h);
-      
-      let payloadIdx = 0;
-      for (let i = 0; i < imgData.data.length; i += 4) {
-          if (payloadIdx < totalDataLength) imgData.data[i] = fullPayload[payloadIdx++]; else imgData.data[i] = 0;
-          if (payloadIdx < totalDataLength) imgData.data[i + 1] = fullPayload[payloadIdx++]; else imgData.data[i + 1] = 0;
-          if (payloadIdx < totalDataLength) imgData.data[i + 2] = fullPayload[payloadIdx++]; else imgData.data[i + 2] = 0;
-          imgData.data[i + 3] = 255;
-          if (payloadIdx >= totalDataLength && i/4 >= numPixelsRequired -1) break;
-      }
-      ctx.putImageData(imgData, 0, 0);
-      container.innerHTML = ''; 
-      container.appendChild(canvas);
-      return canvas;
-    }
+      function stopLevelMeter() {
+        if (!meter) return;
+        cancelAnimationFrame(meter.frame);
+        meter.context.close();
+        meter = null;
+        recorderLive.hidden = true;
+        levelMeter.classList.remove('hot', 'clipping');
+        levelMeterFill.style.width = '0%';
+        if (!take) recorderPanel.hidden = true;
+      }
 
-    async function decryptImageToAudio(canvas) {
-      const pass = getUserSecretKey(); 
-      if (!pass) throw new Error('Secret key is required');
-      
-      const ctx = canvas.getContext('2d');
-      const imageData = ctx.getImageData(0,0,canvas.width,canvas.height);
-      const pixelData = imageData.data;
-      
-      const maxPossibleDataBytes = Math.floor(pixelData.length / 4) * BYTES_PER_PIXEL;
-      const allExtractedBytes = new Uint8Array(maxPossibleDataBytes);
-      let extractedByteIdx = 0;
-      for (let i = 0; i < pixelData.length && extractedByteIdx < maxPossibleDataBytes; i += 4) {
-          allExtractedBytes[extractedByteIdx++] = pixelData[i];
-          if (extractedByteIdx < maxPossibleDataBytes) allExtractedBytes[extractedByteIdx++] = pixelData[i + 1];
-          if (extractedByteIdx < maxPossibleDataBytes) allExtractedBytes[extractedByteIdx++] = pixelData[i + 2];
+      // The last recording or shared audio file, kept for review until it is encrypted or discarded.
+      // start and end are the trim points in seconds; activeHandle is the one the arrow keys move.
+      let take = null;
+      let takePlayback = null;
+
+      function showTake(buffer, details) {
+        const peak = toDecibels(computePeaks(buffer, 1)[0]);
+        take = { buffer, ...details, start: 0, end: buffer.duration, activeHandle: 'start', peaks: null };
+        recorderPanel.hidden = false;
+        recorderReview.hidden = false;
+        if (peak < SILENCE_DB) {
+          takeWarning.textContent = `The take is silent (peak ${formatDecibels(peak)}). Check the microphone and its input level.`;
+        } else if (peak >= toDecibels(CLIPPING_LEVEL)) {
+          takeWarning.textContent = 'The take clips: the loudest parts hit full scale and are distorted. Record again further from the microphone or with a lower input level.';
+        } else {
+          takeWarning.textContent = '';
+        }
+        takeWarning.hidden = !takeWarning.textContent;
+        takeTrimSilenceBtn.disabled = peak < SILENCE_DB;
+        drawTake();
+        takeCanvas.focus();
       }
 
-      if (allExtractedBytes.length < HEADER_LENGTH) {
-        throw new Error('Corrupted data: Image data too short to contain header.');
+      function discardTake() {
+        stopTakePlayback();
+        take = null;
+        recorderReview.hidden = true;
+        takeWarning.hidden = true;
+        recorderPanel.hidden = !meter;
       }
 
-      const headerView = new DataView(allExtractedBytes.buffer);
-      const salt = allExtractedBytes.slice(0, SALT_LENGTH);
-      const iv = allExtractedBytes.slice(SALT_LENGTH, SALT_LENGTH + IV_LENGTH);
-      const ciphertextLength = headerView.getUint32(SALT_LENGTH + IV_LENGTH, false);
-      const sampleRate = headerView.getUint32(SALT_LENGTH + IV_LENGTH + CIPHERTEXT_LENGTH_BYTES, false);
+      function drawTake() {
+        if (!take) return;
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.max(1, Math.round(takeCanvas.getBoundingClientRect().width * ratio));
+        const height = Math.round(takeCanvas.getBoundingClientRect().height * ratio) || 120;
+        if (takeCanvas.width !== width || takeCanvas.height !== height) {
+          takeCanvas.width = width;
+          takeCanvas.height = height;
+        }
+        if (!take.peaks || take.peaks.length !== width) take.peaks = computePeaks(take.buffer, width);
 
-      const ciphertextOffset = HEADER_LENGTH;
-      const ciphertextEndOffset = ciphertextOffset + ciphertextLength;
+        const ctx = takeCanvas.getContext('2d');
+        const middle = height / 2;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = '#3498db';
+        take.peaks.forEach((peak, x) => {
+          const h = Math.max(1, peak * middle);
+          ctx.fillRect(x, middle - h, 1, h * 2);
+        });
+        const startX = (take.start / take.buffer.duration) * width;
+        const endX = (take.end / take.buffer.duration) * width;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.fillRect(0, 0, startX, height);
+        ctx.fillRect(endX, 0, width - endX, height);
+        for (const [handle, x] of [['start', startX], ['end', endX]]) {
+          ctx.fillStyle = handle === take.activeHandle ? '#f39c12' : '#e67e22';
+          ctx.fillRect(Math.min(Math.max(x - ratio, 0), width - 2 * ratio), 0, 2 * ratio, height);
+        }
 
-      if (ciphertextEndOffset > allExtractedBytes.length) {
-        throw new Error('Corrupted data: Declared ciphertext length exceeds available data.');
+        const length = take.end - take.start;
+        takeSelection.textContent = `${formatDuration(take.start)} \u2013 ${formatDuration(take.end)} (${formatDuration(length)})`;
+        takeCanvas.setAttribute('aria-valuetext', `Keeping ${takeSelection.textContent}; ${take.activeHandle} handle selected`);
       }
-      const cipher = allExtractedBytes.slice(ciphertextOffset, ciphertextEndOffset).buffer;
-      
-      const key = await deriveKey(pass, salt);
-      let rawDecryptedAudioData;
-      try {
-        rawDecryptedAudioData = await crypto.subtle.decrypt({name:'AES-GCM', iv}, key, cipher);
-      } catch (decryptError) {
-        throw new Error('Decryption failed - incorrect key or corrupted data.');
+
+      function setTakeBound(handle, seconds) {
+        if (handle === 'start') {
+          take.start = Math.max(0, Math.min(seconds, take.end - MIN_TAKE_SECONDS));
+        } else {
+          take.end = Math.min(take.buffer.duration, Math.max(seconds, take.start + MIN_TAKE_SECONDS));
+        }
+        take.activeHandle = handle;
+        stopTakePlayback();
+        drawTake();
       }
 
-      const floatArr = new Float32Array(rawDecryptedAudioData);
-      const ac = globalPlaybackContext || (globalPlaybackContext = new AudioContext());
-      
-      if (sampleRate <= 0 || sampleRate > 192000) { // Common sample rate range
-        throw new Error(`Invalid sample rate (${sampleRate}Hz) in image. Data might be corrupted.`);
+      function pointerSeconds(event) {
+        const rect = takeCanvas.getBoundingClientRect();
+        return ((event.clientX - rect.left) / rect.width) * take.buffer.duration;
       }
 
-      const buf = ac.createBuffer(1, floatArr.length, sampleRate);
-      buf.copyToChannel(floatArr,0);
-      lastDecryptedBuffer = buf;
-      return buf;
-    }
+      let draggedHandle = null;
+      takeCanvas.addEventListener('pointerdown', (event) => {
+        if (!take) return;
+        const seconds = pointerSeconds(event);
+        draggedHandle = Math.abs(seconds - take.start) <= Math.abs(seconds - take.end) ? 'start' : 'end';
+        takeCanvas.setPointerCapture(event.pointerId);
+        setTakeBound(draggedHandle, seconds);
+      });
+      takeCanvas.addEventListener('pointermove', (event) => {
+        if (take && draggedHandle) setTakeBound(draggedHandle, pointerSeconds(event));
+      });
+      const endDrag = () => { draggedHandle = null; };
+      takeCanvas.addEventListener('pointerup', endDrag);
+      takeCanvas.addEventListener('pointercancel', endDrag);
 
-    function bufferToWav(buffer) {
-      const numChan = buffer.numberOfChannels;
-      const len = buffer.length * numChan * 2 + 44;
-      const view = new DataView(new ArrayBuffer(len));
-      function writeString(offset, str) {
-        for (let i=0; i<str.length; i++) view.setUint8(offset+i, str.charCodeAt(i));
-      }
-      writeString(0, 'RIFF'); view.setUint32(4, len - 8, true); writeString(8, 'WAVE');
-      writeString(12, 'fmt '); view.setUint32(16, 16, true); view.setUint16(20, 1, true);
-      view.setUint16(22, numChan, true); view.setUint32(24, buffer.sampleRate, true);
-      view.setUint32(28, buffer.sampleRate * numChan * 2, true); view.setUint16(32, numChan * 2, true);
-      view.setUint16(34, 16, true); writeString(36, 'data'); view.setUint32(40, len - 44, true);
-      let offset = 44;
-      for (let i=0; i<buffer.length; i++){
-        for (let c=0; c<numChan; c++){
-          const sample = buffer.getChannelData(c)[i];
-          const s = Math.max(-1, Math.min(1, sample));
-          view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-          offset += 2;
+      takeCanvas.addEventListener('keydown', (event) => {
+        if (!take) return;
+        if (event.key === '[' || event.key === ']') {
+          take.activeHandle = event.key === '[' ? 'start' : 'end';
+          drawTake();
+        } else if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+          const step = (event.shiftKey ? 1 : 0.1) * (event.key === 'ArrowLeft' ? -1 : 1);
+          setTakeBound(take.activeHandle, take[take.activeHandle] + step);
+        } else {
+          return;
         }
+        event.preventDefault();
+      });
+      window.addEventListener('resize', drawTake);
+
+      function stopTakePlayback() {
+        if (!takePlayback) return;
+        const source = takePlayback;
+        takePlayback = null;
+        source.onended = null;
+        source.stop();
+        takePlayBtn.innerHTML = '<i class="fas fa-play"></i> Play';
       }
-      return new Blob([view], { type: 'audio/wav' });
-    }
 
-    document.addEventListener('DOMContentLoaded', () => {
-      errorDisplay = document.getElementById('error-message-area'); // Assign error display element
+      takePlayBtn.onclick = () => {
+        if (takePlayback) { stopTakePlayback(); return; }
+        const ac = globalPlaybackContext || (globalPlaybackContext = new AudioContext());
+        const source = ac.createBufferSource();
+        source.buffer = take.buffer;
+        source.connect(ac.destination);
+        source.onended = () => {
+          takePlayback = null;
+          takePlayBtn.innerHTML = '<i class="fas fa-play"></i> Play';
+        };
+        source.start(0, take.start, take.end - take.start);
+        takePlayback = source;
+        takePlayBtn.innerHTML = '<i class="fas fa-stop"></i> Stop';
+      };
 
-      const recordBtn = document.getElementById('record-button');
-      const audioUploadInput = document.getElementById('audio-upload');
-      const playBtn   = document.getElementById('play-button');
-      const saveImageBtn = document.getElementById('save-image-button');
-      const saveAudioBtn = document.getElementById('save-audio-button');
-      const imageUploadInput = document.getElementById('image-upload');
-      const display   = document.getElementById('waveform-image-display');
-      const audioEl   = document.getElementById('audio-player');
-      const keyInput = document.getElementById('secret-key-input');
-      const strengthIndicator = document.getElementById('password-strength');
+      takeTrimSilenceBtn.onclick = () => {
+        const bounds = findSoundBounds(take.buffer);
+        if (!bounds) return;
+        stopTakePlayback();
+        take.start = Math.max(0, bounds.start - TRIM_PADDING_SECONDS);
+        take.end = Math.min(take.buffer.duration, Math.max(bounds.end + TRIM_PADDING_SECONDS, take.start + MIN_TAKE_SECONDS));
+        drawTake();
+      };
 
-      let mediaRecorder = null;
-      let audioChunks = [];
-      let currentStream = null;
-      let isPlaying = false;
+      takeDiscardBtn.onclick = () => {
+        discardTake();
+        if (!display.querySelector('canvas')) display.innerHTML = getInitialDisplayMessage();
+      };
 
-      function updatePlayButtonState() {
-        const pass = getUserSecretKey();
-        const strength = checkPasswordStrength(pass);
-        const canvas = display.querySelector('canvas');
-        if (!isPlaying) {
-            playBtn.disabled = !(canvas && pass && strength.score >= 2);
-        }
-      }
-      
-      function resetAudioPlayer() {
-        if (!audioEl.paused) {
-            audioEl.pause();
-        }
-        const oldSrc = audioEl.src;
-        audioEl.removeAttribute('src');
-        if (audioEl.load) audioEl.load();
-        audioEl.style.display = 'none';
-        if (oldSrc && oldSrc.startsWith('blob:')) {
-            URL.revokeObjectURL(oldSrc);
+      takeEncryptBtn.onclick = async () => {
+        clearError();
+        const keyProblem = getEncryptionKeyProblem();
+        if (keyProblem) { showError(keyProblem); return; }
+        stopTakePlayback();
+        const { buffer, start, end, filename, mimeType, recordedAt } = take;
+        takeEncryptBtn.disabled = true;
+        try {
+          display.innerHTML = '<p><i class="fas fa-spinner fa-spin"></i> Encrypting recorded audio...</p>';
+          const trimmed = start > 0 || end < buffer.duration ? sliceAudioBuffer(buffer, start, end) : buffer;
+          // The recording time is that of the first kept sample.
+          const startedAt = new Date(recordedAt.getTime() + Math.round(start * 1000));
+          const stamp = startedAt.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+          await encryptAudioToImage(trimmed, display, {
+            filename: filename ?? `recording-${stamp}`,
+            mimeType,
+            recordedAt: startedAt,
+          });
+          discardTake();
+          updatePlayButtonState();
+          saveImageBtn.disabled = false;
+        } catch (e) {
+          showError("Error processing recorded audio: " + e.message);
+          display.innerHTML = '<p>Encryption failed. The take is kept: adjust the key settings and try again.</p>';
+        } finally {
+          takeEncryptBtn.disabled = false;
         }
-      }
-
-      keyInput.addEventListener('input', () => {
-        const password = keyInput.value;
-        const strength = checkPasswordStrength(password);
-        keyInput.className = strength.class;
-        strengthIndicator.textContent = strength.text;
-        strengthIndicator.className = `password-strength ${strength.class}`;
-        updatePlayButtonState();
-      });
+      };
 
+      // The key is only needed once the take is encrypted, so recording can start first.
       recordBtn.onclick = async () => {
         try {
           clearError();
-          const pass = getUserSecretKey();
-          if (!pass) { showError('Please enter a secret key.'); return; }
-          const strength = checkPasswordStrength(pass);
-          if (strength.score < 2) { showError('Password is too weak. Please use a stronger password.'); return; }
           
           if (recordBtn.classList.contains('recording')) {
             if (mediaRecorder && mediaRecorder.state === "recording") mediaRecorder.stop();
             if (currentStream) { currentStream.getTracks().forEach(track => track.stop()); currentStream = null; }
+            stopLevelMeter();
             recordBtn.classList.remove('recording');
             recordBtn.innerHTML = `<i class="fas fa-microphone"></i> Record`;
           } else {
             resetAudioPlayer(); 
-            lastDecryptedBuffer = null; 
+            forgetDecryptedAudio();
+            discardTake();
             saveAudioBtn.disabled = true; 
             playBtn.disabled = true; 
             saveImageBtn.disabled = true;
             display.innerHTML = '<p><i class="fas fa-spinner fa-spin"></i> Preparing to record...</p>';
 
             audioChunks = [];
-            currentStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            const deviceId = microphoneSelect.value;
+            currentStream = await navigator.mediaDevices.getUserMedia({ audio: deviceId ? { deviceId: { exact: deviceId } } : true });
+            refreshMicrophones(); // device labels become available once access is granted
             mediaRecorder = new MediaRecorder(currentStream);
+            const recordingStartedAt = new Date();
             mediaRecorder.ondataavailable = event => audioChunks.push(event.data);
             mediaRecorder.onstop = async () => {
               const audioBlob = new Blob(audioChunks, { type: mediaRecorder.mimeType || 'audio/webm' });
@@ -282,11 +1557,10 @@
               const tempAudioCtx = new AudioContext();
               try {
                 clearError();
-                display.innerHTML = '<p><i class="fas fa-spinner fa-spin"></i> Encrypting recorded audio...</p>';
+                display.innerHTML = '<p><i class="fas fa-spinner fa-spin"></i> Decoding recorded audio...</p>';
                 const decodedAudioBuffer = await tempAudioCtx.decodeAudioData(arrayBuffer);
-                await encryptAudioToImage(decodedAudioBuffer, display);
-                updatePlayButtonState();
-                saveImageBtn.disabled = false;
+                showTake(decodedAudioBuffer, { mimeType: audioBlob.type, recordedAt: recordingStartedAt });
+                display.innerHTML = '<p>Review the take above: play it, drag the handles to trim it, then click "Encrypt take".</p>';
               } catch (e) {
                 showError("Error processing recorded audio: " + e.message);
                 display.innerHTML = getInitialDisplayMessage(); // Also clears error via its internal call
@@ -295,6 +1569,7 @@
               }
             };
             mediaRecorder.start();
+            startLevelMeter(currentStream, recordingStartedAt.getTime());
             recordBtn.classList.add('recording');
             recordBtn.innerHTML = `<i class="fas fa-microphone-slash"></i> Stop Recording`;
             display.innerHTML = '<p>Recording... Click "Stop Recording" when done.</p>';
@@ -305,6 +1580,7 @@
           recordBtn.innerHTML = `<i class="fas fa-microphone"></i> Record`;
           if (currentStream) { currentStream.getTracks().forEach(track => track.stop()); currentStream = null; }
           if (mediaRecorder && mediaRecorder.state === "recording") mediaRecorder.stop();
+          stopLevelMeter();
           display.innerHTML = getInitialDisplayMessage();
         }
       };
@@ -312,39 +1588,42 @@
       audioUploadInput.onchange = async (e) => {
         const file = e.target.files[0];
         clearError();
+        if (e.target.files.length > 1) {
+            await addBatchFiles([...e.target.files]);
+            e.target.value = null;
+            return;
+        }
         if (!file) {
             e.target.value = null; 
             return;
         }
 
-        const pass = getUserSecretKey();
-        if (!pass) {
-            showError('Please enter a secret key before uploading audio.');
-            e.target.value = null;
-            return;
-        }
-        const strength = checkPasswordStrength(pass);
-        if (strength.score < 2) {
-            showError('Password is too weak. Please use a stronger password.');
+        const keyProblem = getEncryptionKeyProblem();
+        if (keyProblem) {
+            showError(keyProblem);
             e.target.value = null;
             return;
         }
 
         resetAudioPlayer();
-        lastDecryptedBuffer = null;
+        forgetDecryptedAudio();
         saveAudioBtn.disabled = true;
         playBtn.disabled = true;
         saveImageBtn.disabled = true;
-        display.innerHTML = `<p><i class="fas fa-spinner fa-spin"></i> Processing uploaded audio: ${file.name}</p>`;
+        showDisplayMessage(`Processing uploaded audio: ${file.name}`, true);
 
         try {
             const arrayBuffer = await file.arrayBuffer();
             const tempAudioCtx = new AudioContext(); 
-            display.innerHTML = `<p><i class="fas fa-spinner fa-spin"></i> Decoding audio: ${file.name}</p>`;
+            showDisplayMessage(`Decoding audio: ${file.name}`, true);
             const decodedAudioBuffer = await tempAudioCtx.decodeAudioData(arrayBuffer);
             
-            display.innerHTML = `<p><i class="fas fa-spinner fa-spin"></i> Encrypting audio: ${file.name}</p>`;
-            await encryptAudioToImage(decodedAudioBuffer, display);
+            showDisplayMessage(`Encrypting audio: ${file.name}`, true);
+            await encryptAudioToImage(decodedAudioBuffer, display, {
+              filename: file.name,
+              mimeType: file.type,
+              recordedAt: new Date(file.lastModified),
+            });
             
             updatePlayButtonState();
             saveImageBtn.disabled = false; 
@@ -363,8 +1642,8 @@
 
       playBtn.onclick = async () => {
         clearError();
-        const canvas = display.querySelector('canvas');
-        if(!canvas) { showError('No image loaded to decrypt.'); return; }
+        const canvases = [...display.querySelectorAll('canvas')];
+        if(!canvases.length) { showError('No image loaded to decrypt.'); return; }
 
         if (isPlaying) { 
             resetAudioPlayer();
@@ -375,14 +1654,20 @@
             return;
         }
 
-        lastDecryptedBuffer = null; 
+        forgetDecryptedAudio();
         saveAudioBtn.disabled = true; 
 
         try {
             playBtn.disabled = true; 
             playBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Decrypting...`;
 
-            const decryptedAudioBuffer = await decryptImageToAudio(canvas); 
+            const decryptedAudioBuffer = await decryptImageToAudio(canvases); 
+            if (!decryptedAudioBuffer) {
+                // Attachments only: they are listed below the image for download.
+                playBtn.innerHTML = `<i class="fas fa-lock-open"></i> Decrypt & Play`;
+                updatePlayButtonState();
+                return;
+            }
             const wavBlob = bufferToWav(decryptedAudioBuffer);
             
             resetAudioPlayer(); 
@@ -399,12 +1684,20 @@
             saveAudioBtn.disabled = !lastDecryptedBuffer;
 
         } catch (error) {
-            showError('Decryption or Playback failed: ' + error.message);
+            const hint = /corrupt|damaged|not an AudioEncrypt image/i.test(error.message) ? ' Use Inspect to see what is wrong with the image.' : '';
+            showError('Decryption or Playback failed: ' + error.message + hint);
+            // The image names the secrets it needs; point at the missing one.
+            if (/Load the key file/.test(error.message)) {
+              document.getElementById('advanced-options').open = true;
+              keyFileInput.focus();
+            } else if (/Enter the secret key/.test(error.message)) {
+              keyInput.focus();
+            }
             resetAudioPlayer(); 
             playBtn.classList.remove('playing');
             playBtn.innerHTML = `<i class="fas fa-lock-open"></i> Decrypt & Play`;
             isPlaying = false;
-            lastDecryptedBuffer = null; 
+            forgetDecryptedAudio();
             saveAudioBtn.disabled = true;
             updatePlayButtonState(); 
         }
@@ -429,10 +1722,51 @@
         updatePlayButtonState();
       };
 
-      saveImageBtn.onclick = () => {
+      inspectBtn.onclick = async () => {
         clearError();
-        const canvas = display.querySelector('canvas');
-        if (!canvas) {
+        const canvases = [...display.querySelectorAll('canvas')];
+        if (!canvases.length) { showError('No image loaded to inspect.'); return; }
+        inspectBtn.disabled = true;
+        try {
+          showInspectReport(await inspectCanvases(canvases));
+        } catch (error) {
+          showError('Inspection failed: ' + error.message);
+        } finally {
+          inspectBtn.disabled = !display.querySelector('canvas');
+        }
+      };
+
+      // Written from the kept pixels rather than canvas.toBlob(), as an RGB PNG without the alpha byte.
+      const imageToPngBlob = async (canvas) => {
+        const [image] = canvasesToImages([canvas]);
+        const png = await runCryptoTask('encodePng', [image], [image.pixels.buffer]);
+        return new Blob([png], { type: 'image/png' });
+      };
+
+      const downloadBlob = (blob, filename) => {
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(a.href);
+      };
+
+      // The displayed image, or all of its tiles, as PNG files named after the recording.
+      const displayedImageFiles = async (canvases) => {
+        const files = [];
+        for (let i = 0; i < canvases.length; i++) {
+          const blob = await imageToPngBlob(canvases[i]);
+          files.push(new File([blob], imageFilename(displayedImageName, i, canvases.length), { type: 'image/png' }));
+        }
+        return files;
+      };
+
+      saveImageBtn.onclick = async () => {
+        clearError();
+        const canvases = [...display.querySelectorAll('canvas')];
+        if (!canvases.length) {
           showError('No encrypted image to save');
           return;
         }
@@ -446,57 +1780,301 @@
           saveImageBtn.disabled = false;
         };
 
-        const showSuccessAndRestore = () => {
+        try {
+          // Tiles are numbered so they can be told apart; the order does not matter when loading them again.
+          for (const file of await displayedImageFiles(canvases)) downloadBlob(file, file.name);
           saveImageBtn.innerHTML = `<i class="fas fa-check"></i> Saved!`;
           setTimeout(restoreButton, 1500);
-        };
-
-        try {
-          canvas.toBlob(
-            (blob) => {
-              if (blob) {
-                try {
-                  const a = document.createElement('a');
-                  a.href = URL.createObjectURL(blob);
-                  a.download = 'encrypted-audio-rgb.png';
-                  document.body.appendChild(a);
-                  a.click();
-                  document.body.removeChild(a);
-                  URL.revokeObjectURL(a.href);
-                  showSuccessAndRestore();
-                } catch (downloadError) {
-                  showError('Error initiating download: ' + downloadError.message);
-                  restoreButton();
-                }
-              } else {
-                showError('Error saving image: Failed to generate image data.');
-                restoreButton();
-              }
-            },
-            'image/png'
-          );
-        } catch (setupError) {
-          showError('An error occurred while preparing to save the image: ' + setupError.message);
+        } catch (error) {
+          showError('Error saving image: ' + error.message);
           restoreButton();
         }
       };
       
-      saveAudioBtn.onclick = () => {
+      // Browsers only open the share sheet shortly after a click. When writing the PNG files takes
+      // longer, they are kept and the next click shares them straight away.
+      let preparedShare = null; // { canvases, files }
+      shareImageBtn.hidden = !canShareFiles();
+
+      shareImageBtn.onclick = async () => {
         clearError();
-        if (lastDecryptedBuffer) {
-          const blobToSave = bufferToWav(lastDecryptedBuffer);
-          const a = document.createElement('a');
-          a.href = URL.createObjectURL(blobToSave);
-          a.download = 'decrypted-audio.wav';
-          document.body.appendChild(a); a.click(); document.body.removeChild(a);
-          URL.revokeObjectURL(a.href);
-        } else {
+        const canvases = [...display.querySelectorAll('canvas')];
+        if (!canvases.length) {
+          showError('No encrypted image to share');
+          return;
+        }
+        shareImageBtn.disabled = true;
+        try {
+          const unchanged = preparedShare?.canvases.length === canvases.length
+            && preparedShare.canvases.every((canvas, i) => canvas === canvases[i]);
+          if (!unchanged) {
+            preparedShare = { canvases, files: await displayedImageFiles(canvases) };
+          }
+          const { files } = preparedShare;
+          if (!navigator.canShare({ files })) throw new Error('This browser cannot share these files.');
+          await navigator.share({ files, title: displayedImageName });
+          preparedShare = null;
+        } catch (error) {
+          if (error.name === 'NotAllowedError' && preparedShare) {
+            showError('The image is ready: click "Share Image" again to share it.');
+          } else if (error.name !== 'AbortError') { // AbortError: the share sheet was closed
+            showError('Error sharing image: ' + error.message);
+          }
+        } finally {
+          shareImageBtn.disabled = !display.querySelector('canvas');
+        }
+      };
+
+      if (!canRecordOpus()) saveFormatSelect.querySelector('option[value="opus"]').disabled = true;
+
+      saveAudioBtn.onclick = async () => {
+        clearError();
+        if (!lastDecryptedBuffer) {
           showError('No decrypted audio available to save.');
+          return;
+        }
+        const buffer = lastDecryptedBuffer;
+        const metadata = lastDecryptedMetadata;
+        const format = saveFormatSelect.value;
+        const originalButtonContent = saveAudioBtn.innerHTML;
+        saveAudioBtn.disabled = true;
+        saveAudioBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Saving...`;
+        const onProgress = (progress) => showProgress(display, progress);
+
+        try {
+          if (format === 'opus') {
+            downloadBlob(await bufferToOpusWebm(buffer, onProgress), getSaveAudioFilename(metadata, 'webm'));
+          } else {
+            const blob = await exportAudio(buffer, format, metadata, onProgress);
+            downloadBlob(blob, getSaveAudioFilename(metadata, AUDIO_FORMATS[format].extension));
+          }
+        } catch (error) {
+          showError('Error saving audio: ' + error.message);
+        } finally {
+          clearProgress(display);
+          saveAudioBtn.innerHTML = originalButtonContent;
+          saveAudioBtn.disabled = !lastDecryptedBuffer;
+        }
+      };
+
+      // Batch queue: audio files to encrypt and images (or sets of tiles) to decrypt, run one
+      // after another with the key settings at the time. Each job is { kind, name, sources,
+      // status, detail, outputs }; outputs are the { name, bytes } files that go into the ZIP.
+      const batchJobs = [];
+      let batchRunning = false;
+      const BATCH_STATUS_ICONS = {
+        pending: 'fas fa-clock',
+        running: 'fas fa-spinner fa-spin',
+        done: 'fas fa-check',
+        error: 'fas fa-triangle-exclamation',
+      };
+
+      function renderBatchQueue() {
+        batchPanel.hidden = !batchJobs.length;
+        batchList.replaceChildren(...batchJobs.map((job) => {
+          const item = document.createElement('li');
+          item.className = job.status;
+          const icon = document.createElement('i');
+          icon.className = BATCH_STATUS_ICONS[job.status];
+          const name = document.createElement('strong');
+          name.textContent = job.name;
+          const detail = document.createElement('span');
+          detail.textContent = job.detail;
+          item.append(icon, name, detail);
+          return item;
+        }));
+        const done = batchJobs.filter((job) => job.status === 'done').length;
+        const failed = batchJobs.filter((job) => job.status === 'error').length;
+        batchSummary.textContent = `${batchJobs.length} item${batchJobs.length === 1 ? '' : 's'}, ${done} done` +
+          (failed ? `, ${failed} failed` : '');
+        batchRunBtn.disabled = batchRunning || batchJobs.every((job) => job.status === 'done');
+        batchDownloadBtn.disabled = batchRunning || !batchJobs.some((job) => job.outputs.length);
+        batchClearBtn.disabled = batchRunning;
+      }
+
+      function addDecryptJobs(groups) {
+        for (const { sources, error } of groups) {
+          batchJobs.push({
+            kind: 'decrypt',
+            name: sources.length > 1 ? `${sources[0].name} (${sources.length} tiles)` : sources[0].name,
+            sources,
+            status: error ? 'error' : 'pending',
+            detail: error || 'To decrypt',
+            outputs: [],
+          });
+        }
+        renderBatchQueue();
+      }
+
+      // Audio files become encryption jobs; PNG images, also from ZIP archives, become decryption jobs.
+      async function addBatchFiles(files) {
+        clearError();
+        const pngSources = [];
+        const problems = [];
+        let skipped = 0;
+        for (const file of files) {
+          if (isZipFile(file)) {
+            try {
+              const sources = await zipPngSources(file);
+              if (!sources.length) problems.push(`${file.name} contains no PNG images.`);
+              pngSources.push(...sources);
+            } catch (error) {
+              problems.push(`Could not read ${file.name}: ${error.message}`);
+            }
+          } else if (isPngFile(file)) {
+            pngSources.push(fileSource(file));
+          } else if (isAudioFile(file)) {
+            batchJobs.push({ kind: 'encrypt', name: file.name, sources: [fileSource(file)], status: 'pending', detail: 'To encrypt', outputs: [] });
+          } else {
+            skipped++;
+          }
+        }
+        if (skipped) {
+          problems.push(`Skipped ${skipped === 1 ? '1 file that is' : `${skipped} files that are`} not audio, a PNG image or a ZIP archive.`);
+        }
+        renderBatchQueue();
+        if (pngSources.length) {
+          batchSummary.textContent = `Reading ${pngSources.length} image${pngSources.length === 1 ? '' : 's'}...`;
+          addDecryptJobs(await groupPngSources(pngSources, false));
+        }
+        if (problems.length) showError(problems.join(' '));
+      }
+
+      async function runBatchJob(job, format) {
+        const onProgress = (progress) => {
+          job.detail = describeProgress(progress);
+          renderBatchQueue();
+        };
+        if (job.kind === 'encrypt') {
+          const [source] = job.sources;
+          const tempAudioCtx = new AudioContext();
+          let audioBuffer;
+          try {
+            job.detail = 'Decoding audio...';
+            renderBatchQueue();
+            audioBuffer = await tempAudioCtx.decodeAudioData((await source.read()).buffer);
+          } finally {
+            await tempAudioCtx.close();
+          }
+          const images = await encryptAudio(audioBuffer, {
+            filename: source.name,
+            mimeType: source.type,
+            recordedAt: new Date(source.lastModified),
+          }, onProgress);
+          const base = stripExtension(source.name) || DEFAULT_IMAGE_NAME;
+          for (let i = 0; i < images.length; i++) {
+            const bytes = await runCryptoTask('encodePng', [images[i]], [images[i].pixels.buffer]);
+            job.outputs.push({ name: imageFilename(base, i, images.length), bytes });
+          }
+          return job.outputs.map((output) => output.name).join(', ');
+        }
+
+        const images = [];
+        for (const source of job.sources) {
+          const bytes = await source.read();
+          images.push(await runCryptoTask('decodePng', [bytes], [bytes.buffer]));
+        }
+        const { pcm, sampleRate, metadata, correctedBytes, attachments, signature } = await decryptImages(images, onProgress);
+        // As in the command-line tool: nothing from an image altered after signing goes into the ZIP.
+        if (signature && !signature.valid) {
+          throw new Error(`The signature does not match (claimed signer ${signature.fingerprint}); the image was altered or not signed by that key.`);
+        }
+        // Without a recorded file name, the audio is named after the image.
+        const filename = metadata?.filename || imageBaseName(job.sources[0].name);
+        if (pcm) {
+          const bytes = await runCryptoTask(
+            'encodeAudio', [{ pcm, sampleRate }, format, { metadata }], pcm.map((channel) => channel.buffer), onProgress
+          );
+          job.outputs.push({ name: getSaveAudioFilename({ filename }, AUDIO_FORMATS[format].extension), bytes });
+        }
+        // Attachments go into a folder named like the audio file.
+        const folder = stripExtension(sanitizeFilename(filename)) || DEFAULT_IMAGE_NAME;
+        for (const { name, bytes } of attachments) {
+          job.outputs.push({ name: `${folder}/${sanitizeFilename(name) || 'attachment'}`, bytes });
+        }
+        const attached = attachments.length ? `${attachments.length} attachment${attachments.length === 1 ? '' : 's'}` : '';
+        const summary = pcm ? [job.outputs[0].name, attached].filter(Boolean).join(' + ') : `${folder}/ (${attached})`;
+        return summary + (correctedBytes ? ` (${correctedBytes} damaged bytes repaired)` : '') +
+          (signature ? `. ${describeSignature(signature).summary}` : '');
+      }
+
+      batchRunBtn.onclick = async () => {
+        clearError();
+        const jobs = batchJobs.filter((job) => job.status !== 'done');
+        const format = saveFormatSelect.value;
+        if (jobs.some((job) => job.kind === 'encrypt')) {
+          const keyProblem = getEncryptionKeyProblem();
+          if (keyProblem) { showError(keyProblem); return; }
+        }
+        if (jobs.some((job) => job.kind === 'decrypt')) {
+          if (format === 'opus') {
+            showError('Opus/WebM is recorded in real time and cannot be used in the queue. Choose a WAV or FLAC format under "Save audio as".');
+            return;
+          }
+          if (!getUserSecretKey() && !selectedKeyFile && !privateKeyInput.files.length) {
+            showError('Enter the secret key, or load the key file or private key, to decrypt the queued images.');
+            return;
+          }
+        }
+        batchRunning = true;
+        for (const job of jobs) {
+          job.status = 'running';
+          job.detail = 'Starting...';
+          job.outputs = [];
+          renderBatchQueue();
+          try {
+            job.detail = `→ ${await runBatchJob(job, format)}`;
+            job.status = 'done';
+          } catch (error) {
+            job.outputs = [];
+            job.detail = error.message;
+            job.status = 'error';
+          }
+          renderBatchQueue();
         }
+        batchRunning = false;
+        renderBatchQueue();
       };
 
-      const handleImageFileUpload = (file) => { 
+      batchDownloadBtn.onclick = () => {
         clearError();
+        const used = new Set();
+        const entries = batchJobs.flatMap((job) => job.outputs).map(({ name, bytes }) => ({ name: uniqueName(name, used), bytes }));
+        try {
+          downloadBlob(new Blob([createZip(entries)], { type: 'application/zip' }), 'audioencrypt-batch.zip');
+        } catch (error) {
+          showError('Could not create the ZIP file: ' + error.message);
+        }
+      };
+
+      batchClearBtn.onclick = () => {
+        batchJobs.length = 0;
+        renderBatchQueue();
+      };
+
+      // PNG files are decoded by decodePng() rather than the browser, so the pixels are exactly the
+      // saved ones. One image, or the tiles of one tiled image, is shown for decryption; several
+      // images and ZIP archives go to the batch queue.
+      const handleImageFileUpload = async (files) => { 
+        clearError();
+        if (files.some(isZipFile)) {
+          await addBatchFiles(files);
+          return;
+        }
+        let groups = null;
+        if (files.length && files.every(isPngFile)) {
+          showProgress(display, { stage: 'loading' });
+          try {
+            groups = await groupPngSources(files.map(fileSource), true);
+          } finally {
+            clearProgress(display);
+          }
+          if (groups.length > 1) {
+            addDecryptJobs(groups);
+            return;
+          }
+        }
+
         resetAudioPlayer(); 
         
         if (isPlaying) {
@@ -505,49 +2083,37 @@
             isPlaying = false;
         }
         
-        lastDecryptedBuffer = null; 
+        forgetDecryptedAudio();
         saveAudioBtn.disabled = true;   
-        display.innerHTML = `<p><i class="fas fa-spinner fa-spin"></i> Loading image: ${file ? file.name : ''}</p>`;
-
-
-        if(file && file.type==='image/png'){
-          const reader = new FileReader();
-          reader.onload = ev=>{
-            const img = new Image();
-            img.onload = ()=>{
-              display.innerHTML='';
-              const c = document.createElement('canvas');
-              c.width=img.width; c.height=img.height;
-              c.getContext('2d').drawImage(img,0,0);
-              display.appendChild(c);
-              
-              updatePlayButtonState();
-              saveImageBtn.disabled = false;
-            };
-            img.onerror = () => { 
-                showError('Failed to load image. It might be corrupted or not a valid PNG.'); 
-                display.innerHTML = getInitialDisplayMessage();
-            }
-            img.src = ev.target.result;
-          };
-          reader.onerror = () => { 
-            showError('Failed to read file.'); 
-            display.innerHTML = getInitialDisplayMessage();
-          }
-          reader.readAsDataURL(file);
+
+        if (groups && !groups[0].error) {
+            const canvases = groups[0].images.map(createImageCanvas);
+            display.innerHTML='';
+            display.classList.toggle('tiled', canvases.length > 1);
+            canvases.forEach((c) => display.appendChild(c));
+            displayedImageName = imageBaseName(groups[0].sources[0].name) || DEFAULT_IMAGE_NAME;
+            
+            updatePlayButtonState();
+            saveImageBtn.disabled = false;
+            // The signer is shown before anything is decrypted; damaged images are left to Inspect.
+            verifyCanvases(canvases).then((signature) => {
+              if (display.contains(canvases[0])) showSignature(signature);
+            }, () => {});
         } else {
-            if (file) { 
-                showError('Please select a valid PNG image file.');
-            }
             display.innerHTML = getInitialDisplayMessage();
+            if (groups) {
+                showError(groups[0].error);
+            } else if (files.length) { 
+                showError('Please select valid PNG image files or ZIP archives of them.');
+            }
             saveImageBtn.disabled = true;
             updatePlayButtonState(); 
         }
       };
 
       imageUploadInput.onchange = e => { 
-        const file = e.target.files[0];
-        handleImageFileUpload(file); 
+        const files = [...e.target.files];
+        handleImageFileUpload(files); 
         e.target.value = null; 
       };
 
@@ -557,29 +2123,90 @@
         e.preventDefault(); display.classList.remove('dragover');
         clearError();
         if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-            const file = e.dataTransfer.files[0];
-            if (file.type === 'image/png') {
-                handleImageFileUpload(file); 
-            } else if (file.type.startsWith('audio/')) {
-                const dataTransfer = new DataTransfer();
-                dataTransfer.items.add(file);
-                audioUploadInput.files = dataTransfer.files;
-                const event = new Event('change', { bubbles: true });
-                audioUploadInput.dispatchEvent(event);
-            } else {
-                showError('Please drop a PNG image or an audio file.');
-            }
+            openFiles([...e.dataTransfer.files]);
             e.dataTransfer.clearData();
         }
       });
+
+      // Routes dropped or shared files to the flow they belong to.
+      function openFiles(files) {
+        const file = files[0];
+        if (files.every(isPngFile)) {
+            handleImageFileUpload(files); 
+        } else if (files.length === 1 && file.name.endsWith('.keyfile')) {
+            const dataTransfer = new DataTransfer();
+            dataTransfer.items.add(file);
+            keyFileInput.files = dataTransfer.files;
+            keyFileInput.dispatchEvent(new Event('change', { bubbles: true }));
+        } else if (files.length === 1 && isAudioFile(file)) {
+            const dataTransfer = new DataTransfer();
+            dataTransfer.items.add(file);
+            audioUploadInput.files = dataTransfer.files;
+            const event = new Event('change', { bubbles: true });
+            audioUploadInput.dispatchEvent(event);
+        } else if (files.every((f) => isAudioFile(f) || isPngFile(f) || isZipFile(f))) {
+            addBatchFiles(files);
+        } else {
+            showError('Please drop PNG images (all tiles of a tiled image together), audio files, ZIP archives of PNG images or a .keyfile.');
+        }
+      }
+
+      // A shared audio file arrives before any key can be entered, so it waits for review like a
+      // recording instead of being encrypted at once.
+      async function reviewAudioFile(file) {
+        const tempAudioCtx = new AudioContext();
+        try {
+          showDisplayMessage(`Decoding audio: ${file.name}`, true);
+          const buffer = await tempAudioCtx.decodeAudioData(await file.arrayBuffer());
+          showTake(buffer, { filename: file.name, mimeType: file.type, recordedAt: new Date(file.lastModified) });
+          showDisplayMessage(`Enter a key, review ${file.name} above, then click "Encrypt take".`);
+        } catch (error) {
+          showError("Error processing shared audio: " + error.message);
+          display.innerHTML = getInitialDisplayMessage();
+        } finally {
+          await tempAudioCtx.close();
+        }
+      }
+
+      async function openSharedFiles() {
+        let files;
+        try {
+          files = await takeSharedFiles();
+        } catch (error) {
+          showError('Could not open the shared files: ' + error.message);
+          return;
+        }
+        if (files.length === 1 && isAudioFile(files[0])) {
+          await reviewAudioFile(files[0]);
+        } else if (files.length) {
+          openFiles(files);
+        }
+      }
       
+      // File names come from the user or from the app that shared the file, so messages that
+      // contain them are built as text rather than HTML.
+      function showDisplayMessage(text, busy = false) {
+        const message = document.createElement('p');
+        if (busy) {
+          const icon = document.createElement('i');
+          icon.className = 'fas fa-spinner fa-spin';
+          message.append(icon, ' ');
+        }
+        message.append(text);
+        display.replaceChildren(message);
+      }
+
       function getInitialDisplayMessage() {
         clearError(); // Clear any existing errors when resetting the display
-        return '<p>Enter a strong key, then record audio or upload audio, or upload an encrypted PNG image to begin.</p>';
+        display.classList.remove('tiled');
+        return '<p>Enter a strong key, then record audio or upload audio, or upload an encrypted PNG image to begin. Drop many files, or a ZIP of images, to queue them.</p>';
       }
 
       if(!display.querySelector('canvas')){
         display.innerHTML = getInitialDisplayMessage();
       }
       updatePlayButtonState();
+      renderTrustedSigners();
+      registerServiceWorker();
+      openSharedFiles();
     });
\ No newline at end of file
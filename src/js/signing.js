@@ -0,0 +1,161 @@
+// Sender signatures: an image can be signed with an ECDSA P-256 or Ed25519 key, so that
+// whoever decrypts it can tell who made it, not just that it was made with the shared
+// passphrase. The header carries the signer's curve, fingerprint and public key, and a
+// signature over the header and the whole ciphertext follows the ciphertext.
+import { fromPem, rawKeyFingerprint, toHex } from './recipients.js';
+
+export const SIGNING_CURVES = ['P-256', 'Ed25519'];
+export const SIGNATURE_LENGTH = 64; // raw r | s for ECDSA P-256, and every Ed25519 signature
+
+const CURVE_IDS = { 'P-256': 1, 'Ed25519': 2 };
+const PUBLIC_KEY_LENGTHS = { 'P-256': 65, 'Ed25519': 32 };
+const FINGERPRINT_LENGTH = 8;
+const SIGN_PARAMS = { 'P-256': { name: 'ECDSA', hash: 'SHA-256' }, 'Ed25519': { name: 'Ed25519' } };
+
+function algorithmFor(curve) {
+  return curve === 'Ed25519' ? { name: 'Ed25519' } : { name: 'ECDSA', namedCurve: curve };
+}
+
+function curveOf(key) {
+  if (key.algorithm.name === 'Ed25519') return 'Ed25519';
+  if (key.algorithm.name === 'ECDSA' && key.algorithm.namedCurve === 'P-256') return 'P-256';
+  throw new Error(`Unsupported signing key type ${key.algorithm.name}${key.algorithm.namedCurve ? ` (${key.algorithm.namedCurve})` : ''}. ` +
+    'Use an ECDSA P-256 or Ed25519 key.');
+}
+
+function fromBase64Url(text) {
+  return Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), (c) => c.charCodeAt(0));
+}
+
+export async function generateSigningKeyPair(curve = 'P-256') {
+  if (!SIGNING_CURVES.includes(curve)) throw new Error(`Unsupported signing curve: ${curve}. Use ${SIGNING_CURVES.join(' or ')}.`);
+  try {
+    return await crypto.subtle.generateKey(algorithmFor(curve), true, ['sign', 'verify']);
+  } catch (err) {
+    throw new Error(`${curve} signing keys are not supported here (${err.message}).`);
+  }
+}
+
+function curveOfJwk(jwk) {
+  if (jwk.kty === 'EC' && jwk.crv === 'P-256') return 'P-256';
+  if (jwk.kty === 'OKP' && jwk.crv === 'Ed25519') return 'Ed25519';
+  throw new Error(`Unsupported JWK signing key type ${jwk.kty} ${jwk.crv}. Use a P-256 or Ed25519 key.`);
+}
+
+// Like importPublicKey() and importPrivateKey(), for keys that sign rather than decrypt. A
+// P-256 key file can be used for either; which one is decided by the function that reads it.
+async function importSigningKeyText(text, type) {
+  const usages = type === 'private' ? ['sign'] : ['verify'];
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith('{')) {
+    let jwk;
+    try {
+      jwk = JSON.parse(trimmed);
+    } catch {
+      throw new Error('The key file is not valid JSON.');
+    }
+    if (type === 'private' && !jwk.d) throw new Error('This JWK is a public key; a private key is needed to sign.');
+    const usable = { ...jwk };
+    delete usable.key_ops;
+    delete usable.alg;
+    if (type === 'public') delete usable.d;
+    return crypto.subtle.importKey('jwk', usable, algorithmFor(curveOfJwk(jwk)), true, usages);
+  }
+  const label = type === 'private' ? 'PRIVATE KEY' : 'PUBLIC KEY';
+  const der = fromPem(trimmed, label);
+  if (!der) throw new Error(`Expected a ${type} key as JWK or PEM (-----BEGIN ${label}-----).`);
+  for (const curve of SIGNING_CURVES) {
+    try {
+      return await crypto.subtle.importKey(type === 'private' ? 'pkcs8' : 'spki', der, algorithmFor(curve), true, usages);
+    } catch {
+      // not this curve (or the curve is unsupported here); try the next one
+    }
+  }
+  throw new Error(`The PEM ${type} key is not a supported P-256 or Ed25519 signing key.`);
+}
+
+export function importSigningPublicKey(text) {
+  return importSigningKeyText(text, 'public');
+}
+
+export function importSigningPrivateKey(text) {
+  return importSigningKeyText(text, 'private');
+}
+
+/**
+ * Describes the signer of images signed with privateKey, which must be extractable (as keys
+ * from generateSigningKeyPair() and importSigningPrivateKey() are): WebCrypto only gives a
+ * private key's public half through its JWK.
+ *
+ * @returns {Promise<{curve: string, fingerprint: string, publicKey: Uint8Array}>} publicKey is the raw key.
+ */
+export async function describeSigner(privateKey) {
+  if (privateKey.type !== 'private' || !privateKey.usages.includes('sign')) {
+    throw new Error('Images are signed with a private signing key.');
+  }
+  const curve = curveOf(privateKey);
+  if (!privateKey.extractable) throw new Error('The signing key must be extractable, so that its public key can be stored.');
+  const jwk = await crypto.subtle.exportKey('jwk', privateKey);
+  const publicKey = curve === 'Ed25519'
+    ? fromBase64Url(jwk.x)
+    : Uint8Array.from([0x04, ...fromBase64Url(jwk.x), ...fromBase64Url(jwk.y)]);
+  return { curve, fingerprint: await rawKeyFingerprint(publicKey), publicKey };
+}
+
+/**
+ * Describes a public signing key the way verifySignature() describes the signer of an image.
+ * Whether an image comes from a trusted key is decided by comparing publicKey; the 64-bit
+ * fingerprint is short enough to read out, but too short to rule out a key made to match it.
+ *
+ * @returns {Promise<{curve: string, fingerprint: string, publicKey: string}>} publicKey is the raw key in hex.
+ */
+export async function describeSigningKey(publicKey) {
+  if (publicKey.type !== 'public') throw new Error('Expected a public signing key.');
+  const curve = curveOf(publicKey);
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', publicKey));
+  return { curve, fingerprint: await rawKeyFingerprint(raw), publicKey: toHex(raw) };
+}
+
+export async function sign(privateKey, bytes) {
+  return new Uint8Array(await crypto.subtle.sign(SIGN_PARAMS[curveOf(privateKey)], privateKey, bytes));
+}
+
+// A stored fingerprint that does not match the stored key counts as an invalid signature,
+// since the fingerprint is what inspect() shows and trusted keys are matched by.
+export async function verify({ curve, fingerprint, publicKey }, signature, bytes) {
+  if (await rawKeyFingerprint(publicKey) !== fingerprint) return false;
+  let key;
+  try {
+    key = await crypto.subtle.importKey('raw', publicKey, algorithmFor(curve), false, ['verify']);
+  } catch {
+    return false; // not a point on the curve: the header was altered
+  }
+  return crypto.subtle.verify(SIGN_PARAMS[curve], key, signature, bytes);
+}
+
+// Header block: curve id (1 byte) | fingerprint | raw public key.
+export function encodeSigner({ curve, fingerprint, publicKey }) {
+  const block = new Uint8Array(1 + FINGERPRINT_LENGTH + publicKey.length);
+  block[0] = CURVE_IDS[curve];
+  block.set(fingerprint.match(/../g).map((h) => parseInt(h, 16)), 1);
+  block.set(publicKey, 1 + FINGERPRINT_LENGTH);
+  return block;
+}
+
+export function decodeSigner(view, offset) {
+  const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+  if (offset >= bytes.length) throw new Error('Corrupted data: Image data too short to contain header.');
+  const id = bytes[offset];
+  const curve = Object.keys(CURVE_IDS).find((name) => CURVE_IDS[name] === id);
+  if (!curve) throw new Error(`This image is signed with an unknown key type (id ${id}).`);
+  const length = 1 + FINGERPRINT_LENGTH + PUBLIC_KEY_LENGTHS[curve];
+  if (offset + length > bytes.length) throw new Error('Corrupted data: Image data too short to contain header.');
+  return {
+    signer: {
+      curve,
+      fingerprint: toHex(bytes.subarray(offset + 1, offset + 1 + FINGERPRINT_LENGTH)),
+      publicKey: bytes.slice(offset + 1 + FINGERPRINT_LENGTH, offset + length),
+    },
+    length,
+  };
+}
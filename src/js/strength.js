@@ -0,0 +1,474 @@
+// Passphrase strength estimation in the manner of zxcvbn. The passphrase is split
+// into the cheapest sequence of guessable parts (dictionary words, keyboard runs,
+// repeats, sequences, years and dates, or brute force), and the guesses for those
+// parts, combined, approximate how many guesses an attacker needs.
+import { COMMON_PASSWORDS, ENGLISH_WORDS, NAMES, DICEWARE_WORDS } from './wordlists.js';
+
+// Passphrases must reach this score (at least 10^8 guesses) to encrypt with.
+export const MIN_PASSPHRASE_SCORE = 3;
+export const SCORE_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+const SCORE_THRESHOLDS = [1e3, 1e6, 1e8, 1e10];
+// Guesses per second of an offline attack on one image. PBKDF2 with 600,000
+// iterations or scrypt keeps a GPU at roughly this rate.
+const OFFLINE_GUESSES_PER_SECOND = 1e4;
+// Only this much is analysed; longer passphrases are rated on their start.
+const MAX_ANALYSED_LENGTH = 100;
+
+const BRUTEFORCE_CARDINALITY = 10;
+const MIN_GUESSES_SINGLE_CHAR = 10;
+const MIN_GUESSES_MULTI_CHAR = 50;
+const MIN_GUESSES_BEFORE_GROWING_SEQUENCE = 10000;
+const REFERENCE_YEAR = new Date().getFullYear();
+const MIN_YEAR_SPACE = 20;
+const MAX_L33T_SUBSTITUTIONS = 32;
+
+const L33T_TABLE = {
+  a: ['4', '@'], b: ['8'], c: ['(', '{', '[', '<'], e: ['3'], g: ['6', '9'], i: ['1', '!', '|'],
+  l: ['1', '|', '7'], o: ['0'], s: ['$', '5'], t: ['+', '7'], x: ['%'], z: ['2'],
+};
+
+// Keyboards as rows of keys, each key given as its unshifted and shifted character.
+// Rows of the slanted QWERTY layout are indented by half a key per row.
+const QWERTY_ROWS = [
+  '`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) -_ =+',
+  'qQ wW eE rR tT yY uU iI oO pP [{ ]} \\|',
+  'aA sS dD fF gG hH jJ kK lL ;: \'"',
+  'zZ xX cC vV bB nN mM ,< .> /?',
+];
+const KEYPAD_ROWS = ['/ * -', '7 8 9 +', '4 5 6', '1 2 3', '0 .'];
+
+let dictionaries = null;
+let keyboards = null;
+
+function rankedDictionaries() {
+  if (!dictionaries) {
+    const lists = { passwords: COMMON_PASSWORDS, english: ENGLISH_WORDS, names: NAMES, diceware: DICEWARE_WORDS };
+    dictionaries = Object.entries(lists).map(([name, words]) => ({
+      name,
+      ranks: new Map(words.map((word, i) => [word, i + 1])),
+      maxLength: words.reduce((max, word) => Math.max(max, word.length), 0),
+    }));
+  }
+  return dictionaries;
+}
+
+// Adjacency per key: the neighbouring keys in a fixed direction order, so that a
+// change of direction index is a turn. Slanted boards have 6 neighbours, aligned 8.
+function buildGraph(rows, slanted) {
+  const positions = new Map();
+  rows.forEach((row, y) => row.split(' ').forEach((key, x) => positions.set(`${slanted ? x + y * 0.5 : x},${y}`, key)));
+  const directions = slanted
+    ? [[-1, 0], [-0.5, -1], [0.5, -1], [1, 0], [0.5, 1], [-0.5, 1]]
+    : [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+  const graph = new Map();
+  for (const [position, key] of positions) {
+    const [x, y] = position.split(',').map(Number);
+    const neighbours = directions.map(([dx, dy]) => positions.get(`${x + dx},${y + dy}`) || null);
+    for (const char of key) graph.set(char, neighbours);
+  }
+  const degrees = [...positions.values()].map((key) => graph.get(key[0]).filter(Boolean).length);
+  return { graph, startingPositions: positions.size, averageDegree: degrees.reduce((a, b) => a + b, 0) / degrees.length };
+}
+
+function keyboardGraphs() {
+  keyboards ??= [
+    { name: 'qwerty', ...buildGraph(QWERTY_ROWS, true) },
+    { name: 'keypad', ...buildGraph(KEYPAD_ROWS, false) },
+  ];
+  return keyboards;
+}
+
+function binomial(n, k) {
+  if (k > n) return 0;
+  let result = 1;
+  for (let d = 1; d <= k; d++) result = result * (n - k + d) / d;
+  return result;
+}
+
+function factorial(n) {
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+function uppercaseVariations(token) {
+  if (token === token.toLowerCase()) return 1;
+  // First letter, last letter or all upper: the usual spots.
+  if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || token === token.toUpperCase()) return 2;
+  const upper = [...token].filter((c) => /[A-Z]/.test(c)).length;
+  const lower = [...token].filter((c) => /[a-z]/.test(c)).length;
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) variations += binomial(upper + lower, i);
+  return variations;
+}
+
+function l33tVariations({ token, substitutions }) {
+  if (!substitutions) return 1;
+  let variations = 1;
+  const lower = token.toLowerCase();
+  for (const [subbed, letter] of Object.entries(substitutions)) {
+    const s = [...lower].filter((c) => c === subbed).length;
+    const u = [...lower].filter((c) => c === letter).length;
+    if (!s || !u) {
+      variations *= 2;
+    } else {
+      let possibilities = 0;
+      for (let i = 1; i <= Math.min(s, u); i++) possibilities += binomial(s + u, i);
+      variations *= possibilities;
+    }
+  }
+  return variations;
+}
+
+function spatialGuesses({ token, turns, shifted, keyboard }) {
+  const { startingPositions, averageDegree } = keyboard;
+  let guesses = 0;
+  for (let i = 2; i <= token.length; i++) {
+    for (let j = 1; j <= Math.min(turns, i - 1); j++) guesses += binomial(i - 1, j - 1) * startingPositions * averageDegree ** j;
+  }
+  if (shifted) {
+    const unshifted = token.length - shifted;
+    if (!unshifted) {
+      guesses *= 2;
+    } else {
+      let variations = 0;
+      for (let i = 1; i <= Math.min(shifted, unshifted); i++) variations += binomial(shifted + unshifted, i);
+      guesses *= variations;
+    }
+  }
+  return guesses;
+}
+
+function dictionaryMatchesOf(password, original = password, substitutions = null) {
+  const lower = password.toLowerCase();
+  const matches = [];
+  for (const { name, ranks, maxLength } of rankedDictionaries()) {
+    for (let i = 0; i < lower.length; i++) {
+      for (let j = i; j < Math.min(lower.length, i + maxLength); j++) {
+        const rank = ranks.get(lower.slice(i, j + 1));
+        if (rank) {
+          matches.push({ pattern: 'dictionary', i, j, token: original.slice(i, j + 1), rank, dictionary: name, substitutions });
+        }
+      }
+    }
+  }
+  return matches;
+}
+
+// Each l33t character is read as one of the letters it may stand for; up to
+// MAX_L33T_SUBSTITUTIONS combinations are tried.
+function l33tMatches(password) {
+  const present = Object.entries(L33T_TABLE)
+    .flatMap(([letter, subs]) => subs.filter((sub) => password.includes(sub)).map((sub) => [sub, letter]));
+  let maps = [{}];
+  for (const [sub, letter] of present) {
+    maps = maps.flatMap((map) => (map[sub] ? [map] : [map, { ...map, [sub]: letter }])).slice(0, MAX_L33T_SUBSTITUTIONS);
+  }
+  const matches = [];
+  for (const map of maps) {
+    if (!Object.keys(map).length) continue;
+    const translated = [...password].map((c) => map[c] || c).join('');
+    for (const match of dictionaryMatchesOf(translated, password)) {
+      const used = Object.fromEntries(Object.entries(map).filter(([sub]) => match.token.includes(sub)));
+      if (Object.keys(used).length && match.token.length > 1) matches.push({ ...match, substitutions: used });
+    }
+  }
+  return matches;
+}
+
+function reversedMatches(password) {
+  const reversed = [...password].reverse().join('');
+  const n = password.length;
+  return dictionaryMatchesOf(reversed)
+    .filter((match) => match.j > match.i)
+    .map((match) => ({ ...match, i: n - 1 - match.j, j: n - 1 - match.i, token: password.slice(n - 1 - match.j, n - match.i), reversed: true }));
+}
+
+function spatialMatches(password) {
+  const matches = [];
+  for (const keyboard of keyboardGraphs()) {
+    let i = 0;
+    while (i < password.length - 1) {
+      let j = i + 1;
+      let lastDirection = null;
+      let turns = 0;
+      let shifted = keyboard.name === 'qwerty' && /[~!@#$%^&*()_+QWERTYUIOP{}|ASDFGHJKL:"ZXCVBNM<>?]/.test(password[i]) ? 1 : 0;
+      for (; j < password.length; j++) {
+        const neighbours = keyboard.graph.get(password[j - 1]) || [];
+        const direction = neighbours.findIndex((key) => key && key.includes(password[j]));
+        if (direction < 0) break;
+        if (neighbours[direction].indexOf(password[j]) === 1) shifted++;
+        if (direction !== lastDirection) {
+          turns++;
+          lastDirection = direction;
+        }
+      }
+      if (j - i > 2) matches.push({ pattern: 'spatial', i, j: j - 1, token: password.slice(i, j), turns, shifted, keyboard });
+      i = j;
+    }
+  }
+  return matches;
+}
+
+function sequenceMatches(password) {
+  const matches = [];
+  const add = (i, j, delta) => {
+    if (j - i > 1 || Math.abs(delta) === 1) {
+      if (Math.abs(delta) > 0 && Math.abs(delta) <= 5) {
+        matches.push({ pattern: 'sequence', i, j, token: password.slice(i, j + 1), ascending: delta > 0 });
+      }
+    }
+  };
+  if (password.length < 2) return matches;
+  let i = 0;
+  let lastDelta = null;
+  for (let k = 1; k < password.length; k++) {
+    const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+    if (lastDelta === null) lastDelta = delta;
+    if (delta === lastDelta) continue;
+    const j = k - 1;
+    if (j - i >= 2) add(i, j, lastDelta);
+    i = j;
+    lastDelta = delta;
+  }
+  if (password.length - 1 - i >= 2) add(i, password.length - 1, lastDelta);
+  return matches;
+}
+
+function sequenceGuesses({ token, ascending }) {
+  const first = token[0];
+  let base = /[aAzZ019]/.test(first) ? 4 : /\d/.test(first) ? 10 : 26;
+  if (!ascending) base *= 2;
+  return base * token.length;
+}
+
+function repeatMatches(password) {
+  const matches = [];
+  const greedy = /(.+)\1+/g;
+  const lazy = /(.+?)\1+/g;
+  let lastIndex = 0;
+  while (lastIndex < password.length) {
+    greedy.lastIndex = lazy.lastIndex = lastIndex;
+    const greedyMatch = greedy.exec(password);
+    const lazyMatch = lazy.exec(password);
+    if (!greedyMatch) break;
+    let match, base;
+    if (greedyMatch[0].length > lazyMatch[0].length) {
+      match = greedyMatch;
+      base = /^(.+?)\1+$/.exec(match[0])[1];
+    } else {
+      match = lazyMatch;
+      base = match[1];
+    }
+    const i = match.index;
+    const j = i + match[0].length - 1;
+    const baseGuesses = mostGuessableSequence(base, omnimatch(base)).guesses;
+    matches.push({ pattern: 'repeat', i, j, token: match[0], base, baseGuesses, repeatCount: match[0].length / base.length });
+    lastIndex = j + 1;
+  }
+  return matches;
+}
+
+function yearMatches(password) {
+  const matches = [];
+  for (const match of password.matchAll(/19\d\d|20\d\d/g)) {
+    matches.push({ pattern: 'year', i: match.index, j: match.index + 3, token: match[0], year: Number(match[0]) });
+  }
+  return matches;
+}
+
+function plausibleDate(day, month, year) {
+  return day >= 1 && day <= 31 && month >= 1 && month <= 12 && (year < 100 || (year >= 1000 && year <= 2050));
+}
+
+// Dates with separators (13.5.1990, 5-13-90) and without (13051990, 900513).
+function dateMatches(password) {
+  const matches = [];
+  for (let i = 0; i < password.length; i++) {
+    for (let j = i + 3; j < Math.min(password.length, i + 10); j++) {
+      const token = password.slice(i, j + 1);
+      let parts = null;
+      const separated = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/.exec(token);
+      if (separated) {
+        parts = [[Number(separated[1]), Number(separated[3]), Number(separated[4])]];
+      } else if (/^\d{4,8}$/.test(token)) {
+        parts = [];
+        for (let a = 1; a < token.length - 1; a++) {
+          for (let b = a + 1; b < token.length; b++) {
+            parts.push([Number(token.slice(0, a)), Number(token.slice(a, b)), Number(token.slice(b))]);
+          }
+        }
+      }
+      if (!parts) continue;
+      // Day-month-year, month-day-year or year-month-day.
+      const date = parts.find(([x, y, z]) => plausibleDate(x, y, z) || plausibleDate(y, x, z) || plausibleDate(z, y, x));
+      if (date) {
+        const year = [date[0], date[2]].find((value) => value >= 1000) ?? 2000;
+        matches.push({ pattern: 'date', i, j, token, year, separator: Boolean(separated) });
+      }
+    }
+  }
+  return matches;
+}
+
+function omnimatch(password) {
+  return [
+    ...dictionaryMatchesOf(password), ...reversedMatches(password), ...l33tMatches(password),
+    ...spatialMatches(password), ...repeatMatches(password), ...sequenceMatches(password),
+    ...yearMatches(password), ...dateMatches(password),
+  ];
+}
+
+function estimateGuesses(match) {
+  let guesses;
+  switch (match.pattern) {
+    case 'dictionary':
+      guesses = match.rank * uppercaseVariations(match.token) * l33tVariations(match) * (match.reversed ? 2 : 1);
+      break;
+    case 'spatial': guesses = spatialGuesses(match); break;
+    case 'repeat': guesses = match.baseGuesses * match.repeatCount; break;
+    case 'sequence': guesses = sequenceGuesses(match); break;
+    case 'year': guesses = Math.max(Math.abs(match.year - REFERENCE_YEAR), MIN_YEAR_SPACE); break;
+    case 'date': guesses = Math.max(Math.abs(match.year - REFERENCE_YEAR), MIN_YEAR_SPACE) * 365 * (match.separator ? 4 : 1); break;
+    default: guesses = BRUTEFORCE_CARDINALITY ** match.token.length;
+  }
+  const minimum = match.token.length === 1 ? MIN_GUESSES_SINGLE_CHAR : MIN_GUESSES_MULTI_CHAR;
+  return match.pattern === 'bruteforce' ? Math.max(guesses, minimum + 1) : Math.max(guesses, minimum);
+}
+
+// Dynamic programming over the end position k and the number of parts l: a sequence
+// of l parts costs l! * (product of their guesses) + 10000^(l - 1). Brute-force parts
+// fill the gaps but never follow each other.
+function mostGuessableSequence(password, matches) {
+  const n = password.length;
+  if (!n) return { guesses: 1, sequence: [] };
+  const byEnd = Array.from({ length: n }, () => []);
+  for (const match of matches) {
+    match.guesses ??= estimateGuesses(match);
+    byEnd[match.j].push(match);
+  }
+  const best = Array.from({ length: n }, () => new Map()); // l -> { match, product, guesses }
+
+  const update = (match, l) => {
+    const k = match.j;
+    let product = match.guesses;
+    if (l > 1) product *= best[match.i - 1].get(l - 1).product;
+    const guesses = factorial(l) * product + MIN_GUESSES_BEFORE_GROWING_SEQUENCE ** (l - 1);
+    for (const [otherL, other] of best[k]) {
+      if (otherL <= l && other.guesses <= guesses) return;
+    }
+    best[k].set(l, { match, product, guesses });
+  };
+  const bruteforce = (i, j) => {
+    const match = { pattern: 'bruteforce', i, j, token: password.slice(i, j + 1) };
+    match.guesses = estimateGuesses(match);
+    return match;
+  };
+
+  for (let k = 0; k < n; k++) {
+    for (const match of byEnd[k]) {
+      if (match.i === 0) update(match, 1);
+      else for (const l of [...best[match.i - 1].keys()]) update(match, l + 1);
+    }
+    update(bruteforce(0, k), 1);
+    for (let i = 1; i <= k; i++) {
+      for (const [l, previous] of [...best[i - 1]]) {
+        if (previous.match.pattern !== 'bruteforce') update(bruteforce(i, k), l + 1);
+      }
+    }
+  }
+
+  let bestL = null;
+  for (const [l, entry] of best[n - 1]) if (bestL === null || entry.guesses < best[n - 1].get(bestL).guesses) bestL = l;
+  const guesses = best[n - 1].get(bestL).guesses;
+  const sequence = [];
+  for (let k = n - 1, l = bestL; k >= 0; l--) {
+    const { match } = best[k].get(l);
+    sequence.unshift(match);
+    k = match.i - 1;
+  }
+  return { guesses, sequence };
+}
+
+export function formatCrackTime(seconds) {
+  const units = [['second', 1], ['minute', 60], ['hour', 3600], ['day', 86400], ['month', 2629800], ['year', 31557600]];
+  if (seconds < 1) return 'less than a second';
+  if (seconds >= 100 * 31557600) return 'centuries';
+  let [unit, size] = units[0];
+  for (const [name, length] of units) if (seconds >= length) [unit, size] = [name, length];
+  const count = Math.round(seconds / size);
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+function feedbackFor(sequence, score) {
+  if (!sequence.length) return { warning: '', suggestions: ['Use a few words, avoid common phrases.'] };
+  if (score >= MIN_PASSPHRASE_SCORE) return { warning: '', suggestions: [] };
+  const longest = sequence.reduce((a, b) => (b.token.length > a.token.length ? b : a));
+  const suggestions = ['Add another word or two. Uncommon words are better.'];
+  let warning = '';
+  switch (longest.pattern) {
+    case 'dictionary':
+      if (longest.dictionary === 'passwords') {
+        warning = longest.rank <= 10 ? 'This is a top-10 common password.'
+          : longest.rank <= 100 ? 'This is a top-100 common password.' : 'This is a very common password.';
+      } else if (longest.dictionary === 'names') {
+        warning = sequence.length === 1 ? 'Names and surnames by themselves are easy to guess.' : 'Common names and surnames are easy to guess.';
+      } else if (sequence.length === 1) {
+        warning = 'A word by itself is easy to guess.';
+      }
+      if (/^[A-Z][^A-Z]+$/.test(longest.token)) suggestions.push('Capitalization doesn\'t help very much.');
+      else if (longest.token === longest.token.toUpperCase() && longest.token !== longest.token.toLowerCase()) {
+        suggestions.push('All-uppercase is almost as easy to guess as all-lowercase.');
+      }
+      if (longest.reversed) suggestions.push('Reversed words aren\'t much harder to guess.');
+      if (longest.substitutions) suggestions.push('Predictable substitutions like \'@\' instead of \'a\' don\'t help very much.');
+      break;
+    case 'spatial':
+      warning = longest.turns === 1 ? 'Straight rows of keys are easy to guess.' : 'Short keyboard patterns are easy to guess.';
+      suggestions.push('Use a longer keyboard pattern with more turns.');
+      break;
+    case 'repeat':
+      warning = longest.base.length === 1 ? 'Repeats like "aaa" are easy to guess.'
+        : 'Repeats like "abcabcabc" are only slightly harder to guess than "abc".';
+      suggestions.push('Avoid repeated words and characters.');
+      break;
+    case 'sequence':
+      warning = 'Sequences like abc or 6543 are easy to guess.';
+      suggestions.push('Avoid sequences.');
+      break;
+    case 'year':
+      warning = 'Recent years are easy to guess.';
+      suggestions.push('Avoid recent years and years that are associated with you.');
+      break;
+    case 'date':
+      warning = 'Dates are often easy to guess.';
+      suggestions.push('Avoid dates and years that are associated with you.');
+      break;
+    default:
+      break;
+  }
+  return { warning, suggestions };
+}
+
+/**
+ * Estimates how hard a passphrase is to guess.
+ *
+ * @param {string} passphrase
+ * @returns {{guesses: number, score: number, label: string, crackTime: string, warning: string,
+ *   suggestions: string[]}} score runs from 0 (Very weak) to 4 (Strong); passphrases below
+ *   MIN_PASSPHRASE_SCORE should not be used to encrypt. crackTime describes an offline attack
+ *   on the image at about 10,000 guesses per second.
+ */
+export function estimateStrength(passphrase) {
+  const analysed = passphrase.slice(0, MAX_ANALYSED_LENGTH);
+  const { guesses, sequence } = mostGuessableSequence(analysed, omnimatch(analysed));
+  let score = SCORE_THRESHOLDS.findIndex((threshold) => guesses < threshold + 5);
+  if (score < 0) score = SCORE_THRESHOLDS.length;
+  return {
+    guesses,
+    score,
+    label: SCORE_LABELS[score],
+    crackTime: formatCrackTime(guesses / 2 / OFFLINE_GUESSES_PER_SECOND),
+    ...feedbackFor(sequence, score),
+  };
+}
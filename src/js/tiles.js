@@ -0,0 +1,148 @@
+import { BYTES_PER_PIXEL, createPayloadImage, writePayloadBytes, readPayloadBytes } from './pixels.js';
+
+// Tiled images split one container byte stream across several images, each no
+// larger than a chosen size. Every tile starts with its own header:
+// magic | version | session ID | tile index | tile count | stream length | segment length
+// and all tiles but the last hold the same number of stream bytes.
+export const TILE_MAGIC = new Uint8Array([0x41, 0x45, 0x4E, 0x54]); // "AENT"
+const TILE_VERSION = 1;
+const SESSION_ID_LENGTH = 16;
+export const TILE_HEADER_LENGTH = TILE_MAGIC.length + 1 + SESSION_ID_LENGTH + 2 + 2 + 4 + 4;
+export const MIN_TILE_SIZE = 64;
+export const MAX_TILE_SIZE = 16384;
+const MAX_TILES = 0xFFFF;
+
+export function hasTileMagic(bytes) {
+  if (bytes.length < TILE_MAGIC.length) return false;
+  return TILE_MAGIC.every((b, i) => bytes[i] === b);
+}
+
+export function validateTileSize(maxTileSize) {
+  if (!Number.isInteger(maxTileSize) || maxTileSize < MIN_TILE_SIZE || maxTileSize > MAX_TILE_SIZE) {
+    throw new Error(`Tile size must be an integer between ${MIN_TILE_SIZE} and ${MAX_TILE_SIZE} pixels.`);
+  }
+  return maxTileSize;
+}
+
+function segmentCapacity(maxTileSize) {
+  return maxTileSize * maxTileSize * BYTES_PER_PIXEL - TILE_HEADER_LENGTH;
+}
+
+function sessionIdToHex(sessionId) {
+  return Array.from(sessionId, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function buildTileHeader(sessionId, index, count, streamLength, segmentLength) {
+  const header = new Uint8Array(TILE_HEADER_LENGTH);
+  const view = new DataView(header.buffer);
+  let offset = 0;
+  header.set(TILE_MAGIC, offset); offset += TILE_MAGIC.length;
+  view.setUint8(offset, TILE_VERSION); offset += 1;
+  header.set(sessionId, offset); offset += SESSION_ID_LENGTH;
+  view.setUint16(offset, index, false); offset += 2;
+  view.setUint16(offset, count, false); offset += 2;
+  view.setUint32(offset, streamLength, false); offset += 4;
+  view.setUint32(offset, segmentLength, false);
+  return header;
+}
+
+// Returns { index, count, sessionId, streamLength, segmentLength } (index counting
+// from 0), or null when the image is not a tile.
+export function readTileHeader(image) {
+  if (image.pixels.length / 4 * BYTES_PER_PIXEL < TILE_HEADER_LENGTH) return null;
+  const header = readPayloadBytes(image, 0, TILE_HEADER_LENGTH);
+  if (!hasTileMagic(header)) return null;
+  const view = new DataView(header.buffer);
+  let offset = TILE_MAGIC.length;
+  const version = view.getUint8(offset); offset += 1;
+  if (version !== TILE_VERSION) {
+    throw new Error(`Unsupported tile format version ${version}. This image was made by a newer version of AudioEncrypt.`);
+  }
+  const sessionId = sessionIdToHex(header.subarray(offset, offset + SESSION_ID_LENGTH)); offset += SESSION_ID_LENGTH;
+  const index = view.getUint16(offset, false); offset += 2;
+  const count = view.getUint16(offset, false); offset += 2;
+  const streamLength = view.getUint32(offset, false); offset += 4;
+  const segmentLength = view.getUint32(offset, false);
+  if (!count || index >= count || segmentLength > image.pixels.length / 4 * BYTES_PER_PIXEL - TILE_HEADER_LENGTH) {
+    throw new Error('Corrupted data: The tile header is inconsistent with the image.');
+  }
+  return { index, count, sessionId, streamLength, segmentLength };
+}
+
+// Creates the tile images for a streamLength-byte container and returns them with a
+// write(offset, bytes) function that places stream bytes in the right tiles. randomFill
+// is passed on to createPayloadImage().
+export function createTiledImages(streamLength, maxTileSize, randomFill = false) {
+  validateTileSize(maxTileSize);
+  const capacity = segmentCapacity(maxTileSize);
+  const count = Math.ceil(streamLength / capacity);
+  if (count > MAX_TILES) throw new Error(`The audio would need ${count} tiles; at most ${MAX_TILES} are supported. Use a larger tile size.`);
+  const sessionId = crypto.getRandomValues(new Uint8Array(SESSION_ID_LENGTH));
+  const images = [];
+  for (let i = 0; i < count; i++) {
+    const segmentLength = Math.min(capacity, streamLength - i * capacity);
+    const image = createPayloadImage(TILE_HEADER_LENGTH + segmentLength, randomFill);
+    writePayloadBytes(image, 0, buildTileHeader(sessionId, i, count, streamLength, segmentLength));
+    images.push(image);
+  }
+  const write = (offset, bytes) => {
+    while (bytes.length) {
+      const tile = Math.floor(offset / capacity);
+      const within = offset - tile * capacity;
+      const part = bytes.subarray(0, capacity - within);
+      writePayloadBytes(images[tile], TILE_HEADER_LENGTH + within, part);
+      offset += part.length;
+      bytes = bytes.subarray(part.length);
+    }
+  };
+  return { images, write };
+}
+
+function describeTileNumbers(indexes) {
+  return indexes.map((i) => i + 1).join(', ');
+}
+
+// Puts a set of tile images back in order and returns { length, read(offset, count) }
+// over the container stream they carry. Missing, duplicate and foreign tiles are
+// reported by number.
+export function openTiledContainer(images) {
+  const tiles = images.map((image) => {
+    const info = readTileHeader(image);
+    if (!info) throw new Error('Only the tiles of one tiled image can be decrypted together; one of the images is not a tile.');
+    return { image, ...info };
+  });
+  const { count, sessionId, streamLength } = tiles[0];
+  if (tiles.some((tile) => tile.sessionId !== sessionId || tile.count !== count || tile.streamLength !== streamLength)) {
+    throw new Error('The images belong to different tiled images. Load only the tiles of one encrypted recording.');
+  }
+  const ordered = new Array(count);
+  const duplicates = new Set();
+  for (const tile of tiles) {
+    if (ordered[tile.index]) duplicates.add(tile.index);
+    ordered[tile.index] = tile;
+  }
+  const problems = [];
+  const missing = [];
+  for (let i = 0; i < count; i++) if (!ordered[i]) missing.push(i);
+  if (missing.length) problems.push(`missing tile${missing.length > 1 ? 's' : ''} ${describeTileNumbers(missing)} of ${count}`);
+  if (duplicates.size) problems.push(`duplicate tile${duplicates.size > 1 ? 's' : ''} ${describeTileNumbers([...duplicates].sort((a, b) => a - b))}`);
+  if (problems.length) throw new Error(`Cannot reassemble the tiled image: ${problems.join('; ')}.`);
+
+  const capacity = ordered[0].segmentLength;
+  const total = ordered.reduce((sum, tile) => sum + tile.segmentLength, 0);
+  if (total !== streamLength || ordered.slice(0, -1).some((tile) => tile.segmentLength !== capacity)) {
+    throw new Error('Corrupted data: The tile sizes do not add up to the declared length.');
+  }
+  const read = (offset, length) => {
+    const out = new Uint8Array(Math.max(0, Math.min(length, streamLength - offset)));
+    for (let done = 0; done < out.length;) {
+      const tile = Math.floor((offset + done) / capacity);
+      const within = offset + done - tile * capacity;
+      const part = readPayloadBytes(ordered[tile].image, TILE_HEADER_LENGTH + within, Math.min(out.length - done, capacity - within));
+      out.set(part, done);
+      done += part.length;
+    }
+    return out;
+  };
+  return { length: streamLength, read };
+}
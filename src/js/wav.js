@@ -0,0 +1,139 @@
+// WAV reading and writing for { pcm, sampleRate } audio (one Float32Array per channel).
+// Integer samples use the same asymmetric scaling (0x8000 / 0x7FFF for 16-bit)
+// in both directions, so integer WAV files survive a round trip unchanged.
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+export const WAV_FORMATS = ['pcm16', 'pcm24', 'float32'];
+const SAMPLE_BYTES = { pcm16: 2, pcm24: 3, float32: 4 };
+const INFO_FIELDS = [['INAM', 'title'], ['ICMT', 'comment'], ['ICRD', 'date'], ['ISFT', 'software']];
+
+function writeString(view, offset, str) {
+  for (let i=0; i<str.length; i++) view.setUint8(offset+i, str.charCodeAt(i));
+}
+
+// LIST/INFO chunk for tags: { title, comment, date, software }. Each value is a
+// NUL-terminated UTF-8 string, padded to an even length.
+function buildInfoChunk(tags) {
+  const encoder = new TextEncoder();
+  const entries = INFO_FIELDS.filter(([, field]) => tags[field]).map(([id, field]) => [id, encoder.encode(tags[field])]);
+  if (!entries.length) return new Uint8Array(0);
+  const padded = (length) => length + 1 + ((length + 1) & 1);
+  const size = 4 + entries.reduce((sum, [, text]) => sum + 8 + padded(text.length), 0);
+  const chunk = new Uint8Array(8 + size);
+  const view = new DataView(chunk.buffer);
+  writeString(view, 0, 'LIST'); view.setUint32(4, size, true); writeString(view, 8, 'INFO');
+  let offset = 12;
+  for (const [id, text] of entries) {
+    writeString(view, offset, id); view.setUint32(offset + 4, text.length + 1, true);
+    chunk.set(text, offset + 8);
+    offset += 8 + padded(text.length);
+  }
+  return chunk;
+}
+
+// format is 'pcm16' (the default), 'pcm24' or 'float32'; tags add a LIST/INFO chunk.
+export function encodeWav({ pcm, sampleRate }, { format = 'pcm16', tags = null } = {}) {
+  if (!WAV_FORMATS.includes(format)) throw new Error(`Unknown WAV format: ${format}. Use ${WAV_FORMATS.join(', ')}.`);
+  const numChan = pcm.length;
+  const frameCount = numChan ? pcm[0].length : 0;
+  const bytesPerSample = SAMPLE_BYTES[format];
+  const info = tags ? buildInfoChunk(tags) : new Uint8Array(0);
+  const dataOffset = 44 + info.length;
+  const dataLength = frameCount * numChan * bytesPerSample;
+  const len = dataOffset + dataLength + (dataLength & 1);
+  const bytes = new Uint8Array(len);
+  const view = new DataView(bytes.buffer);
+  writeString(view, 0, 'RIFF'); view.setUint32(4, len - 8, true); writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt '); view.setUint32(16, 16, true);
+  view.setUint16(20, format === 'float32' ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+  view.setUint16(22, numChan, true); view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numChan * bytesPerSample, true); view.setUint16(32, numChan * bytesPerSample, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+  bytes.set(info, 36);
+  writeString(view, dataOffset - 8, 'data'); view.setUint32(dataOffset - 4, dataLength, true);
+  let offset = dataOffset;
+  for (let i=0; i<frameCount; i++){
+    for (let c=0; c<numChan; c++){
+      if (format === 'float32') {
+        view.setFloat32(offset, pcm[c][i], true);
+      } else {
+        const s = Math.max(-1, Math.min(1, pcm[c][i]));
+        if (format === 'pcm16') {
+          view.setInt16(offset, Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF), true);
+        } else {
+          const v = Math.round(s < 0 ? s * 0x800000 : s * 0x7FFFFF);
+          view.setUint8(offset, v & 0xFF); view.setUint8(offset + 1, (v >> 8) & 0xFF); view.setInt8(offset + 2, v >> 16);
+        }
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return bytes;
+}
+
+function readSample(view, offset, format, bitsPerSample) {
+  if (format === WAVE_FORMAT_IEEE_FLOAT) {
+    return bitsPerSample === 64 ? view.getFloat64(offset, true) : view.getFloat32(offset, true);
+  }
+  switch (bitsPerSample) {
+    case 8: return (view.getUint8(offset) - 128) / 128;
+    case 16: {
+      const v = view.getInt16(offset, true);
+      return v < 0 ? v / 0x8000 : v / 0x7FFF;
+    }
+    case 24: {
+      const v = (view.getInt8(offset + 2) << 16) | (view.getUint8(offset + 1) << 8) | view.getUint8(offset);
+      return v < 0 ? v / 0x800000 : v / 0x7FFFFF;
+    }
+    default: return view.getInt32(offset, true) / 0x80000000;
+  }
+}
+
+export function decodeWav(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  if (bytes.length < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') throw new Error('Not a WAV file.');
+
+  let fmt = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= bytes.length;) {
+    const id = tag(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      let format = view.getUint16(body, true);
+      if (format === WAVE_FORMAT_EXTENSIBLE && size >= 26) format = view.getUint16(body + 24, true);
+      fmt = {
+        format,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (id === 'data') {
+      data = { offset: body, size: Math.min(size, bytes.length - body) };
+    }
+    offset = body + size + (size & 1); // chunks are word-aligned
+  }
+  if (!fmt || !data) throw new Error('Corrupted WAV file: missing format or data chunk.');
+
+  const { format, channels, sampleRate, blockAlign, bitsPerSample } = fmt;
+  const supported = (format === WAVE_FORMAT_PCM && [8, 16, 24, 32].includes(bitsPerSample)) ||
+    (format === WAVE_FORMAT_IEEE_FLOAT && [32, 64].includes(bitsPerSample));
+  if (!supported || channels < 1 || blockAlign !== channels * bitsPerSample / 8) {
+    throw new Error(`Unsupported WAV encoding (format ${format}, ${bitsPerSample}-bit). Use PCM or 32/64-bit float.`);
+  }
+
+  const frameCount = Math.floor(data.size / blockAlign);
+  const bytesPerSample = bitsPerSample / 8;
+  const pcm = [];
+  for (let c = 0; c < channels; c++) pcm.push(new Float32Array(frameCount));
+  for (let i = 0; i < frameCount; i++) {
+    for (let c = 0; c < channels; c++) {
+      pcm[c][i] = readSample(view, data.offset + i * blockAlign + c * bytesPerSample, format, bitsPerSample);
+    }
+  }
+  return { pcm, sampleRate, channels };
+}
@@ -0,0 +1,37 @@
+// Module worker that runs encrypt(), decrypt(), verifySignature(), encodeAudio(), inspect() and the PNG codec
+// off the main thread.
+// Messages in: { id, operation, args }. Messages out: { id, progress }, then either
+// { id, result } (sample, pixel and file buffers transferred) or { id, error }.
+import { encrypt, decrypt, verifySignature, encodeAudio, inspect, encodePng, decodePng } from './audioencrypt.js';
+
+const operations = {
+  encrypt, decrypt, encodeAudio, inspect: (image, _, options) => inspect(image, options),
+  verifySignature: (image, _, options) => verifySignature(image, options),
+  encodePng: (image) => encodePng(image), decodePng: (bytes) => decodePng(bytes),
+};
+
+function transferablesOf(result) {
+  if (!result) return []; // unsigned images from verifySignature()
+  if (result instanceof Uint8Array) return [result.buffer];
+  if (Array.isArray(result)) return result.map((image) => image.pixels.buffer);
+  if (result.pixels) return [result.pixels.buffer];
+  // Decrypted recordings: the samples, if any, and the attached files.
+  return [
+    ...(result.pcm ?? []).map((channel) => channel.buffer),
+    ...(result.attachments ?? []).map((file) => file.bytes.buffer),
+  ];
+}
+
+self.onmessage = async ({ data: { id, operation, args } }) => {
+  try {
+    const run = operations[operation];
+    if (!run) throw new Error(`Unknown operation: ${operation}`);
+    // The second argument is the passphrase, or the format for encodeAudio.
+    const [input, second, options = {}] = args;
+    const onProgress = (progress) => self.postMessage({ id, progress });
+    const result = await run(input, second, { ...options, onProgress });
+    self.postMessage({ id, result }, transferablesOf(result));
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
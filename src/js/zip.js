@@ -0,0 +1,169 @@
+// Minimal ZIP archives for batch import and export. Entries are written stored (PNG
+// and FLAC data is compressed already), with UTF-8 names. Reading accepts stored and
+// deflated entries, which covers what operating systems and archivers produce; ZIP64,
+// encrypted and split archives are not supported.
+import { inflateRaw } from './zlib.js';
+import { crc32 } from './crc32.js';
+
+const LOCAL_HEADER_SIGNATURE = 0x04034B50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014B50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054B50;
+const LOCAL_HEADER_LENGTH = 30;
+const CENTRAL_HEADER_LENGTH = 46;
+const END_OF_CENTRAL_DIRECTORY_LENGTH = 22;
+const MAX_COMMENT_LENGTH = 0xFFFF;
+const VERSION = 20; // 2.0: deflate and folders
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const MAX_ENTRIES = 0xFFFF;
+const MAX_SIZE = 0xFFFFFFFF;
+
+// MS-DOS date and time in local time, with two-second resolution, from 1980 on.
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Builds a ZIP archive.
+ *
+ * @param {{name: string, bytes: Uint8Array, modified?: Date}[]} entries names may contain
+ *   '/' for folders and must be unique.
+ * @returns {Uint8Array}
+ */
+export function createZip(entries) {
+  if (entries.length > MAX_ENTRIES) throw new Error(`ZIP archives hold at most ${MAX_ENTRIES} files.`);
+  const encoder = new TextEncoder();
+  const records = entries.map(({ name, bytes, modified = new Date() }) => {
+    if (bytes.length > MAX_SIZE) throw new Error(`${name} is too large for a ZIP archive.`);
+    return { name: encoder.encode(name), bytes, crc: (crc32(bytes) ^ 0xFFFFFFFF) >>> 0, ...dosDateTime(modified) };
+  });
+  const localLength = records.reduce((sum, r) => sum + LOCAL_HEADER_LENGTH + r.name.length + r.bytes.length, 0);
+  const centralLength = records.reduce((sum, r) => sum + CENTRAL_HEADER_LENGTH + r.name.length, 0);
+  if (localLength + centralLength + END_OF_CENTRAL_DIRECTORY_LENGTH > MAX_SIZE) {
+    throw new Error('The files are too large for one ZIP archive (4 GiB at most).');
+  }
+  const out = new Uint8Array(localLength + centralLength + END_OF_CENTRAL_DIRECTORY_LENGTH);
+  const view = new DataView(out.buffer);
+
+  let offset = 0;
+  for (const record of records) {
+    record.offset = offset;
+    view.setUint32(offset, LOCAL_HEADER_SIGNATURE, true);
+    view.setUint16(offset + 4, VERSION, true);
+    view.setUint16(offset + 6, FLAG_UTF8, true);
+    view.setUint16(offset + 8, METHOD_STORED, true);
+    view.setUint16(offset + 10, record.time, true);
+    view.setUint16(offset + 12, record.date, true);
+    view.setUint32(offset + 14, record.crc, true);
+    view.setUint32(offset + 18, record.bytes.length, true);
+    view.setUint32(offset + 22, record.bytes.length, true);
+    view.setUint16(offset + 26, record.name.length, true);
+    view.setUint16(offset + 28, 0, true); // extra field length
+    out.set(record.name, offset + LOCAL_HEADER_LENGTH);
+    out.set(record.bytes, offset + LOCAL_HEADER_LENGTH + record.name.length);
+    offset += LOCAL_HEADER_LENGTH + record.name.length + record.bytes.length;
+  }
+
+  const centralOffset = offset;
+  for (const record of records) {
+    view.setUint32(offset, CENTRAL_HEADER_SIGNATURE, true);
+    view.setUint16(offset + 4, VERSION, true); // made by
+    view.setUint16(offset + 6, VERSION, true); // needed to extract
+    view.setUint16(offset + 8, FLAG_UTF8, true);
+    view.setUint16(offset + 10, METHOD_STORED, true);
+    view.setUint16(offset + 12, record.time, true);
+    view.setUint16(offset + 14, record.date, true);
+    view.setUint32(offset + 16, record.crc, true);
+    view.setUint32(offset + 20, record.bytes.length, true);
+    view.setUint32(offset + 24, record.bytes.length, true);
+    view.setUint16(offset + 28, record.name.length, true);
+    // Extra field, comment, disk number and attributes stay zero.
+    view.setUint32(offset + 42, record.offset, true);
+    out.set(record.name, offset + CENTRAL_HEADER_LENGTH);
+    offset += CENTRAL_HEADER_LENGTH + record.name.length;
+  }
+
+  view.setUint32(offset, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  view.setUint16(offset + 8, records.length, true);
+  view.setUint16(offset + 10, records.length, true);
+  view.setUint32(offset + 12, offset - centralOffset, true);
+  view.setUint32(offset + 16, centralOffset, true);
+  return out;
+}
+
+function findEndOfCentralDirectory(view) {
+  const last = view.byteLength - END_OF_CENTRAL_DIRECTORY_LENGTH;
+  for (let offset = last; offset >= 0 && offset >= last - MAX_COMMENT_LENGTH; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) return offset;
+  }
+  throw new Error('Not a ZIP archive.');
+}
+
+/**
+ * Reads the files of a ZIP archive, in archive order. Folders are left out.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{name: string, bytes: Uint8Array, modified: Date}[]>}
+ */
+export async function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = findEndOfCentralDirectory(view);
+  if (view.getUint16(end + 4, true) !== 0 || view.getUint16(end + 6, true) !== 0) {
+    throw new Error('Split ZIP archives are not supported.');
+  }
+  const count = view.getUint16(end + 10, true);
+  const centralOffset = view.getUint32(end + 16, true);
+  if (count === 0xFFFF || centralOffset === MAX_SIZE) throw new Error('ZIP64 archives are not supported.');
+
+  const utf8 = new TextDecoder();
+  const latin1 = new TextDecoder('latin1');
+  const files = [];
+  let offset = centralOffset;
+  for (let i = 0; i < count; i++) {
+    if (offset + CENTRAL_HEADER_LENGTH > end || view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupted ZIP archive: the file list is damaged.');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const time = view.getUint16(offset + 12, true);
+    const date = view.getUint16(offset + 14, true);
+    const crc = view.getUint32(offset + 16, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const nameBytes = bytes.subarray(offset + CENTRAL_HEADER_LENGTH, offset + CENTRAL_HEADER_LENGTH + nameLength);
+    const name = (flags & FLAG_UTF8 ? utf8 : latin1).decode(nameBytes);
+    offset += CENTRAL_HEADER_LENGTH + nameLength + extraLength + commentLength;
+    if (name.endsWith('/')) continue;
+
+    if (compressedSize === MAX_SIZE || size === MAX_SIZE || localOffset === MAX_SIZE) {
+      throw new Error(`${name}: ZIP64 entries are not supported.`);
+    }
+    if (flags & FLAG_ENCRYPTED) throw new Error(`${name}: Encrypted ZIP entries are not supported.`);
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+      throw new Error(`${name}: Unsupported ZIP compression method ${method}.`);
+    }
+    if (localOffset + LOCAL_HEADER_LENGTH > bytes.length || view.getUint32(localOffset, true) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupted ZIP archive: ${name} is damaged.`);
+    }
+    const dataOffset = localOffset + LOCAL_HEADER_LENGTH + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataOffset, dataOffset + compressedSize);
+    if (data.length !== compressedSize) throw new Error(`Corrupted ZIP archive: ${name} is truncated.`);
+    const content = method === METHOD_STORED ? data.slice() : await inflateRaw(data);
+    if (content.length !== size || ((crc32(content) ^ 0xFFFFFFFF) >>> 0) !== crc) {
+      throw new Error(`Corrupted ZIP archive: ${name} does not match its checksum.`);
+    }
+    const modified = new Date(1980 + (date >> 9), ((date >> 5) & 0xF) - 1, date & 0x1F, time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2);
+    files.push({ name, bytes: content, modified });
+  }
+  return files;
+}
@@ -0,0 +1,48 @@
+// zlib-format (RFC 1950) compression through the Compression Streams API, which
+// browsers and Node.js both provide.
+async function transformBytes(bytes, stream, maxLength = Infinity) {
+  const transformed = new Blob([bytes]).stream().pipeThrough(stream);
+  if (maxLength === Infinity) return new Uint8Array(await new Response(transformed).arrayBuffer());
+  // Read piece by piece and stop once maxLength bytes are out, so that a small stream made
+  // to expand to gigabytes is never expanded further than the caller can use.
+  const reader = transformed.getReader();
+  const pieces = [];
+  let length = 0;
+  while (length < maxLength) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    pieces.push(value);
+    length += value.length;
+  }
+  if (length >= maxLength) await reader.cancel();
+  const out = new Uint8Array(Math.min(length, maxLength));
+  let offset = 0;
+  for (const piece of pieces) {
+    const part = piece.subarray(0, out.length - offset);
+    out.set(part, offset); offset += part.length;
+  }
+  return out;
+}
+
+export function deflate(bytes) {
+  if (typeof CompressionStream === 'undefined') {
+    throw new Error('Compression is not supported here (CompressionStream is unavailable).');
+  }
+  return transformBytes(bytes, new CompressionStream('deflate'));
+}
+
+// With maxLength, only the first maxLength bytes of the output are produced and returned.
+export function inflate(bytes, maxLength = Infinity) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Decompression is not supported here (DecompressionStream is unavailable). Try a newer browser or Node.js.');
+  }
+  return transformBytes(bytes, new DecompressionStream('deflate'), maxLength);
+}
+
+// Raw deflate data without the zlib wrapper, as stored in ZIP entries.
+export function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Decompression is not supported here (DecompressionStream is unavailable). Try a newer browser or Node.js.');
+  }
+  return transformBytes(bytes, new DecompressionStream('deflate-raw'));
+}
@@ -0,0 +1,59 @@
+// Round trips for attachments: files encrypted along with the audio, on their own, and in
+// the visible slot of a deniable image.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encrypt, decrypt, inspect, MAX_ATTACHMENTS } from '../src/js/audioencrypt.js';
+import { FAST_KDF, PASSPHRASE, tone, assertSamples } from './helpers.js';
+
+const encoder = new TextEncoder();
+const TRANSCRIPT = { name: 'transcript.txt', mimeType: 'text/plain', bytes: encoder.encode('Hello. '.repeat(200)) };
+const RANDOM = { name: 'noise.bin', bytes: crypto.getRandomValues(new Uint8Array(3000)) };
+
+function assertAttachments(actual, expected) {
+  assert.deepEqual(
+    actual.map(({ name, mimeType, bytes }) => ({ name, mimeType, bytes: [...bytes] })),
+    expected.map(({ name, mimeType = 'application/octet-stream', bytes }) => ({ name, mimeType, bytes: [...bytes] })),
+  );
+}
+
+test('attachments are encrypted along with the audio, compressed or not', async () => {
+  const audio = tone();
+  for (const compression of ['none', 'deflate']) {
+    const image = await encrypt(audio, PASSPHRASE, {
+      kdf: FAST_KDF, encoding: { sampleFormat: 'float32', compression }, attachments: [TRANSCRIPT, RANDOM],
+    });
+    const result = await decrypt(image, PASSPHRASE);
+    assertSamples(result.pcm, audio.pcm);
+    assertAttachments(result.attachments, [TRANSCRIPT, RANDOM]);
+  }
+});
+
+test('attachments can be encrypted without audio', async () => {
+  const image = await encrypt(null, PASSPHRASE, { kdf: FAST_KDF, attachments: [TRANSCRIPT] });
+  assert.equal(inspect(image).header.sampleRate, 0);
+  const result = await decrypt(image, PASSPHRASE);
+  assert.equal(result.pcm, null);
+  assert.equal(result.channels, 0);
+  assertAttachments(result.attachments, [TRANSCRIPT]);
+});
+
+test('images without attachments return an empty list', async () => {
+  const image = await encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF });
+  assert.deepEqual((await decrypt(image, PASSPHRASE)).attachments, []);
+});
+
+test('the visible recording of a deniable image can carry attachments', async () => {
+  const audio = tone();
+  const image = await encrypt(audio, PASSPHRASE, { kdf: FAST_KDF, deniable: true, attachments: [RANDOM] });
+  assertAttachments((await decrypt(image, PASSPHRASE)).attachments, [RANDOM]);
+});
+
+test('attachments need unique names and are limited in number', async () => {
+  const encryptWith = (attachments) => encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF, attachments });
+  await assert.rejects(encryptWith([TRANSCRIPT, { ...RANDOM, name: TRANSCRIPT.name }]), /Two attachments are named/);
+  await assert.rejects(encryptWith([{ ...RANDOM, name: '' }]), /needs a name/);
+  await assert.rejects(encryptWith([{ name: 'a.txt', bytes: 'text' }]), /must be a Uint8Array/);
+  const many = Array.from({ length: MAX_ATTACHMENTS + 1 }, (_, i) => ({ name: `${i}.txt`, bytes: new Uint8Array(1) }));
+  await assert.rejects(encryptWith(many), /attachments are supported/);
+  await assert.rejects(encrypt(null, PASSPHRASE, { kdf: FAST_KDF }), /Nothing to encrypt/);
+});
@@ -0,0 +1,196 @@
+// Checks the audio export formats by reading back what they write: WAV through decodeWav, and
+// FLAC by walking its metadata blocks and frames, whose checksums are recomputed here.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeAudio, decodeWav, metadataToTags } from '../src/js/audioencrypt.js';
+import { tone, assertSamples } from './helpers.js';
+
+const METADATA = { title: 'Interview', notes: 'Room 2, café', recordedAt: '2024-05-06T07:08:09.000Z' };
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+// The largest error each WAV format may introduce.
+const WAV_TOLERANCES = { wav16: 1 / 32767, wav24: 1 / 8388607, wav32f: 0 };
+
+test('every WAV format decodes back to the samples', () => {
+  const audio = tone({ channels: 2, sampleRate: 44100 });
+  for (const [format, tolerance] of Object.entries(WAV_TOLERANCES)) {
+    const result = decodeWav(encodeAudio(audio, format));
+    assert.equal(result.sampleRate, 44100, format);
+    assert.equal(result.channels, 2, format);
+    assertSamples(result.pcm, audio.pcm, tolerance);
+  }
+});
+
+test('integer WAV files survive decoding and encoding unchanged', () => {
+  for (const format of ['wav16', 'wav24']) {
+    const bytes = encodeAudio(tone(), format);
+    assert.deepEqual(encodeAudio(decodeWav(bytes), format), bytes, format);
+  }
+});
+
+// RIFF chunk id -> body, and the LIST/INFO entries (id -> text without the NUL).
+function readRiff(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  assert.equal(text(bytes.subarray(0, 4)), 'RIFF');
+  assert.equal(view.getUint32(4, true), bytes.length - 8, 'RIFF size');
+  assert.equal(text(bytes.subarray(8, 12)), 'WAVE');
+  const chunks = new Map();
+  const info = new Map();
+  for (let offset = 12; offset < bytes.length;) {
+    const id = text(bytes.subarray(offset, offset + 4));
+    const size = view.getUint32(offset + 4, true);
+    const body = bytes.subarray(offset + 8, offset + 8 + size);
+    chunks.set(id, body);
+    if (id === 'LIST' && text(body.subarray(0, 4)) === 'INFO') {
+      for (let entry = 4; entry < body.length;) {
+        const length = view.getUint32(body.byteOffset + entry + 4, true);
+        const value = body.subarray(entry + 8, entry + 8 + length);
+        assert.equal(value[length - 1], 0, 'INFO strings end in NUL');
+        info.set(text(body.subarray(entry, entry + 4)), text(value.subarray(0, length - 1)));
+        entry += 8 + length + (length & 1);
+      }
+    }
+    offset += 8 + size + (size & 1);
+  }
+  return { chunks, info };
+}
+
+test('metadata tags land in the WAV LIST/INFO chunk', () => {
+  assert.deepEqual(metadataToTags(METADATA), {
+    software: 'AudioEncrypt', title: METADATA.title, comment: METADATA.notes, date: METADATA.recordedAt,
+  });
+  const audio = tone();
+  for (const format of Object.keys(WAV_TOLERANCES)) {
+    const bytes = encodeAudio(audio, format, { metadata: METADATA });
+    const { chunks, info } = readRiff(bytes);
+    assert.deepEqual([...chunks.keys()], ['fmt ', 'LIST', 'data'], format);
+    assert.deepEqual(Object.fromEntries(info), {
+      INAM: METADATA.title, ICMT: METADATA.notes, ICRD: METADATA.recordedAt, ISFT: 'AudioEncrypt',
+    });
+    assertSamples(decodeWav(bytes).pcm, audio.pcm, WAV_TOLERANCES[format]);
+  }
+  assert.equal(readRiff(encodeAudio(audio, 'wav16', { metadata: {} })).info.get('ISFT'), 'AudioEncrypt');
+  assert.deepEqual([...readRiff(encodeAudio(audio, 'wav16')).chunks.keys()], ['fmt ', 'data']);
+});
+
+// The checksums from the FLAC format description, computed bit by bit.
+function crc(bytes, width, polynomial) {
+  const top = 1 << (width - 1);
+  const mask = (1 << width) - 1;
+  let value = 0;
+  for (const byte of bytes) {
+    value ^= byte << (width - 8);
+    for (let k = 0; k < 8; k++) value = value & top ? ((value << 1) ^ polynomial) & mask : (value << 1) & mask;
+  }
+  return value;
+}
+
+function readFlacMetadata(bytes) {
+  assert.equal(text(bytes.subarray(0, 4)), 'fLaC');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const blocks = [];
+  let offset = 4;
+  for (let last = false; !last;) {
+    last = (bytes[offset] & 0x80) !== 0;
+    const type = bytes[offset] & 0x7F;
+    const length = view.getUint32(offset, false) & 0xFFFFFF;
+    blocks.push({ type, body: bytes.subarray(offset + 4, offset + 4 + length) });
+    offset += 4 + length;
+  }
+  assert.equal(blocks[0].type, 0, 'STREAMINFO comes first');
+  const info = blocks[0].body;
+  assert.equal(info.length, 34);
+  const infoView = new DataView(info.buffer, info.byteOffset, info.byteLength);
+  const streamInfo = {
+    minBlockSize: infoView.getUint16(0, false),
+    maxBlockSize: infoView.getUint16(2, false),
+    minFrameSize: infoView.getUint32(4, false) >>> 8,
+    maxFrameSize: infoView.getUint32(7, false) >>> 8,
+    sampleRate: infoView.getUint32(10, false) >>> 12,
+    channels: ((info[12] >> 1) & 0x7) + 1,
+    bitsPerSample: (((info[12] & 1) << 4) | (info[13] >> 4)) + 1,
+    totalSamples: (info[13] & 0xF) * 2 ** 32 + infoView.getUint32(14, false),
+  };
+  const comment = blocks.find(({ type }) => type === 4)?.body;
+  return { streamInfo, comment, framesOffset: offset };
+}
+
+function readVorbisComment(body) {
+  const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+  let offset = 0;
+  const vendorLength = view.getUint32(offset, true); offset += 4;
+  const vendor = text(body.subarray(offset, offset + vendorLength)); offset += vendorLength;
+  const count = view.getUint32(offset, true); offset += 4;
+  const fields = {};
+  for (let i = 0; i < count; i++) {
+    const length = view.getUint32(offset, true); offset += 4;
+    const [name, ...value] = text(body.subarray(offset, offset + length)).split('=');
+    fields[name] = value.join('=');
+    offset += length;
+  }
+  assert.equal(offset, body.length, 'nothing follows the last comment');
+  return { vendor, fields };
+}
+
+// Splits the frames at their sync codes. A frame ends where the next one's header (with a valid
+// CRC-8 and the next frame number, a single byte below 128) starts, and its CRC-16 then covers
+// it exactly.
+function readFlacFrames(bytes, offset) {
+  const headerAt = (start, number) => {
+    if (bytes[start] !== 0xFF || bytes[start + 1] !== 0xF8 || bytes[start + 4] !== number) return null;
+    const blockSizeCode = bytes[start + 2] >> 4;
+    const headerLength = blockSizeCode === 0b0111 ? 7 : 5;
+    if (crc(bytes.subarray(start, start + headerLength), 8, 0x07) !== bytes[start + headerLength]) return null;
+    const blockSize = blockSizeCode === 0b1100 ? 4096 : ((bytes[start + 5] << 8) | bytes[start + 6]) + 1;
+    return { start, blockSize, bitsPerSampleCode: (bytes[start + 3] >> 1) & 0x7 };
+  };
+  const frames = [];
+  let frame = headerAt(offset, 0);
+  assert.ok(frame, 'the first frame follows the metadata');
+  while (frame) {
+    let end = frame.start + 8;
+    let next = null;
+    for (; end < bytes.length; end++) {
+      next = headerAt(end, frames.length + 1);
+      if (next && crc(bytes.subarray(frame.start, end), 16, 0x8005) === 0) break;
+      next = null;
+    }
+    assert.equal(crc(bytes.subarray(frame.start, end), 16, 0x8005), 0, `CRC-16 of frame ${frames.length}`);
+    frames.push({ ...frame, length: end - frame.start });
+    frame = next;
+  }
+  return frames;
+}
+
+for (const bitsPerSample of [16, 24]) {
+  test(`${bitsPerSample}-bit FLAC has a matching STREAMINFO block and valid frames`, () => {
+    const audio = tone({ frames: 10000, channels: 2, sampleRate: 44100 });
+    const bytes = encodeAudio(audio, `flac${bitsPerSample}`);
+    const { streamInfo, comment, framesOffset } = readFlacMetadata(bytes);
+    assert.equal(comment, undefined);
+    const { minFrameSize, maxFrameSize, ...format } = streamInfo;
+    assert.deepEqual(format, {
+      minBlockSize: 4096, maxBlockSize: 4096, sampleRate: 44100, channels: 2, bitsPerSample, totalSamples: 10000,
+    });
+    const frames = readFlacFrames(bytes, framesOffset);
+    assert.deepEqual(frames.map(({ blockSize }) => blockSize), [4096, 4096, 1808]);
+    assert.equal(frames.reduce((sum, { blockSize }) => sum + blockSize, 0), streamInfo.totalSamples);
+    assert.ok(frames.every(({ bitsPerSampleCode }) => bitsPerSampleCode === (bitsPerSample === 16 ? 0b100 : 0b110)));
+    const last = frames.at(-1);
+    assert.equal(last.start + last.length, bytes.length, 'the last frame ends the file');
+    const lengths = frames.map(({ length }) => length);
+    assert.equal(minFrameSize, Math.min(...lengths));
+    assert.equal(maxFrameSize, Math.max(...lengths));
+  });
+}
+
+test('metadata tags land in the FLAC Vorbis comment block', () => {
+  const bytes = encodeAudio(tone({ channels: 1 }), 'flac16', { metadata: METADATA });
+  const { streamInfo, comment, framesOffset } = readFlacMetadata(bytes);
+  assert.deepEqual(readVorbisComment(comment), {
+    vendor: 'AudioEncrypt',
+    fields: { TITLE: METADATA.title, COMMENT: METADATA.notes, DATE: METADATA.recordedAt, ENCODER: 'AudioEncrypt' },
+  });
+  assert.equal(streamInfo.channels, 1);
+  assert.equal(readFlacFrames(bytes, framesOffset).reduce((sum, { blockSize }) => sum + blockSize, 0), 4000);
+});
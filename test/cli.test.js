@@ -0,0 +1,77 @@
+// Runs the command-line tool as a child process on files in a temporary directory.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { encodeWav, decodeWav } from '../src/js/audioencrypt.js';
+import { PASSPHRASE, tone, assertSamples } from './helpers.js';
+
+const CLI = new URL('../bin/audioencrypt.js', import.meta.url).pathname;
+
+// Resolves with the exit code and output instead of rejecting when the tool fails.
+function run(args, env = {}) {
+  return new Promise((resolve) => {
+    const child = execFile(process.execPath, [CLI, ...args], {
+      env: { ...process.env, AUDIOENCRYPT_PASSPHRASE: PASSPHRASE, ...env },
+    }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    child.stdin.end();
+  });
+}
+
+let dir;
+test.before(async () => { dir = await mkdtemp(path.join(tmpdir(), 'audioencrypt-cli-')); });
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+test('a WAV file survives encrypt and decrypt through files', async () => {
+  const audio = tone({ channels: 2 });
+  const input = path.join(dir, 'talk.wav');
+  await writeFile(input, encodeWav(audio));
+  const encrypted = await run(['encrypt', '--iterations', '100000', '--title', 'Talk', input]);
+  assert.equal(encrypted.code, 0, encrypted.stderr);
+  assert.match(encrypted.stderr, /encrypted .*talk\.wav -> .*talk\.png/);
+
+  const outDir = path.join(dir, 'out');
+  const decrypted = await run(['decrypt', '--out-dir', outDir, path.join(dir, 'talk.png')]);
+  assert.equal(decrypted.code, 0, decrypted.stderr);
+  const result = decodeWav(new Uint8Array(await readFile(path.join(outDir, 'talk.wav'))));
+  assert.equal(result.sampleRate, audio.sampleRate);
+  assertSamples(result.pcm, audio.pcm, 1 / 32767);
+
+  const wrong = await run(['decrypt', '--force', '--out-dir', outDir, path.join(dir, 'talk.png')], { AUDIOENCRYPT_PASSPHRASE: 'wrong' });
+  assert.equal(wrong.code, 1);
+  assert.match(wrong.stderr, /incorrect key/);
+});
+
+test('usage errors exit with status 2', async () => {
+  for (const args of [['frobnicate', 'x.wav'], ['encrypt'], ['encrypt', '--kdf', 'md5', 'x.wav'], ['decrypt', '--bogus']]) {
+    const { code, stderr } = await run(args);
+    assert.equal(code, 2, `${args.join(' ')}: ${stderr}`);
+    assert.match(stderr, /Run with --help for usage/);
+  }
+  const { code, stderr } = await run(['passphrase', '--words', 'abc']);
+  assert.equal(code, 2);
+  assert.match(stderr, /^error: --words must be an integer\.$/m);
+});
+
+test('passphrase prints a diceware passphrase of the given length', async () => {
+  const { code, stdout } = await run(['passphrase', '--words', '7']);
+  assert.equal(code, 0);
+  assert.match(stdout, /^[a-z]+(-[a-z]+){6,}\n$/); // at least 7 parts, as t-shirt and yo-yo hold a hyphen
+});
+
+test('existing outputs are kept unless --force is given', async () => {
+  const input = path.join(dir, 'memo.wav');
+  const output = path.join(dir, 'memo.png');
+  await writeFile(input, encodeWav(tone()));
+  await writeFile(output, 'not an image');
+  const refused = await run(['encrypt', '--iterations', '100000', input]);
+  assert.equal(refused.code, 1);
+  assert.match(refused.stderr, /already exists \(use --force to overwrite\)/);
+  assert.equal(await readFile(output, 'utf8'), 'not an image');
+
+  const forced = await run(['encrypt', '--iterations', '100000', '--force', input]);
+  assert.equal(forced.code, 0, forced.stderr);
+  assert.notEqual(await readFile(output, 'utf8'), 'not an image');
+});
@@ -0,0 +1,109 @@
+// Round trips through the container formats: legacy v0 images, and v1 images with each key
+// derivation function and payload encoding, chunking, metadata and cover images.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encrypt, decrypt } from '../src/js/audioencrypt.js';
+import { createPayloadImage, writePayloadBytes } from '../src/js/pixels.js';
+import { FAST_KDF, PASSPHRASE, tone, assertSamples, flipPayloadByte, copyImage, readHeader } from './helpers.js';
+
+// Writes an image the way the page did before the header was versioned: salt | IV |
+// ciphertext length | sample rate (channel count - 1 in the top byte), then one AES-GCM
+// ciphertext of planar 32-bit float samples, keyed with PBKDF2-SHA256 at 100,000 iterations.
+async function encryptLegacy({ pcm, sampleRate }, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), { name: 'PBKDF2' }, false, ['deriveKey']);
+  const key = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' }, material, { name: 'AES-GCM', length: 256 }, false, ['encrypt'],
+  );
+  const samples = new Float32Array(pcm.length * pcm[0].length);
+  pcm.forEach((channel, c) => samples.set(channel, c * channel.length));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, samples));
+  const header = new Uint8Array(36);
+  header.set(salt, 0);
+  header.set(iv, 16);
+  const view = new DataView(header.buffer);
+  view.setUint32(28, ciphertext.length, false);
+  view.setUint32(32, ((pcm.length - 1) << 24) | sampleRate, false);
+  const image = createPayloadImage(header.length + ciphertext.length);
+  writePayloadBytes(image, 0, header);
+  writePayloadBytes(image, header.length, ciphertext);
+  return image;
+}
+
+test('legacy v0 images decrypt, mono and multichannel', async () => {
+  for (const channels of [1, 2]) {
+    const audio = tone({ channels, sampleRate: 22050 });
+    const image = await encryptLegacy(audio, PASSPHRASE);
+    assert.equal(readHeader(image).version, 0);
+    const result = await decrypt(image, PASSPHRASE);
+    assertSamples(result.pcm, audio.pcm);
+    assert.equal(result.sampleRate, 22050);
+    assert.equal(result.channels, channels);
+    assert.equal(result.metadata, null);
+  }
+});
+
+test('v1 images round-trip with each key derivation function and payload encoding', async () => {
+  const audio = tone({ channels: 2 });
+  const kdfs = [FAST_KDF, { algorithm: 'scrypt', logN: 10, r: 8, p: 1 }];
+  // The largest error each sample format may introduce.
+  const tolerances = { float32: 0, pcm16: 1 / 32767, mulaw: 0.02 };
+  for (const kdf of kdfs) {
+    for (const [sampleFormat, tolerance] of Object.entries(tolerances)) {
+      for (const compression of ['none', 'deflate']) {
+        const encoding = { sampleFormat, compression };
+        const image = await encrypt(audio, PASSPHRASE, { kdf, encoding });
+        const header = readHeader(image);
+        assert.equal(header.version, 1);
+        assert.deepEqual(header.kdf, kdf);
+        assert.deepEqual(header.encoding, encoding);
+        const result = await decrypt(image, PASSPHRASE);
+        assertSamples(result.pcm, audio.pcm, tolerance);
+        assert.equal(result.sampleRate, audio.sampleRate);
+      }
+    }
+  }
+});
+
+test('a wrong passphrase or an altered header fails to decrypt', async () => {
+  const image = await encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF });
+  await assert.rejects(decrypt(image, 'wrong passphrase'), /incorrect key/);
+  const altered = copyImage(image);
+  flipPayloadByte(altered, 39); // the sample rate, after magic, version, flags, salt, IV and length
+  await assert.rejects(decrypt(altered, PASSPHRASE));
+});
+
+test('payloads split into many chunks, and damage names the chunk', async () => {
+  const audio = tone({ frames: 20000 });
+  const encoding = { sampleFormat: 'float32', compression: 'none' };
+  const image = await encrypt(audio, PASSPHRASE, { kdf: FAST_KDF, encoding, chunkSize: 4096 });
+  assertSamples((await decrypt(image, PASSPHRASE)).pcm, audio.pcm);
+  const { ciphertextOffset } = readHeader(image);
+  const damaged = copyImage(image);
+  flipPayloadByte(damaged, ciphertextOffset + 3 * (4096 + 16) + 5);
+  await assert.rejects(decrypt(damaged, PASSPHRASE), /chunk 4 of \d+ failed authentication/);
+});
+
+test('metadata is encrypted with the audio and returned', async () => {
+  const recordedAt = new Date('2024-05-06T07:08:09Z');
+  const image = await encrypt(tone(), PASSPHRASE, {
+    kdf: FAST_KDF, metadata: { title: 'Interview', notes: 'Room 2', filename: 'talk.wav', mimeType: 'audio/wav', recordedAt },
+  });
+  const { metadata } = await decrypt(image, PASSPHRASE);
+  assert.equal(metadata.title, 'Interview');
+  assert.equal(metadata.notes, 'Room 2');
+  assert.equal(metadata.filename, 'talk.wav');
+  assert.equal(metadata.recordedAt, recordedAt.toISOString());
+  assert.equal(metadata.sampleRate, 8000);
+});
+
+test('payloads hidden in a cover image are found without settings', async () => {
+  const audio = tone({ frames: 1000 });
+  for (const bitsPerChannel of [1, 4]) {
+    const cover = { pixels: new Uint8ClampedArray(200 * 200 * 4).fill(128), width: 200, height: 200 };
+    const image = await encrypt(audio, PASSPHRASE, { kdf: FAST_KDF, cover, bitsPerChannel });
+    assert.equal(image.width, cover.width);
+    assertSamples((await decrypt(image, PASSPHRASE)).pcm, audio.pcm, 1 / 32767);
+  }
+});
@@ -0,0 +1,59 @@
+// Round trips for deniable images, whose second slot holds a decoy recording opened by a
+// passphrase of its own, or random bytes that look the same.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encrypt, decrypt, inspect, generateKeyFile, DEFAULT_ENCODING, DEFAULT_CHUNK_SIZE } from '../src/js/audioencrypt.js';
+import { planDeniableContainer } from '../src/js/deniable.js';
+import { FAST_KDF, PASSPHRASE, tone, assertSamples } from './helpers.js';
+
+const EXACT = { sampleFormat: 'float32', compression: 'none' };
+const DECOY_PASSPHRASE = 'harmless shopping list words';
+
+test('each passphrase of a deniable image opens its own recording', async () => {
+  const real = tone({ channels: 2, sampleRate: 16000 });
+  const decoy = tone({ frames: 9000, sampleRate: 8000 });
+  const image = await encrypt(real, PASSPHRASE, {
+    kdf: FAST_KDF, encoding: EXACT, decoy: { ...decoy, passphrase: DECOY_PASSPHRASE, metadata: { title: 'Decoy' } },
+  });
+  assert.equal(inspect(image).header.version, 2);
+  const opened = await decrypt(image, PASSPHRASE);
+  assertSamples(opened.pcm, real.pcm);
+  assert.equal(opened.sampleRate, 16000);
+  const openedDecoy = await decrypt(image, DECOY_PASSPHRASE);
+  assertSamples(openedDecoy.pcm, decoy.pcm);
+  assert.equal(openedDecoy.metadata.title, 'Decoy');
+  await assert.rejects(decrypt(image, 'neither of them'), /incorrect key/);
+});
+
+test('a deniable image with one recording uses the same layout', async () => {
+  const audio = tone();
+  const image = await encrypt(audio, PASSPHRASE, { kdf: FAST_KDF, encoding: EXACT, deniable: true });
+  assert.equal(inspect(image).header.version, 2);
+  assertSamples((await decrypt(image, PASSPHRASE)).pcm, audio.pcm);
+});
+
+test('deniable images take passphrases only, and the decoy needs one of its own', async () => {
+  const audio = tone();
+  await assert.rejects(encrypt(audio, PASSPHRASE, { kdf: FAST_KDF, deniable: true, keyFile: generateKeyFile() }), /secret keys only/);
+  await assert.rejects(encrypt(audio, PASSPHRASE, { kdf: FAST_KDF, decoy: { ...audio, passphrase: PASSPHRASE } }), /must differ/);
+});
+
+test('the image is the same size with or without a hidden recording', async () => {
+  const recording = (length, passphrase) => ({
+    payload: new Uint8Array(length), passphrase, sampleRate: 8000, numChannels: 1, hasArchive: false,
+  });
+  const settings = { kdf: FAST_KDF, encoding: DEFAULT_ENCODING, chunkSize: DEFAULT_CHUNK_SIZE };
+  const visible = recording(50000, DECOY_PASSPHRASE);
+  const { containerLength } = await planDeniableContainer(visible, null, settings);
+  for (const hiddenLength of [1, 20000, 50000]) {
+    const plan = await planDeniableContainer(visible, recording(hiddenLength, PASSPHRASE), settings);
+    assert.equal(plan.containerLength, containerLength, `hidden payload of ${hiddenLength} bytes`);
+  }
+  await assert.rejects(planDeniableContainer(visible, recording(50001, PASSPHRASE), settings), /no longer than the decoy/);
+
+  const decoy = { ...tone({ frames: 6000 }), passphrase: DECOY_PASSPHRASE };
+  const alone = await encrypt(decoy, DECOY_PASSPHRASE, { kdf: FAST_KDF, encoding: EXACT, deniable: true });
+  const withReal = await encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF, encoding: EXACT, decoy });
+  assert.deepEqual([withReal.width, withReal.height], [alone.width, alone.height]);
+  await assert.rejects(encrypt(tone({ frames: 7000 }), PASSPHRASE, { kdf: FAST_KDF, encoding: EXACT, decoy }), /no longer than the decoy/);
+});
@@ -0,0 +1,33 @@
+// Generated diceware passphrases: word count bounds, the word list and the entropy they carry.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generatePassphrase, passphraseEntropyBits, DEFAULT_PASSPHRASE_WORDS, MIN_PASSPHRASE_WORDS, MAX_PASSPHRASE_WORDS,
+} from '../src/js/audioencrypt.js';
+import { DICEWARE_WORDS } from '../src/js/wordlists.js';
+
+test('passphrases are words from the 7776-word list', () => {
+  assert.equal(DICEWARE_WORDS.length, 7776);
+  assert.equal(new Set(DICEWARE_WORDS).size, 7776);
+  const words = new Set(DICEWARE_WORDS);
+  // A few words (t-shirt, yo-yo) hold the default separator, so these split at spaces.
+  const phrase = generatePassphrase(DEFAULT_PASSPHRASE_WORDS, ' ').split(' ');
+  assert.equal(phrase.length, DEFAULT_PASSPHRASE_WORDS);
+  assert.ok(phrase.every((word) => words.has(word)), phrase.join(' '));
+  assert.match(generatePassphrase(), /^[a-z]+(-[a-z]+){5,}$/);
+});
+
+test('word counts outside 4 to 16 are refused', () => {
+  assert.deepEqual([MIN_PASSPHRASE_WORDS, MAX_PASSPHRASE_WORDS], [4, 16]);
+  assert.equal(generatePassphrase(4, ' ').split(' ').length, 4);
+  assert.equal(generatePassphrase(16, ' ').split(' ').length, 16);
+  for (const count of [3, 17, 0, 4.5, '6', NaN]) {
+    assert.throws(() => generatePassphrase(count), /Passphrases must have 4 to 16 words/, String(count));
+  }
+});
+
+test('each word adds log2(7776) bits of entropy', () => {
+  assert.ok(Math.abs(passphraseEntropyBits(1) - 12.925) < 0.001);
+  assert.ok(Math.abs(passphraseEntropyBits(6) - 77.549) < 0.001);
+  assert.equal(passphraseEntropyBits(0), 0);
+});
@@ -0,0 +1,36 @@
+// Round trips through Reed-Solomon error correction, alone and around tiled images.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encrypt, decrypt } from '../src/js/audioencrypt.js';
+import { FAST_KDF, PASSPHRASE, tone, assertSamples, flipPayloadByte, copyImage } from './helpers.js';
+
+const EXACT = { sampleFormat: 'float32', compression: 'none' };
+
+test('error correction repairs scattered damage and counts the repaired bytes', async () => {
+  const audio = tone({ frames: 5000 });
+  for (const level of ['low', 'medium', 'high']) {
+    const image = copyImage(await encrypt(audio, PASSPHRASE, { kdf: FAST_KDF, encoding: EXACT, errorCorrection: level }));
+    for (let n = 0; n < 20; n++) flipPayloadByte(image, 17 + n * 997);
+    const result = await decrypt(image, PASSPHRASE);
+    assertSamples(result.pcm, audio.pcm);
+    assert.equal(result.correctedBytes, 20);
+  }
+});
+
+test('error correction reports damage beyond repair', async () => {
+  const image = copyImage(await encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF, errorCorrection: 'low' }));
+  // The codewords are interleaved, so a run this long puts far more than 8 errors in each.
+  for (let n = 64; n < 64 + 6000; n++) flipPayloadByte(image, n);
+  await assert.rejects(decrypt(image, PASSPHRASE), /too damaged to repair/);
+});
+
+test('error correction and tiles combine', async () => {
+  const audio = tone({ frames: 30000 });
+  const tiles = await encrypt(audio, PASSPHRASE, { kdf: FAST_KDF, encoding: EXACT, maxTileSize: 64, errorCorrection: 'medium' });
+  assert.ok(tiles.length > 1);
+  const damaged = tiles.map(copyImage);
+  flipPayloadByte(damaged[1], 500);
+  const result = await decrypt(damaged, PASSPHRASE);
+  assertSamples(result.pcm, audio.pcm);
+  assert.equal(result.correctedBytes, 1);
+});
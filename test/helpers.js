@@ -0,0 +1,44 @@
+// Shared fixtures for the round-trip tests: short test tones, and the cheapest key derivation
+// encrypt() accepts, so that each test derives its keys quickly.
+import assert from 'node:assert/strict';
+import { MAX_HEADER_LENGTH, parseContainerHeader } from '../src/js/container.js';
+import { openContainer } from '../src/js/pixels.js';
+
+export const FAST_KDF = { algorithm: 'pbkdf2', iterations: 100000 };
+export const PASSPHRASE = 'correct horse battery staple';
+
+// One Float32Array per channel: a different sine on each, so swapped channels show.
+export function tone({ frames = 4000, channels = 1, sampleRate = 8000 } = {}) {
+  const pcm = Array.from({ length: channels }, (_, c) => Float32Array.from(
+    { length: frames }, (_, i) => 0.5 * Math.sin((i * (c + 1)) / 7),
+  ));
+  return { pcm, sampleRate, channels };
+}
+
+// Lossy encodings only come close; tolerance 0 demands identical samples.
+export function assertSamples(actual, expected, tolerance = 0) {
+  assert.equal(actual.length, expected.length, 'channel count');
+  for (let c = 0; c < expected.length; c++) {
+    assert.equal(actual[c].length, expected[c].length, `length of channel ${c}`);
+    if (tolerance === 0) {
+      assert.deepEqual(actual[c], expected[c], `samples of channel ${c}`);
+      continue;
+    }
+    const worst = expected[c].reduce((max, sample, i) => Math.max(max, Math.abs(sample - actual[c][i])), 0);
+    assert.ok(worst <= tolerance, `channel ${c} is off by up to ${worst}`);
+  }
+}
+
+// Flips the lowest bit of payload byte n, which lives in channel n % 3 of pixel floor(n / 3).
+export function flipPayloadByte({ pixels }, n) {
+  pixels[Math.floor(n / 3) * 4 + (n % 3)] ^= 1;
+}
+
+export function copyImage({ pixels, width, height }) {
+  return { pixels: pixels.slice(), width, height };
+}
+
+export function readHeader(image) {
+  const container = openContainer(image);
+  return parseContainerHeader(container.read(0, MAX_HEADER_LENGTH), container.length);
+}
@@ -0,0 +1,99 @@
+// Key-less inspection of damaged images: which check reports the damage, and with what status.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encrypt, decrypt, inspect } from '../src/js/audioencrypt.js';
+import { openContainer } from '../src/js/pixels.js';
+import { FAST_KDF, PASSPHRASE, tone, flipPayloadByte, copyImage } from './helpers.js';
+
+const EXACT = { sampleFormat: 'float32', compression: 'none' };
+
+// label -> status, for the checks inspect() ran.
+const statuses = (report) => Object.fromEntries(report.checks.map(({ label, status }) => [label, status]));
+const detailOf = (report, label) => report.checks.find((check) => check.label === label).detail;
+
+function cropRows({ pixels, width }, height) {
+  return { pixels: pixels.slice(0, width * height * 4), width, height };
+}
+
+test('an intact image passes every check', async () => {
+  const report = inspect(await encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF }));
+  assert.equal(report.ok, true);
+  assert.deepEqual(statuses(report), {
+    'Image': 'ok', 'Alpha channel': 'ok', 'Payload location': 'ok', 'Format': 'ok', 'Lock': 'ok',
+    'Key derivation': 'warning', // FAST_KDF has fewer iterations than the default
+    'Audio encoding': 'ok', 'Sample rate': 'ok', 'Encryption': 'ok', 'Capacity': 'ok', 'Image size': 'ok', 'Padding': 'ok',
+  });
+});
+
+test('a truncated image fails the capacity check, and decrypting it fails cleanly', async () => {
+  const image = await encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF });
+  for (const height of [1, Math.floor(image.height / 2)]) {
+    const cropped = cropRows(image, height);
+    const report = inspect(cropped);
+    assert.equal(report.ok, false);
+    assert.equal(statuses(report).Capacity, 'error');
+    assert.match(detailOf(report, 'Capacity'), /cropped or cut short/);
+    await assert.rejects(decrypt(cropped, PASSPHRASE), /Declared ciphertext length exceeds available data/);
+  }
+});
+
+test('reads past the end of a plain image come back empty', async () => {
+  const image = await encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF });
+  const container = openContainer(image);
+  assert.equal(container.read(container.length - 2, 10).length, 2);
+  assert.equal(container.read(container.length + 100, 10).length, 0);
+});
+
+test('a damaged header is reported by the check that finds it', async () => {
+  const image = await encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF });
+  const damage = (n) => {
+    const damaged = copyImage(image);
+    flipPayloadByte(damaged, n);
+    return inspect(damaged);
+  };
+  const noMagic = damage(0);
+  assert.equal(noMagic.ok, false);
+  assert.equal(statuses(noMagic).Header, 'error');
+  assert.match(detailOf(noMagic, 'Header'), /resized, recompressed or colour-converted/);
+
+  const badVersion = damage(4);
+  assert.equal(statuses(badVersion).Header, 'error');
+  assert.match(detailOf(badVersion, 'Header'), /Unsupported AudioEncrypt format version/);
+
+  const badLength = damage(35); // the top byte of the ciphertext length
+  assert.equal(badLength.ok, false);
+  assert.equal(statuses(badLength).Capacity, 'error');
+  assert.match(detailOf(badLength, 'Capacity'), /header is damaged/);
+});
+
+test('damaged chunks show in the padding, or in error correction when the image has it', async () => {
+  const options = { kdf: FAST_KDF, encoding: EXACT, chunkSize: 4096 };
+  const image = await encrypt(tone({ frames: 5000 }), PASSPHRASE, options);
+  const { ciphertextOffset } = inspect(image).header;
+  // Damage inside the ciphertext is invisible without the key, until decrypting names the chunk.
+  const damagedChunk = copyImage(image);
+  flipPayloadByte(damagedChunk, ciphertextOffset + 4096 + 16 + 100);
+  assert.equal(inspect(damagedChunk).ok, true);
+  await assert.rejects(decrypt(damagedChunk, PASSPHRASE), /chunk 2 of \d+ failed authentication/);
+  // Colour changes that reach the zero padding after the data show there.
+  const { pixels } = damagedChunk;
+  pixels[pixels.length - 4] ^= 1;
+  const report = inspect(damagedChunk);
+  assert.equal(report.ok, true);
+  assert.equal(statuses(report).Padding, 'warning');
+
+  const protectedImage = await encrypt(tone({ frames: 5000 }), PASSPHRASE, { ...options, errorCorrection: 'medium' });
+  const repaired = copyImage(protectedImage);
+  for (let n = 0; n < 5; n++) flipPayloadByte(repaired, 1000 + n * 1500);
+  const repairedReport = inspect(repaired);
+  assert.equal(repairedReport.ok, true);
+  assert.equal(statuses(repairedReport)['Error correction'], 'warning');
+  assert.match(detailOf(repairedReport, 'Error correction'), /repaired 5 bytes/);
+
+  const ruined = copyImage(protectedImage);
+  for (let n = 64; n < 64 + 8000; n++) flipPayloadByte(ruined, n);
+  const ruinedReport = inspect(ruined);
+  assert.equal(ruinedReport.ok, false);
+  assert.equal(statuses(ruinedReport)['Error correction'], 'error');
+  assert.equal(ruinedReport.header, null);
+});
@@ -0,0 +1,22 @@
+// Round trips for images locked with a key file, alone or together with the passphrase.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encrypt, decrypt, inspect, generateKeyFile } from '../src/js/audioencrypt.js';
+import { FAST_KDF, PASSPHRASE, tone, assertSamples } from './helpers.js';
+
+const EXACT = { sampleFormat: 'float32', compression: 'none' };
+
+test('key files lock images alone or together with the passphrase', async () => {
+  const audio = tone();
+  const keyFile = generateKeyFile();
+  const both = await encrypt(audio, PASSPHRASE, { kdf: FAST_KDF, keyFile, encoding: EXACT });
+  assert.deepEqual(inspect(both).header.keyFactors, { passphrase: true, keyFile: true });
+  assertSamples((await decrypt(both, PASSPHRASE, { keyFile })).pcm, audio.pcm);
+  await assert.rejects(decrypt(both, PASSPHRASE), /Load the key file/);
+  await assert.rejects(decrypt(both, PASSPHRASE, { keyFile: generateKeyFile() }), /incorrect key/);
+
+  const keyFileOnly = await encrypt(audio, null, { kdf: FAST_KDF, keyFile, encoding: EXACT });
+  assertSamples((await decrypt(keyFileOnly, null, { keyFile })).pcm, audio.pcm);
+  // A passphrase the image does not need is ignored.
+  assertSamples((await decrypt(keyFileOnly, PASSPHRASE, { keyFile })).pcm, audio.pcm);
+});
@@ -0,0 +1,58 @@
+// Round trips through the built-in PNG encoder and decoder, which keep every pixel value
+// exactly, translucent pixels included, and the decoder's limits on hostile files.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encrypt, decrypt, encodePng, decodePng } from '../src/js/audioencrypt.js';
+import { deflate, inflate } from '../src/js/zlib.js';
+import { crc32 } from '../src/js/crc32.js';
+import { FAST_KDF, PASSPHRASE, tone, assertSamples } from './helpers.js';
+
+test('images survive a PNG round trip', async () => {
+  const audio = tone();
+  const image = await encrypt(audio, PASSPHRASE, { kdf: FAST_KDF });
+  const decoded = await decodePng(await encodePng(image));
+  assertSamples((await decrypt(decoded, PASSPHRASE)).pcm, audio.pcm, 1 / 32767);
+});
+
+test('translucent pixels keep their colour', async () => {
+  const pixels = Uint8ClampedArray.from({ length: 5 * 3 * 4 }, (_, i) => (i * 37) % 256);
+  const decoded = await decodePng(await encodePng({ pixels, width: 5, height: 3 }));
+  assert.deepEqual([decoded.width, decoded.height], [5, 3]);
+  assert.deepEqual([...decoded.pixels], [...pixels]);
+});
+
+// A PNG with a hand-made header and image data, which need not agree.
+function buildPng(width, height, idat) {
+  const chunk = (type, data) => {
+    const bytes = new Uint8Array(12 + data.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length, false);
+    bytes.set(new TextEncoder().encode(type), 4);
+    bytes.set(data, 8);
+    view.setUint32(8 + data.length, (crc32(bytes.subarray(4, 8 + data.length)) ^ 0xFFFFFFFF) >>> 0, false);
+    return bytes;
+  };
+  const ihdr = new Uint8Array(13);
+  new DataView(ihdr.buffer).setUint32(0, width, false);
+  new DataView(ihdr.buffer).setUint32(4, height, false);
+  ihdr.set([8, 2, 0, 0, 0], 8); // 8-bit RGB
+  const signature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+  const parts = [signature, chunk('IHDR', ihdr), chunk('IDAT', idat), chunk('IEND', new Uint8Array(0))];
+  return Uint8Array.from(parts.flatMap((part) => [...part]));
+}
+
+test('oversized PNG headers are refused before inflating', async () => {
+  const idat = await deflate(new Uint8Array(100));
+  await assert.rejects(decodePng(buildPng(100000, 100000, idat)), /too large: 100000x100000 pixels/);
+  await assert.rejects(decodePng(buildPng(16385, 16384, idat)), /too large/);
+  await assert.rejects(decodePng(buildPng(10, 10, idat)), /image data is truncated/);
+});
+
+test('image data that inflates past the declared size is cut off', async () => {
+  // 32 MiB of zeros deflate to about 32 KiB; only the 4 x (4 x 3 + 1) bytes a 4x4 image needs are inflated.
+  const bomb = await deflate(new Uint8Array(32 * 1024 * 1024));
+  assert.equal((await inflate(bomb, 1000)).length, 1000);
+  const { pixels, width, height } = await decodePng(buildPng(4, 4, bomb));
+  assert.deepEqual([width, height], [4, 4]);
+  assert.deepEqual([...pixels], Array.from({ length: 64 }, (_, i) => (i % 4 === 3 ? 255 : 0)));
+});
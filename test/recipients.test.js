@@ -0,0 +1,37 @@
+// Round trips for images encrypted to public-key recipients instead of a passphrase.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encrypt, decrypt, generateKeyPair, exportKey, importPublicKey, importPrivateKey, publicKeyFingerprint,
+} from '../src/js/audioencrypt.js';
+import { PASSPHRASE, tone, assertSamples, readHeader } from './helpers.js';
+
+const EXACT = { sampleFormat: 'float32', compression: 'none' };
+
+test('images for recipients open with any of their private keys', async () => {
+  const audio = tone();
+  const alice = await generateKeyPair('P-256');
+  const bob = await generateKeyPair('X25519');
+  const image = await encrypt(audio, null, { recipients: [alice.publicKey, bob.publicKey], encoding: EXACT });
+  const listed = readHeader(image).recipients.map(({ fingerprint }) => fingerprint);
+  assert.deepEqual(listed, [await publicKeyFingerprint(alice.publicKey), await publicKeyFingerprint(bob.publicKey)]);
+  for (const { privateKey } of [alice, bob]) {
+    assertSamples((await decrypt(image, null, { privateKey })).pcm, audio.pcm);
+  }
+  const stranger = await generateKeyPair('P-256');
+  await assert.rejects(decrypt(image, null, { privateKey: stranger.privateKey }), /not encrypted for your private key/);
+  await assert.rejects(decrypt(image, PASSPHRASE), /Load your private key/);
+});
+
+test('recipient keys survive export and import as PEM and JWK', async () => {
+  const audio = tone();
+  for (const curve of ['P-256', 'X25519']) {
+    for (const format of ['pem', 'jwk']) {
+      const { publicKey, privateKey } = await generateKeyPair(curve);
+      const imported = await importPublicKey(await exportKey(publicKey, format));
+      const image = await encrypt(audio, null, { recipients: [imported], encoding: EXACT });
+      const privateCopy = await importPrivateKey(await exportKey(privateKey, format));
+      assertSamples((await decrypt(image, null, { privateKey: privateCopy })).pcm, audio.pcm);
+    }
+  }
+});
@@ -0,0 +1,71 @@
+// Round trips for signed images: both signing curves, the wrappers around a signed container,
+// and the ways a signature stops matching.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encrypt, decrypt, inspect, verifySignature, generateSigningKeyPair, describeSigningKey, exportKey,
+  importSigningPrivateKey, importSigningPublicKey, generateKeyPair,
+} from '../src/js/audioencrypt.js';
+import { FAST_KDF, PASSPHRASE, tone, assertSamples, flipPayloadByte, copyImage } from './helpers.js';
+
+const EXACT = { sampleFormat: 'float32', compression: 'none' };
+
+for (const curve of ['P-256', 'Ed25519']) {
+  test(`${curve} signatures verify and name the whole signing key`, async () => {
+    const audio = tone();
+    const { publicKey, privateKey } = await generateSigningKeyPair(curve);
+    const signer = await describeSigningKey(publicKey);
+    const image = await encrypt(audio, PASSPHRASE, { kdf: FAST_KDF, encoding: EXACT, signingKey: privateKey });
+    assert.deepEqual(await verifySignature(image), { valid: true, ...signer });
+    const result = await decrypt(image, PASSPHRASE);
+    assertSamples(result.pcm, audio.pcm);
+    assert.deepEqual(result.signature, { valid: true, ...signer });
+    assert.ok(inspect(image).checks.some(({ label }) => label === 'Signature'));
+  });
+
+  test(`${curve} signing keys survive export and import`, async () => {
+    const { publicKey, privateKey } = await generateSigningKeyPair(curve);
+    for (const format of ['pem', 'jwk']) {
+      const signingKey = await importSigningPrivateKey(await exportKey(privateKey, format));
+      const image = await encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF, signingKey });
+      const imported = await describeSigningKey(await importSigningPublicKey(await exportKey(publicKey, format)));
+      assert.equal((await verifySignature(image)).publicKey, imported.publicKey);
+    }
+  });
+}
+
+test('changing the ciphertext or the signature invalidates it', async () => {
+  const { privateKey } = await generateSigningKeyPair('Ed25519');
+  const image = await encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF, encoding: EXACT, signingKey: privateKey });
+  const { ciphertextOffset, ciphertextLength } = inspect(image).header;
+  for (const n of [ciphertextOffset + 10, ciphertextOffset + ciphertextLength + 10]) {
+    const altered = copyImage(image);
+    flipPayloadByte(altered, n);
+    assert.equal((await verifySignature(altered)).valid, false);
+  }
+  // The signature alone is not authenticated by AES-GCM, so the recording still decrypts.
+  const badSignature = copyImage(image);
+  flipPayloadByte(badSignature, ciphertextOffset + ciphertextLength + 10);
+  assert.equal((await decrypt(badSignature, PASSPHRASE)).signature.valid, false);
+});
+
+test('signatures survive tiles, error correction and cover images', async () => {
+  const audio = tone({ frames: 20000 });
+  const { privateKey } = await generateSigningKeyPair('P-256');
+  const cover = { pixels: new Uint8ClampedArray(300 * 300 * 4).fill(128), width: 300, height: 300 };
+  for (const options of [{ maxTileSize: 64 }, { errorCorrection: 'low' }, { cover, bitsPerChannel: 4 }]) {
+    const image = await encrypt(audio, PASSPHRASE, { kdf: FAST_KDF, encoding: EXACT, signingKey: privateKey, ...options });
+    assert.equal((await verifySignature(image)).valid, true);
+    assert.equal((await decrypt(image, PASSPHRASE)).signature.valid, true);
+  }
+});
+
+test('unsigned images report no signature, and deniable images cannot be signed', async () => {
+  const image = await encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF });
+  assert.equal(await verifySignature(image), null);
+  assert.equal((await decrypt(image, PASSPHRASE)).signature, null);
+  const { privateKey } = await generateSigningKeyPair('Ed25519');
+  await assert.rejects(encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF, deniable: true, signingKey: privateKey }), /cannot be signed/);
+  const recipientKey = await generateKeyPair('P-256');
+  await assert.rejects(encrypt(tone(), PASSPHRASE, { kdf: FAST_KDF, signingKey: recipientKey.privateKey }), /private signing key/);
+});
@@ -0,0 +1,60 @@
+// The strength estimate for well-known weak passphrases, and how guesses map to scores.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateStrength, formatCrackTime, generatePassphrase, MIN_PASSPHRASE_SCORE, SCORE_LABELS } from '../src/js/audioencrypt.js';
+
+function assertWeak(passphrases, maxScore, warning, suggestion = null) {
+  for (const passphrase of passphrases) {
+    const result = estimateStrength(passphrase);
+    assert.ok(result.score <= maxScore, `${passphrase} scored ${result.score}`);
+    assert.match(result.warning, warning, passphrase);
+    if (suggestion) assert.ok(result.suggestions.some((text) => suggestion.test(text)), `${passphrase}: ${result.suggestions}`);
+  }
+}
+
+test('common passwords score 0', () => {
+  assertWeak(['password', 'qwerty', 'monkey', '1qaz2wsx'], 0, /common password/);
+});
+
+test('keyboard runs, repeats and sequences stay weak', () => {
+  assertWeak(['asdfghjkl;', 'zxcvbnm,./'], 1, /Straight rows of keys/, /keyboard pattern/);
+  assertWeak(['aaaaaaaaaa'], 0, /Repeats like "aaa"/);
+  assertWeak(['abcdef'], 0, /Sequences like abc/);
+});
+
+test('dates and recent years stay weak', () => {
+  assertWeak(['12/25/1990', '1990-12-25', '25121990', '7/4/76'], 1, /Dates are often easy to guess/);
+  assertWeak([String(new Date().getFullYear() - 3)], 0, /Recent years/);
+});
+
+test('l33t spellings of common words stay weak', () => {
+  assertWeak(['p@ssw0rd', 'P4$$w0rd', 'b@s3b@ll', 'c0mput3r'], 0, /common password/, /substitutions/);
+  assertWeak(['h0rs3', '3l3ph@nt'], 1, /common password/, /substitutions/);
+});
+
+test('scores follow the guess thresholds, and strong passphrases pass', () => {
+  const thresholds = [1e3, 1e6, 1e8, 1e10];
+  for (const passphrase of ['', 'password', 'asdfghjkl;', 'sunshine1990', 'tgbyhnujm', 'Tr0ub4dor&3', 'gX9#qL2v!Rm8$zPw']) {
+    const { guesses, score, label, crackTime } = estimateStrength(passphrase);
+    const expected = thresholds.filter((threshold) => guesses >= threshold + 5).length;
+    assert.equal(score, expected, `${passphrase}: ${guesses} guesses`);
+    assert.equal(label, SCORE_LABELS[score]);
+    assert.equal(crackTime, formatCrackTime(guesses / 2 / 1e4));
+  }
+  assert.equal(estimateStrength('').score, 0);
+  for (const passphrase of ['correct horse battery staple', generatePassphrase()]) {
+    const result = estimateStrength(passphrase);
+    assert.equal(result.score, 4, passphrase);
+    assert.ok(result.score >= MIN_PASSPHRASE_SCORE);
+    assert.deepEqual([result.warning, result.suggestions], ['', []]);
+  }
+});
+
+test('crack times are rounded to one unit', () => {
+  assert.equal(formatCrackTime(0.5), 'less than a second');
+  assert.equal(formatCrackTime(1), '1 second');
+  assert.equal(formatCrackTime(90), '2 minutes');
+  assert.equal(formatCrackTime(5 * 3600), '5 hours');
+  assert.equal(formatCrackTime(3 * 31557600), '3 years');
+  assert.equal(formatCrackTime(100 * 31557600), 'centuries');
+});
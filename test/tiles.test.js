@@ -0,0 +1,33 @@
+// Round trips through tiled images: payloads too large for one image are split into numbered
+// tiles, which reassemble in any order.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encrypt, decrypt, readTileHeader } from '../src/js/audioencrypt.js';
+import { FAST_KDF, PASSPHRASE, tone, assertSamples } from './helpers.js';
+
+const EXACT = { sampleFormat: 'float32', compression: 'none' };
+
+test('tiled images reassemble in any order', async () => {
+  const audio = tone({ frames: 30000 });
+  const tiles = await encrypt(audio, PASSPHRASE, { kdf: FAST_KDF, encoding: EXACT, maxTileSize: 64 });
+  assert.ok(tiles.length > 2, `expected several tiles, got ${tiles.length}`);
+  tiles.forEach((tile, i) => {
+    assert.ok(tile.width <= 64 && tile.height <= 64);
+    assert.deepEqual([readTileHeader(tile).index, readTileHeader(tile).count], [i, tiles.length]);
+  });
+  assertSamples((await decrypt([...tiles].reverse(), PASSPHRASE)).pcm, audio.pcm);
+});
+
+test('a payload that fits one tile gives a single plain image', async () => {
+  const images = await encrypt(tone({ frames: 100 }), PASSPHRASE, { kdf: FAST_KDF, maxTileSize: 64 });
+  assert.equal(images.length, 1);
+  assert.equal(readTileHeader(images[0]), null);
+});
+
+test('missing or foreign tiles are named', async () => {
+  const options = { kdf: FAST_KDF, encoding: EXACT, maxTileSize: 64 };
+  const tiles = await encrypt(tone({ frames: 30000 }), PASSPHRASE, options);
+  await assert.rejects(decrypt(tiles.slice(1), PASSPHRASE), /Cannot reassemble the tiled image/);
+  const others = await encrypt(tone({ frames: 30000 }), PASSPHRASE, options);
+  await assert.rejects(decrypt([tiles[0], ...others.slice(1)], PASSPHRASE), /different tiled images/);
+});
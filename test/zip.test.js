@@ -0,0 +1,126 @@
+// ZIP archives for batch import and export: createZip's archives read back, archives written the
+// way other archivers write them (deflated entries, names without the UTF-8 flag, folders), and
+// damaged archives.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { createZip, readZip } from '../src/js/audioencrypt.js';
+import { crc32 } from '../src/js/crc32.js';
+
+const FLAG_UTF8 = 0x0800;
+const checksum = (bytes) => (crc32(bytes) ^ 0xFFFFFFFF) >>> 0;
+const bytesOf = (text) => new TextEncoder().encode(text);
+
+// An archive from raw entries: {name: Uint8Array, flags, method, data, content}, where data is
+// what is stored and content what it unpacks to.
+function buildZip(entries) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, flags, method, data, content } of entries) {
+    const header = new Uint8Array(30 + name.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034B50, true);
+    view.setUint16(4, 20, true);
+    view.setUint16(6, flags, true);
+    view.setUint16(8, method, true);
+    view.setUint32(14, checksum(content), true);
+    view.setUint32(18, data.length, true);
+    view.setUint32(22, content.length, true);
+    view.setUint16(26, name.length, true);
+    header.set(name, 30);
+    local.push(header, data);
+
+    const record = new Uint8Array(46 + name.length);
+    const recordView = new DataView(record.buffer);
+    recordView.setUint32(0, 0x02014B50, true);
+    recordView.setUint16(4, 20, true);
+    recordView.setUint16(6, 20, true);
+    recordView.setUint16(8, flags, true);
+    recordView.setUint16(10, method, true);
+    recordView.setUint32(16, checksum(content), true);
+    recordView.setUint32(20, data.length, true);
+    recordView.setUint32(24, content.length, true);
+    recordView.setUint16(28, name.length, true);
+    recordView.setUint32(42, offset, true);
+    record.set(name, 46);
+    central.push(record);
+    offset += header.length + data.length;
+  }
+  const centralLength = central.reduce((sum, record) => sum + record.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054B50, true);
+  endView.setUint16(8, entries.length, true);
+  endView.setUint16(10, entries.length, true);
+  endView.setUint32(12, centralLength, true);
+  endView.setUint32(16, offset, true);
+  return Uint8Array.from([...local, ...central, end].flatMap((part) => [...part]));
+}
+
+test('archives from createZip read back with their names, contents and dates', async () => {
+  const modified = new Date(2024, 4, 6, 7, 8, 10);
+  const entries = [
+    { name: 'locked/Interview.png', bytes: Uint8Array.from({ length: 5000 }, (_, i) => (i * 7) % 256), modified },
+    { name: 'Café räume 日本.flac', bytes: bytesOf('fLaC'), modified },
+    { name: 'empty.png', bytes: new Uint8Array(0), modified },
+  ];
+  const zip = createZip(entries);
+  const view = new DataView(zip.buffer);
+  assert.equal(view.getUint32(0, true), 0x04034B50);
+  assert.equal(view.getUint16(6, true) & FLAG_UTF8, FLAG_UTF8, 'names are flagged as UTF-8');
+  assert.equal(view.getUint16(8, true), 0, 'entries are stored');
+
+  const files = await readZip(zip);
+  assert.deepEqual(files.map(({ name }) => name), entries.map(({ name }) => name));
+  files.forEach((file, i) => {
+    assert.deepEqual(file.bytes, entries[i].bytes);
+    assert.equal(file.modified.getTime(), modified.getTime());
+  });
+  assert.deepEqual(await readZip(createZip([])), []);
+});
+
+test('deflated entries, names without the UTF-8 flag and folders are read as other archivers write them', async () => {
+  const content = bytesOf('AudioEncrypt '.repeat(500));
+  const deflated = new Uint8Array(deflateRawSync(content));
+  assert.ok(deflated.length < content.length);
+  const zip = buildZip([
+    { name: bytesOf('batch/'), flags: 0, method: 0, data: new Uint8Array(0), content: new Uint8Array(0) },
+    { name: bytesOf('batch/deflated.png'), flags: 0, method: 8, data: deflated, content },
+    { name: Uint8Array.of(0x63, 0x61, 0x66, 0xE9), flags: 0, method: 0, data: bytesOf('x'), content: bytesOf('x') },
+    { name: bytesOf('café'), flags: FLAG_UTF8, method: 0, data: bytesOf('y'), content: bytesOf('y') },
+  ]);
+  const files = await readZip(zip);
+  assert.deepEqual(files.map(({ name }) => name), ['batch/deflated.png', 'café', 'café']);
+  assert.deepEqual(files[0].bytes, content);
+  assert.deepEqual(files.slice(1).map(({ bytes }) => new TextDecoder().decode(bytes)), ['x', 'y']);
+});
+
+test('damaged archives are rejected', async () => {
+  const bytes = Uint8Array.from({ length: 1000 }, (_, i) => i % 251);
+  const zip = createZip([{ name: 'a.png', bytes }]);
+  const dataOffset = 30 + 'a.png'.length;
+  const centralOffset = dataOffset + bytes.length;
+
+  const badData = zip.slice();
+  badData[dataOffset + 500] ^= 1;
+  await assert.rejects(readZip(badData), /a\.png does not match its checksum/);
+
+  const badCrc = zip.slice();
+  new DataView(badCrc.buffer).setUint32(centralOffset + 16, checksum(bytes) ^ 1, true);
+  await assert.rejects(readZip(badCrc), /a\.png does not match its checksum/);
+
+  const tooLong = zip.slice();
+  new DataView(tooLong.buffer).setUint32(centralOffset + 20, zip.length, true);
+  await assert.rejects(readZip(tooLong), /a\.png is truncated/);
+
+  const badOffset = zip.slice();
+  new DataView(badOffset.buffer).setUint32(centralOffset + 42, 10, true);
+  await assert.rejects(readZip(badOffset), /a\.png is damaged/);
+
+  await assert.rejects(readZip(zip.subarray(0, zip.length - 10)), /Not a ZIP archive/);
+  await assert.rejects(readZip(zip.subarray(0, centralOffset + 30)), /Not a ZIP archive/);
+  // Without its start, the offsets in the archive point past its end.
+  await assert.rejects(readZip(zip.slice(dataOffset + 500)), /the file list is damaged/);
+  await assert.rejects(readZip(bytesOf('not a zip at all, just text')), /Not a ZIP archive/);
+});